@@ -0,0 +1,224 @@
+const statusSelect = document.querySelector("#admin-status");
+const statusLine = document.querySelector("#admin-status-line");
+const submissionsList = document.querySelector("#admin-submissions");
+const featureRequestFilter = document.querySelector("#feature-request-filter");
+const featureRequestStatusLine = document.querySelector("#feature-request-status-line");
+const featureRequestsList = document.querySelector("#admin-feature-requests");
+const featureRequestExport = document.querySelector("#feature-request-export");
+const FEATURE_REQUEST_ACTIONS = {
+  new: "Reopen",
+  planned: "Planned",
+  done: "Done",
+  duplicate: "Duplicate"
+};
+const AMENITY_LABELS = {
+  accessible: "Accessible",
+  babyChange: "Baby change",
+  noPayment: "Free",
+  radar: "RADAR key",
+  allGender: "All gender"
+};
+
+function escapeHtml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+function describeAmenities(submission) {
+  return Object.entries(AMENITY_LABELS)
+    .filter(([field]) => submission[field] !== null)
+    .map(([field, label]) =>
+      submission[field] ? `<span class="tag">${label}</span>` : `<span class="tag warning">No ${label}</span>`
+    )
+    .join("");
+}
+
+function renderSubmission(submission) {
+  const mapUrl = `https://www.openstreetmap.org/?mlat=${submission.lat}&mlon=${submission.lon}#map=19/${submission.lat}/${submission.lon}`;
+  const details = [
+    submission.areaName && `Area: ${submission.areaName}`,
+    submission.openingTimes && `Hours: ${submission.openingTimes}`,
+    submission.notes && `Notes: ${submission.notes}`,
+    `Suggested ${new Date(submission.createdAt).toLocaleString()}`
+  ].filter(Boolean);
+  const actions =
+    submission.status === "pending"
+      ? `<div class="result-actions">
+          <button type="button" data-review="approved" data-submission-id="${escapeHtml(submission.id)}">Approve</button>
+          <button type="button" class="ghost-button" data-review="rejected" data-submission-id="${escapeHtml(submission.id)}">Reject</button>
+        </div>`
+      : `<p class="result-meta">${escapeHtml(submission.status)} ${escapeHtml(new Date(submission.reviewedAt).toLocaleString())}</p>`;
+
+  return `
+    <li class="result-item">
+      <div class="result-head">
+        <span class="result-name">${escapeHtml(submission.name)}</span>
+        <a class="result-link" href="${mapUrl}" target="_blank" rel="noopener noreferrer">
+          ${submission.lat.toFixed(5)}, ${submission.lon.toFixed(5)}
+        </a>
+      </div>
+      ${details.map((line) => `<p class="result-meta">${escapeHtml(line)}</p>`).join("")}
+      <div class="tags">${describeAmenities(submission)}</div>
+      ${actions}
+    </li>
+  `;
+}
+
+async function loadSubmissions() {
+  statusLine.textContent = "Loading suggestions...";
+  try {
+    const response = await fetch(`/api/admin/submissions?status=${encodeURIComponent(statusSelect.value)}`);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || "Unable to load suggestions.");
+    }
+
+    submissionsList.innerHTML = payload.submissions.map(renderSubmission).join("");
+    statusLine.textContent = payload.count === 0 ? "Nothing to show." : `${payload.count} suggestion(s).`;
+  } catch (error) {
+    statusLine.textContent = error.message || "Unable to load suggestions.";
+  }
+}
+
+async function reviewSubmission(button) {
+  const id = button.getAttribute("data-submission-id");
+  const status = button.getAttribute("data-review");
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/admin/submissions/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ status })
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || "Unable to update suggestion.");
+    }
+
+    await loadSubmissions();
+  } catch (error) {
+    statusLine.textContent = error.message || "Unable to update suggestion.";
+    button.disabled = false;
+  }
+}
+
+function featureRequestParams() {
+  const formData = new FormData(featureRequestFilter);
+  const params = new URLSearchParams({ status: String(formData.get("status") || "all") });
+  const query = String(formData.get("q") || "").trim();
+  if (query) {
+    params.set("q", query);
+  }
+  return params;
+}
+
+function renderFeatureRequest(featureRequest) {
+  const details = [
+    featureRequest.name && `From: ${featureRequest.name}`,
+    featureRequest.email && `Email: ${featureRequest.email}`,
+    `Received ${new Date(featureRequest.createdAt).toLocaleString()}`,
+    featureRequest.updatedAt && `Updated ${new Date(featureRequest.updatedAt).toLocaleString()}`,
+    `${featureRequest.votes ?? 0} vote(s)`
+  ].filter(Boolean);
+  const id = escapeHtml(featureRequest.id);
+  const actions = Object.entries(FEATURE_REQUEST_ACTIONS)
+    .filter(([status]) => status !== featureRequest.status)
+    .map(
+      ([status, label]) => `<button type="button" class="ghost-button" data-feature-status="${status}"
+        data-feature-request-id="${id}">${label}</button>`
+    )
+    .join("");
+  const publishAction = `<button type="button" class="ghost-button"
+    data-feature-published="${!featureRequest.published}" data-feature-request-id="${id}">
+    ${featureRequest.published ? "Unpublish" : "Publish to board"}</button>`;
+
+  return `
+    <li class="result-item">
+      <div class="result-head">
+        <span class="result-name">${escapeHtml(featureRequest.subject || "Feature request")}</span>
+        <span class="tag">${escapeHtml(featureRequest.status)}</span>
+        ${featureRequest.published ? '<span class="tag">on board</span>' : ""}
+      </div>
+      <p>${escapeHtml(featureRequest.message)}</p>
+      ${details.map((line) => `<p class="result-meta">${escapeHtml(line)}</p>`).join("")}
+      <div class="result-actions">${actions}${publishAction}</div>
+    </li>
+  `;
+}
+
+async function loadFeatureRequests() {
+  const params = featureRequestParams();
+  featureRequestExport.href = `/api/admin/feature-requests/export?${params.toString()}`;
+  featureRequestStatusLine.textContent = "Loading feature requests...";
+  try {
+    const response = await fetch(`/api/admin/feature-requests?${params.toString()}`);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || "Unable to load feature requests.");
+    }
+
+    featureRequestsList.innerHTML = payload.featureRequests.map(renderFeatureRequest).join("");
+    featureRequestStatusLine.textContent =
+      payload.count === 0 ? "Nothing to show." : `${payload.count} feature request(s).`;
+  } catch (error) {
+    featureRequestStatusLine.textContent = error.message || "Unable to load feature requests.";
+  }
+}
+
+// Buttons carry either a new status or a new board visibility.
+async function updateFeatureRequest(button) {
+  const id = button.getAttribute("data-feature-request-id");
+  const changes = button.hasAttribute("data-feature-status")
+    ? { status: button.getAttribute("data-feature-status") }
+    : { published: button.getAttribute("data-feature-published") === "true" };
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/admin/feature-requests/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(changes)
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.message || "Unable to update feature request.");
+    }
+
+    await loadFeatureRequests();
+  } catch (error) {
+    featureRequestStatusLine.textContent = error.message || "Unable to update feature request.";
+    button.disabled = false;
+  }
+}
+
+statusSelect.addEventListener("change", loadSubmissions);
+submissionsList.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-review]");
+  if (button) {
+    reviewSubmission(button);
+  }
+});
+
+featureRequestFilter.addEventListener("submit", (event) => {
+  event.preventDefault();
+  loadFeatureRequests();
+});
+featureRequestFilter.querySelector("select").addEventListener("change", loadFeatureRequests);
+featureRequestsList.addEventListener("click", (event) => {
+  const button = event.target.closest("[data-feature-status], [data-feature-published]");
+  if (button) {
+    updateFeatureRequest(button);
+  }
+});
+
+loadSubmissions();
+loadFeatureRequests();
@@ -1,3 +1,7 @@
+import { AMENITY_FILTERS } from "./lib/amenity-filters.mjs";
+import { haversineKm } from "./lib/geo.mjs";
+import { findNearestOffline, saveNearestResponse, saveToilets } from "./offline-store.js";
+
 const locateButton = document.querySelector("#locate-button");
 const statusLine = document.querySelector("#status");
 const currentLocationLine = document.querySelector("#current-location");
@@ -10,20 +14,94 @@ const featureRequestStatus = document.querySelector("#feature-request-status");
 const featureRequestSubmit = document.querySelector("#feature-submit");
 const closeFeatureRequestButton = document.querySelector("#close-feature-request");
 const cancelFeatureRequestButton = document.querySelector("#feature-cancel");
+const featureBoardStatus = document.querySelector("#feature-board-status");
+const featureBoardList = document.querySelector("#feature-board-list");
+const featureSimilar = document.querySelector("#feature-similar");
+const featureSimilarList = document.querySelector("#feature-similar-list");
 const unitKmButton = document.querySelector("#unit-km");
 const unitMiButton = document.querySelector("#unit-mi");
+const deviceLocationButton = document.querySelector("#device-location-button");
+const placeSearchForm = document.querySelector("#place-search-form");
+const placeSearchInput = document.querySelector("#place-search-input");
+const placeSearchButton = document.querySelector("#place-search-button");
+const amenityFilterButtons = document.querySelectorAll("#amenity-filters .filter-chip");
+const trackButton = document.querySelector("#track-button");
+const offlineNotice = document.querySelector("#offline-notice");
+const mapAreaNote = document.querySelector("#map-area-note");
+const downloadLinks = document.querySelector("#download-links");
+const reportDialog = document.querySelector("#report-dialog");
+const reportForm = document.querySelector("#report-form");
+const reportToiletName = document.querySelector("#report-toilet-name");
+const reportCategorySelect = document.querySelector("#report-category");
+const reportStatus = document.querySelector("#report-status");
+const reportSubmit = document.querySelector("#report-submit");
+const ratingDialog = document.querySelector("#rating-dialog");
+const ratingForm = document.querySelector("#rating-form");
+const ratingToiletName = document.querySelector("#rating-toilet-name");
+const ratingStatus = document.querySelector("#rating-status");
+const ratingSubmit = document.querySelector("#rating-submit");
+const sortButtons = document.querySelectorAll("#sort-toggle [data-sort]");
+const suggestButton = document.querySelector("#suggest-button");
+const suggestHint = document.querySelector("#suggest-hint");
+const suggestDialog = document.querySelector("#suggest-dialog");
+const suggestForm = document.querySelector("#suggest-form");
+const suggestLocationLine = document.querySelector("#suggest-location");
+const suggestStatus = document.querySelector("#suggest-status");
+const suggestSubmit = document.querySelector("#suggest-submit");
 const FEATURE_REQUEST_TIMEOUT_MS = 20000;
 const DISTANCE_UNIT_STORAGE_KEY = "distance-unit";
+const NEAREST_LIMIT = 5;
+const MIN_TRACKING_MOVE_KM = 0.015;
+const MIN_TRACKING_REQUERY_MS = 10000;
+const USER_MARKER_ANIMATION_MS = 800;
+const DEVICE_ID_STORAGE_KEY = "device-id";
+const FEATURE_VOTES_STORAGE_KEY = "feature-votes";
+const SIMILAR_REQUESTS_DELAY_MS = 500;
+const SIMILAR_REQUESTS_MIN_LENGTH = 12;
+const FEATURE_STATUS_LABELS = {
+  planned: "Planned",
+  done: "Done",
+  duplicate: "Duplicate"
+};
+const RATING_TAG_LABELS = {
+  has_soap: "Soap",
+  has_paper: "Toilet paper",
+  hot_water: "Hot water",
+  queue: "Often a queue",
+  needs_cleaning: "Needs cleaning"
+};
+const REGIONAL_PREFETCH_RADIUS_KM = 2;
+const MIN_REGIONAL_PREFETCH_MOVE_KM = 1;
+const MIN_AREA_ZOOM = 12;
+const AREA_LOAD_DELAY_MS = 250;
 
 let map;
 let tileLayer;
 let mapMarkers;
+let areaMarkers;
 let userMarker;
 let hoverPath;
 let hoverDistanceMarker;
 let currentUserLocation;
 let lastToiletResults = [];
 let distanceUnit = "km";
+let searchLocation;
+let queryFurthestKm = 0;
+let hoveredToiletId = null;
+let trackingWatchId = null;
+let trackingQueryInFlight = false;
+let lastTrackingQueryAt = 0;
+let userMarkerAnimation = null;
+let lastRegionalPrefetch = null;
+let areaToilets = [];
+let areaRequestController = null;
+let areaLoadTimer = null;
+let reportingToiletId = null;
+let ratingToiletId = null;
+let resultSort = "nearest";
+let suggestMode = false;
+let suggestionMarker = null;
+const activeAmenityFilters = new Set();
 const toiletsById = new Map();
 const toiletMarkersById = new Map();
 
@@ -43,11 +121,32 @@ function initMap() {
 
   tileLayer = window.L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
     maxZoom: 19,
+    // CORS tile requests let the service worker cache real (not opaque) responses.
+    crossOrigin: "",
     attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
   });
   tileLayer.addTo(map);
 
+  // Viewport toilets cluster; the ranked results stay in their own plain group so they are never hidden.
+  areaMarkers = (
+    typeof window.L.markerClusterGroup === "function"
+      ? window.L.markerClusterGroup({
+          showCoverageOnHover: false,
+          maxClusterRadius: 50,
+          disableClusteringAtZoom: 18,
+          chunkedLoading: true
+        })
+      : window.L.layerGroup()
+  ).addTo(map);
   mapMarkers = window.L.layerGroup().addTo(map);
+  map.on("click", (event) => {
+    if (suggestMode) {
+      placeSuggestionPin(event.latlng);
+    } else {
+      setManualLocation(event.latlng.lat, event.latlng.lng);
+    }
+  });
+  map.on("moveend", scheduleAreaLoad);
   requestAnimationFrame(() => map.invalidateSize());
   setTimeout(() => map.invalidateSize(), 250);
 }
@@ -85,6 +184,129 @@ function openFeatureRequestDialog() {
   }
 
   setFeatureRequestStatus("");
+  loadFeatureBoard();
+}
+
+function readFeatureVotes() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(FEATURE_VOTES_STORAGE_KEY) || "[]");
+    return new Set(Array.isArray(stored) ? stored : []);
+  } catch {
+    return new Set();
+  }
+}
+
+function rememberFeatureVote(featureRequestId) {
+  const votes = readFeatureVotes();
+  votes.add(featureRequestId);
+  try {
+    window.localStorage.setItem(FEATURE_VOTES_STORAGE_KEY, JSON.stringify([...votes]));
+  } catch {
+    // The server still refuses a second vote from this device.
+  }
+}
+
+function renderFeatureBoardItem(featureRequest, votedIds) {
+  const id = escapeHtml(featureRequest.id);
+  const voted = votedIds.has(featureRequest.id);
+  const statusLabel = FEATURE_STATUS_LABELS[featureRequest.status];
+  const votes = Number.isFinite(featureRequest.votes) ? featureRequest.votes : 0;
+
+  return `
+    <li class="feature-board-item">
+      <div>
+        <strong>${escapeHtml(featureRequest.subject || "Feature request")}</strong>
+        ${statusLabel ? `<span class="tag">${statusLabel}</span>` : ""}
+        <p>${escapeHtml(featureRequest.message)}</p>
+      </div>
+      <button type="button" class="ghost-button feature-vote" data-feature-vote="${id}" ${voted ? "disabled" : ""}
+        aria-label="${voted ? "Voted" : "Vote for this"} (${votes} votes)">&#9650; ${votes}</button>
+    </li>
+  `;
+}
+
+async function fetchFeatureBoard(params = "") {
+  const response = await fetch(`/api/feature-requests${params}`);
+  const responseBody = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(responseBody.message || "Unable to load the feature request board.");
+  }
+  return responseBody.featureRequests;
+}
+
+async function loadFeatureBoard() {
+  if (!featureBoardList) {
+    return;
+  }
+
+  featureBoardStatus.textContent = "Loading requests...";
+  try {
+    const featureRequests = await fetchFeatureBoard();
+    const votedIds = readFeatureVotes();
+    featureBoardList.innerHTML = featureRequests.map((item) => renderFeatureBoardItem(item, votedIds)).join("");
+    featureBoardStatus.textContent =
+      featureRequests.length === 0 ? "Nothing on the board yet. Be the first!" : "";
+  } catch (error) {
+    featureBoardStatus.textContent = error.message || "Unable to load the feature request board.";
+  }
+}
+
+let similarRequestsTimer = null;
+
+// Waits for a pause in typing, then shows published requests that look like the draft.
+function scheduleSimilarRequests() {
+  clearTimeout(similarRequestsTimer);
+  similarRequestsTimer = setTimeout(async () => {
+    const formData = new FormData(featureRequestForm);
+    const draft = `${formData.get("subject") || ""} ${formData.get("message") || ""}`.trim();
+    if (String(formData.get("message") || "").trim().length < SIMILAR_REQUESTS_MIN_LENGTH) {
+      featureSimilar.hidden = true;
+      return;
+    }
+
+    try {
+      const featureRequests = await fetchFeatureBoard(`?similarTo=${encodeURIComponent(draft)}`);
+      const votedIds = readFeatureVotes();
+      featureSimilarList.innerHTML = featureRequests.map((item) => renderFeatureBoardItem(item, votedIds)).join("");
+      featureSimilar.hidden = featureRequests.length === 0;
+    } catch {
+      // Suggestions are a nice-to-have; sending still works without them.
+      featureSimilar.hidden = true;
+    }
+  }, SIMILAR_REQUESTS_DELAY_MS);
+}
+
+async function voteForFeatureRequest(button) {
+  const featureRequestId = button.getAttribute("data-feature-vote");
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/feature-requests/${encodeURIComponent(featureRequestId)}/vote`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ deviceId: getDeviceId() })
+    });
+    const responseBody = await response.json().catch(() => ({}));
+    if (!response.ok && responseBody.error !== "already_voted") {
+      throw new Error(responseBody.message || "Unable to send your vote.");
+    }
+
+    rememberFeatureVote(featureRequestId);
+    // The same request can be listed on the board and under similar requests.
+    featureRequestDialog.querySelectorAll("[data-feature-vote]").forEach((voteButton) => {
+      if (voteButton.getAttribute("data-feature-vote") === featureRequestId) {
+        voteButton.disabled = true;
+        voteButton.innerHTML = `&#9650; ${responseBody.votes}`;
+        voteButton.setAttribute("aria-label", `Voted (${responseBody.votes} votes)`);
+      }
+    });
+    setFeatureRequestStatus("Thanks for voting!", "success");
+  } catch (error) {
+    button.disabled = false;
+    setFeatureRequestStatus(error.message || "Unable to send your vote.", "error");
+  }
 }
 
 function closeFeatureRequestDialog() {
@@ -110,7 +332,8 @@ async function submitFeatureRequest(event) {
     name: String(formData.get("name") || "").trim(),
     email: String(formData.get("email") || "").trim(),
     subject: String(formData.get("subject") || "").trim(),
-    message: String(formData.get("message") || "").trim()
+    message: String(formData.get("message") || "").trim(),
+    website: String(formData.get("website") || "")
   };
 
   if (!payload.subject || !payload.message) {
@@ -137,28 +360,11 @@ async function submitFeatureRequest(event) {
 
     const responseBody = await response.json().catch(() => ({}));
     if (!response.ok) {
-      if (responseBody?.error === "email_not_configured") {
-        const missing = Array.isArray(responseBody.missing) ? responseBody.missing.join(", ") : "";
-        const hint = missing ? ` Missing: ${missing}.` : "";
-        throw new Error(`Server email is not configured.${hint}`);
-      }
       throw new Error(responseBody.message || "Unable to send feature request.");
     }
 
-    if (responseBody?.warning) {
-      setFeatureRequestStatus(
-        responseBody.message || "Feature request email sent, but database save failed.",
-        "error"
-      );
-      featureRequestForm.reset();
-      const subjectInput = featureRequestForm.querySelector("#feature-subject");
-      if (subjectInput) {
-        subjectInput.value = "Feature request for How Far From Potty";
-      }
-      return;
-    }
-
-    setFeatureRequestStatus("Feature request sent.", "success");
+    // 202: the server has stored the request and delivers it in the background.
+    setFeatureRequestStatus(responseBody.message || "Feature request received. Thanks!", "success");
     featureRequestForm.reset();
     const subjectInput = featureRequestForm.querySelector("#feature-subject");
     if (subjectInput) {
@@ -194,11 +400,14 @@ function clearHoverPath() {
     map.removeLayer(hoverDistanceMarker);
     hoverDistanceMarker = null;
   }
+
+  hoveredToiletId = null;
 }
 
 function clearResults() {
   clearHoverPath();
   resultsList.innerHTML = "";
+  updateDownloadLinks(null);
 }
 
 function getStoredDistanceUnit() {
@@ -228,7 +437,9 @@ function rerenderDistanceDependentUi() {
   }
 
   if (currentUserLocation) {
-    updateMap(currentUserLocation.lat, currentUserLocation.lon, lastToiletResults);
+    updateMap(currentUserLocation.lat, currentUserLocation.lon, lastToiletResults, {
+      fitBounds: trackingWatchId === null
+    });
   }
 }
 
@@ -264,6 +475,17 @@ function formatDistance(km) {
   return `${km.toFixed(2)} km`;
 }
 
+function hasWalkingRoute(toilet) {
+  return Number.isFinite(toilet.walkKm) && Number.isFinite(toilet.walkMinutes);
+}
+
+function describeDistance(toilet) {
+  if (hasWalkingRoute(toilet)) {
+    return `${formatDistance(toilet.walkKm)} · ${toilet.walkMinutes} min walk`;
+  }
+  return `${formatDistance(toilet.distanceKm)} away`;
+}
+
 function escapeHtml(value) {
   return String(value)
     .replaceAll("&", "&amp;")
@@ -284,17 +506,21 @@ function showHoverPath(toiletId) {
   }
 
   clearHoverPath();
+  hoveredToiletId = toiletId;
 
   const toilet = toiletsById.get(toiletId);
   const start = [currentUserLocation.lat, currentUserLocation.lon];
   const end = [toilet.lat, toilet.lon];
-  const midpoint = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+  const walkPath = hasWalkingRoute(toilet) && Array.isArray(toilet.walkPath) ? toilet.walkPath : null;
+  const midpoint = walkPath
+    ? walkPath[Math.floor(walkPath.length / 2)]
+    : [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
 
-  hoverPath = window.L.polyline([start, end], {
+  hoverPath = window.L.polyline(walkPath || [start, end], {
     color: "#e6843d",
     weight: 4,
     opacity: 0.95,
-    dashArray: "8 8"
+    dashArray: walkPath ? null : "8 8"
   }).addTo(map);
 
   hoverDistanceMarker = window.L.marker(midpoint, {
@@ -302,7 +528,7 @@ function showHoverPath(toiletId) {
     keyboard: false,
     icon: window.L.divIcon({
       className: "distance-chip",
-      html: `<span>${formatDistance(toilet.distanceKm)} away</span>`
+      html: `<span>${describeDistance(toilet)}</span>`
     })
   }).addTo(map);
 
@@ -344,12 +570,13 @@ function bindResultInteractions() {
   });
 }
 
-function updateMap(latitude, longitude, toilets) {
+function updateMap(latitude, longitude, toilets, { fitBounds = true } = {}) {
   initMap();
   if (!map || !mapMarkers) {
     return;
   }
 
+  const restoreHoverId = hoveredToiletId;
   clearHoverPath();
   mapMarkers.clearLayers();
   toiletMarkersById.clear();
@@ -357,17 +584,23 @@ function updateMap(latitude, longitude, toilets) {
   currentUserLocation = { lat: latitude, lon: longitude };
 
   if (userMarker) {
-    map.removeLayer(userMarker);
+    cancelAnimationFrame(userMarkerAnimation);
+    userMarker.setLatLng([latitude, longitude]);
+  } else {
+    userMarker = window.L.marker([latitude, longitude], {
+      draggable: true,
+      title: "Drag to set your location",
+      icon: window.L.divIcon({
+        className: "user-location-marker",
+        iconSize: [22, 22]
+      })
+    }).addTo(map);
+    userMarker.on("dragend", () => {
+      const { lat, lng } = userMarker.getLatLng();
+      setManualLocation(lat, lng);
+    });
   }
-
-  userMarker = window.L.circleMarker([latitude, longitude], {
-    radius: 9,
-    color: "#7d0014",
-    weight: 3,
-    fillColor: "#ff2d55",
-    fillOpacity: 0.95
-  }).addTo(map);
-  userMarker.bindPopup("You are here");
+  userMarker.bindPopup(searchLocation?.label ? escapeHtml(searchLocation.label) : "You are here");
 
   const boundsPoints = [[latitude, longitude]];
 
@@ -379,9 +612,9 @@ function updateMap(latitude, longitude, toilets) {
     });
 
     marker.bindPopup(
-      `<strong>${escapeHtml(toilet.name)}</strong><br>${escapeHtml(toilet.areaName)}<br>${formatDistance(
-        toilet.distanceKm
-      )} away`
+      `<strong>${escapeHtml(toilet.name)}</strong><br>${escapeHtml(toilet.areaName)}<br>${describeDistance(
+        toilet
+      )}`
     );
 
     marker.addTo(mapMarkers);
@@ -389,12 +622,189 @@ function updateMap(latitude, longitude, toilets) {
     boundsPoints.push([toilet.lat, toilet.lon]);
   });
 
-  const bounds = window.L.latLngBounds(boundsPoints);
-  map.fitBounds(bounds, { padding: [36, 36], maxZoom: 15 });
+  if (restoreHoverId && toiletsById.has(restoreHoverId)) {
+    showHoverPath(restoreHoverId);
+  }
+  renderAreaMarkers();
+
+  if (fitBounds) {
+    const bounds = window.L.latLngBounds(boundsPoints);
+    map.fitBounds(bounds, { padding: [36, 36], maxZoom: 15 });
+  }
+}
+
+function setMapAreaNote(message) {
+  if (mapAreaNote) {
+    mapAreaNote.textContent = message;
+  }
+}
+
+// Viewport toilets that are not already in the ranked list, drawn as small circles and clustered.
+function renderAreaMarkers() {
+  if (!areaMarkers) {
+    return;
+  }
+
+  areaMarkers.clearLayers();
+  const layers = [];
+  areaToilets.forEach((toilet) => {
+    if (toiletsById.has(toilet.id)) {
+      return;
+    }
+
+    const distance = currentUserLocation
+      ? `<br>${formatDistance(haversineKm(currentUserLocation.lat, currentUserLocation.lon, toilet.lat, toilet.lon))} away`
+      : "";
+    layers.push(
+      window.L.circleMarker([toilet.lat, toilet.lon], {
+        radius: 6,
+        weight: 2,
+        color: "#0d8b63",
+        fillColor: "#ddf5ed",
+        fillOpacity: 0.9
+      }).bindPopup(
+        `<strong>${escapeHtml(toilet.name)}</strong><br>${escapeHtml(toilet.areaName)}${
+          toilet.provider === "community" ? "<br>Community suggestion" : ""
+        }${distance}`
+      )
+    );
+  });
+
+  // Cluster groups lay out a batch far faster than one marker at a time.
+  if (typeof areaMarkers.addLayers === "function") {
+    areaMarkers.addLayers(layers);
+  } else {
+    layers.forEach((layer) => layer.addTo(areaMarkers));
+  }
+}
+
+function buildAreaQuery(bounds) {
+  const params = new URLSearchParams({
+    bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+      .map((value) => value.toFixed(5))
+      .join(",")
+  });
+
+  activeAmenityFilters.forEach((filter) => params.set(filter, "true"));
+  return params.toString();
+}
+
+async function loadAreaToilets() {
+  if (!map) {
+    return;
+  }
+
+  areaRequestController?.abort();
+  areaRequestController = null;
+
+  if (map.getZoom() < MIN_AREA_ZOOM) {
+    areaToilets = [];
+    renderAreaMarkers();
+    setMapAreaNote("Zoom in to see every toilet in view.");
+    return;
+  }
+
+  const controller = new AbortController();
+  areaRequestController = controller;
+  try {
+    const response = await fetch(`/api/toilets?${buildAreaQuery(map.getBounds())}`, {
+      signal: controller.signal
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      areaToilets = [];
+      setMapAreaNote(payload.error === "outside_supported_regions" ? "" : payload.message || "");
+    } else {
+      areaToilets = payload.toilets;
+      setMapAreaNote(
+        payload.truncated
+          ? `Showing the ${payload.count} toilets closest to the map centre. Zoom in to see the rest.`
+          : ""
+      );
+      saveToilets(payload.toilets, { timeZone: payload.query?.timeZone || null }).catch(() => {});
+    }
+    renderAreaMarkers();
+  } catch (error) {
+    // Aborted by a newer pan, or offline: keep whatever is already drawn.
+    if (error?.name !== "AbortError") {
+      setMapAreaNote("");
+    }
+  } finally {
+    if (areaRequestController === controller) {
+      areaRequestController = null;
+    }
+  }
+}
+
+function scheduleAreaLoad() {
+  clearTimeout(areaLoadTimer);
+  areaLoadTimer = setTimeout(loadAreaToilets, AREA_LOAD_DELAY_MS);
+}
+
+function renderOpeningTag(toilet) {
+  if (toilet.openNow === true) {
+    return renderTag(toilet.closesAt ? `Open now – closes ${escapeHtml(toilet.closesAt)}` : "Open now");
+  }
+
+  if (toilet.openNow === false) {
+    return renderTag(toilet.opensAt ? `Closed – opens ${escapeHtml(toilet.opensAt)}` : "Closed", true);
+  }
+
+  return "";
+}
+
+function getReportCategoryLabel(category) {
+  const option = reportCategorySelect?.querySelector(`option[value="${category}"]`);
+  return option ? option.textContent : category;
+}
+
+function renderReportTag(toilet) {
+  const reports = toilet.recentReports;
+  if (!reports?.count) {
+    return "";
+  }
+
+  const labels = reports.categories.map((category) => escapeHtml(getReportCategoryLabel(category).toLowerCase()));
+  return renderTag(`Recently reported: ${labels.join(", ")}`, true);
+}
+
+// Tags most raters agreed on, e.g. "Soap, Often a queue".
+function describeRatingTags(rating) {
+  return Object.entries(rating.tags || {})
+    .filter(([, count]) => count * 2 >= rating.count)
+    .map(([tag]) => RATING_TAG_LABELS[tag])
+    .filter(Boolean);
+}
+
+function renderRatingLine(toilet) {
+  const parts = [];
+  if (toilet.rating?.count) {
+    const plural = toilet.rating.count === 1 ? "rating" : "ratings";
+    parts.push(`Cleanliness ${toilet.rating.average}/5 from ${toilet.rating.count} ${plural}`);
+    parts.push(...describeRatingTags(toilet.rating));
+  }
+  if (toilet.upvotes || toilet.downvotes) {
+    parts.push(`Refuge votes: ${toilet.upvotes || 0} up, ${toilet.downvotes || 0} down`);
+  }
+
+  return parts.length > 0 ? `<p class="result-meta">${escapeHtml(parts.join(" · "))}</p>` : "";
 }
 
 function renderToilet(toilet) {
   const tagList = [];
+  const openingTag = renderOpeningTag(toilet);
+  const reportTag = renderReportTag(toilet);
+
+  if (reportTag) {
+    tagList.push(reportTag);
+  }
+  if (openingTag) {
+    tagList.push(openingTag);
+  }
+  if (toilet.provider === "community") {
+    tagList.push(renderTag("Community suggestion"));
+  }
+  const leadingTagCount = tagList.length;
 
   if (toilet.accessible === true) {
     tagList.push(renderTag("Accessible"));
@@ -414,7 +824,7 @@ function renderToilet(toilet) {
   if (toilet.allGender === true) {
     tagList.push(renderTag("All gender"));
   }
-  if (tagList.length === 0) {
+  if (tagList.length === leadingTagCount) {
     tagList.push(renderTag("Amenity details unknown", true));
   }
 
@@ -425,24 +835,213 @@ function renderToilet(toilet) {
   const safeName = escapeHtml(toilet.name);
   const safeArea = escapeHtml(toilet.areaName);
   const safeNotes = toilet.notes ? escapeHtml(toilet.notes) : "";
+  // Ids come from OSM extracts (`node/…`) and community submissions too, so they are escaped like any other text.
+  const safeId = escapeHtml(toilet.id);
   const notes = safeNotes ? `<p class="result-meta">Notes: ${safeNotes}</p>` : "";
+  const ratingLine = renderRatingLine(toilet);
+  const walkTime = `<p class="result-meta result-walk"${hasWalkingRoute(toilet) ? "" : " hidden"}>${
+    hasWalkingRoute(toilet) ? `About ${toilet.walkMinutes} min walk` : ""
+  }</p>`;
 
   return `
-    <li class="result-item" data-toilet-id="${toilet.id}" tabindex="0">
+    <li class="result-item" data-toilet-id="${safeId}" tabindex="0">
       <div class="result-head">
         <span class="result-name">${safeName}</span>
-        <span class="result-distance">${formatDistance(toilet.distanceKm)}</span>
+        <span class="result-distance">${formatDistance(hasWalkingRoute(toilet) ? toilet.walkKm : toilet.distanceKm)}</span>
       </div>
       <p class="result-meta">Area: ${safeArea}</p>
+      ${walkTime}
+      ${ratingLine}
       ${notes}
       <div class="tags">${tagList.join("")}</div>
       <a class="result-link" href="${mapsUrl}" target="_blank" rel="noopener noreferrer">
         Open in maps
       </a>
+      <div class="result-actions">
+        <button type="button" class="link-button result-action" data-rate-toilet-id="${safeId}">Rate it</button>
+        <button type="button" class="link-button result-action" data-report-toilet-id="${safeId}">
+          Report a problem
+        </button>
+      </div>
     </li>
   `;
 }
 
+function showDialog(dialog) {
+  if (typeof dialog.showModal === "function") {
+    dialog.showModal();
+  } else {
+    dialog.setAttribute("open", "open");
+  }
+}
+
+function hideDialog(dialog) {
+  if (!dialog) {
+    return;
+  }
+
+  if (typeof dialog.close === "function") {
+    dialog.close();
+  } else {
+    dialog.removeAttribute("open");
+  }
+}
+
+function setDialogStatus(element, message, type = "default") {
+  if (!element) {
+    return;
+  }
+
+  element.textContent = message;
+  element.classList.toggle("error", type === "error");
+  element.classList.toggle("success", type === "success");
+}
+
+function findResultToilet(toiletId) {
+  return lastToiletResults.find((candidate) => String(candidate.id) === toiletId) || null;
+}
+
+// Applies `change(toilet)` to one listed toilet and redraws the list without touching the map.
+function updateResultToilet(toiletId, change) {
+  lastToiletResults = lastToiletResults.map((toilet) => (String(toilet.id) === toiletId ? change(toilet) : toilet));
+  resultsList.innerHTML = lastToiletResults.map(renderToilet).join("");
+  bindResultInteractions();
+}
+
+function getDeviceId() {
+  try {
+    let deviceId = window.localStorage.getItem(DEVICE_ID_STORAGE_KEY);
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      window.localStorage.setItem(DEVICE_ID_STORAGE_KEY, deviceId);
+    }
+    return deviceId;
+  } catch {
+    // Without storage the server falls back to throttling by IP address.
+    return "";
+  }
+}
+
+function openReportDialog(toiletId) {
+  const toilet = findResultToilet(toiletId);
+  if (!reportDialog || !reportForm || !toilet) {
+    return;
+  }
+
+  reportingToiletId = toiletId;
+  reportForm.reset();
+  reportToiletName.textContent = `${toilet.name}, ${toilet.areaName}`;
+  setDialogStatus(reportStatus, "");
+  showDialog(reportDialog);
+}
+
+function openRatingDialog(toiletId) {
+  const toilet = findResultToilet(toiletId);
+  if (!ratingDialog || !ratingForm || !toilet) {
+    return;
+  }
+
+  ratingToiletId = toiletId;
+  ratingForm.reset();
+  ratingToiletName.textContent = `${toilet.name}, ${toilet.areaName}`;
+  setDialogStatus(ratingStatus, "");
+  showDialog(ratingDialog);
+}
+
+async function submitRating(event) {
+  event.preventDefault();
+  if (!ratingForm || !ratingToiletId) {
+    return;
+  }
+
+  const toiletId = ratingToiletId;
+  const formData = new FormData(ratingForm);
+  if (!formData.get("score")) {
+    setDialogStatus(ratingStatus, "Pick a score from 1 to 5.", "error");
+    return;
+  }
+
+  ratingSubmit.disabled = true;
+  setDialogStatus(ratingStatus, "Sending rating...");
+
+  try {
+    const response = await fetch(`/api/toilets/${encodeURIComponent(toiletId)}/ratings`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        score: Number(formData.get("score")),
+        tags: formData.getAll("tags").map(String),
+        deviceId: getDeviceId()
+      })
+    });
+    const responseBody = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(responseBody.message || "Unable to send rating.");
+    }
+
+    updateResultToilet(toiletId, (toilet) => ({ ...toilet, rating: responseBody.rating }));
+    setDialogStatus(ratingStatus, "Thanks for rating.", "success");
+    setTimeout(() => hideDialog(ratingDialog), 650);
+  } catch (error) {
+    setDialogStatus(ratingStatus, error.message || "Unable to send rating.", "error");
+  } finally {
+    ratingSubmit.disabled = false;
+  }
+}
+
+async function submitReport(event) {
+  event.preventDefault();
+  if (!reportForm || !reportingToiletId) {
+    return;
+  }
+
+  const toiletId = reportingToiletId;
+  const formData = new FormData(reportForm);
+  reportSubmit.disabled = true;
+  setDialogStatus(reportStatus, "Sending report...");
+
+  try {
+    const response = await fetch(`/api/toilets/${encodeURIComponent(toiletId)}/reports`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        category: String(formData.get("category") || ""),
+        note: String(formData.get("note") || "").trim(),
+        deviceId: getDeviceId()
+      })
+    });
+    const responseBody = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(responseBody.message || "Unable to send report.");
+    }
+
+    // Show the warning tag straight away rather than waiting for the next search.
+    const { category, createdAt } = responseBody.report;
+    updateResultToilet(toiletId, (toilet) => {
+      const previous = toilet.recentReports || { count: 0, categories: [] };
+      return {
+        ...toilet,
+        recentReports: {
+          count: previous.count + 1,
+          categories: [category, ...previous.categories.filter((existing) => existing !== category)],
+          latestAt: createdAt
+        }
+      };
+    });
+
+    setDialogStatus(reportStatus, "Thanks, your report was sent.", "success");
+    setTimeout(() => hideDialog(reportDialog), 650);
+  } catch (error) {
+    setDialogStatus(reportStatus, error.message || "Unable to send report.", "error");
+  } finally {
+    reportSubmit.disabled = false;
+  }
+}
+
 function getCurrentPosition() {
   return new Promise((resolve, reject) => {
     if (!navigator.geolocation) {
@@ -458,7 +1057,362 @@ function getCurrentPosition() {
   });
 }
 
+function buildNearestQuery(latitude, longitude) {
+  const params = new URLSearchParams({
+    lat: String(latitude),
+    lon: String(longitude),
+    limit: String(NEAREST_LIMIT)
+  });
+
+  if (resultSort === "best") {
+    params.set("sort", "best");
+  }
+  activeAmenityFilters.forEach((filter) => params.set(filter, "true"));
+  return params.toString();
+}
+
+function setOfflineNotice(savedAt) {
+  if (!offlineNotice) {
+    return;
+  }
+
+  offlineNotice.hidden = !savedAt;
+  offlineNotice.textContent = savedAt ? `Offline data from ${new Date(savedAt).toLocaleString()}` : "";
+}
+
+/**
+ * Saves a wider, unfiltered set of toilets around the search so offline
+ * lookups still work after walking or changing filters. Best effort only.
+ */
+async function prefetchRegionalToilets(latitude, longitude) {
+  if (
+    lastRegionalPrefetch &&
+    haversineKm(lastRegionalPrefetch.lat, lastRegionalPrefetch.lon, latitude, longitude) < MIN_REGIONAL_PREFETCH_MOVE_KM
+  ) {
+    return;
+  }
+
+  lastRegionalPrefetch = { lat: latitude, lon: longitude };
+  const params = new URLSearchParams({
+    lat: latitude.toFixed(6),
+    lon: longitude.toFixed(6),
+    radiusKm: String(REGIONAL_PREFETCH_RADIUS_KM)
+  });
+  const response = await fetch(`/api/toilets?${params.toString()}`);
+  if (response.ok) {
+    const payload = await response.json();
+    await saveToilets(payload.toilets, { timeZone: payload.query?.timeZone || null });
+  }
+}
+
+async function loadOfflineNearest(query, latitude, longitude) {
+  const filters = [...activeAmenityFilters].filter((filter) => filter in AMENITY_FILTERS);
+  const { toilets, savedAt } = await findNearestOffline(query, latitude, longitude, NEAREST_LIMIT, {
+    filters,
+    openNowOnly: activeAmenityFilters.has("openNow")
+  });
+
+  return {
+    offlineSavedAt: savedAt,
+    payload: {
+      count: toilets.length,
+      query: { region: "Offline" },
+      source: { name: "saved offline data" },
+      toilets
+    }
+  };
+}
+
+// Points the Download links at the same search in each export format; hidden without live results.
+function updateDownloadLinks(query) {
+  if (!downloadLinks) {
+    return;
+  }
+
+  downloadLinks.hidden = !query;
+  downloadLinks.querySelectorAll("[data-format]").forEach((link) => {
+    link.href = query ? `/api/nearest?${query}&format=${link.getAttribute("data-format")}` : "";
+  });
+}
+
+// Falls back to IndexedDB only when the request never reached the server.
+async function fetchNearestPayload(latitude, longitude) {
+  const query = buildNearestQuery(latitude, longitude);
+  let response;
+  try {
+    response = await fetch(`/api/nearest?${query}`);
+  } catch (error) {
+    try {
+      return await loadOfflineNearest(query, latitude, longitude);
+    } catch {
+      throw new Error("You appear to be offline and no saved toilet data is available.");
+    }
+  }
+
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.message || "Unable to look up nearest toilets.");
+  }
+
+  saveNearestResponse(query, payload).catch(() => {});
+  prefetchRegionalToilets(latitude, longitude).catch(() => {});
+  return { payload, offlineSavedAt: null };
+}
+
+async function loadNearestToilets(latitude, longitude, { label = null, tracking = false } = {}) {
+  if (!tracking) {
+    setStatus("Finding nearby toilets...");
+    clearResults();
+    lastToiletResults = [];
+  }
+  searchLocation = { lat: latitude, lon: longitude, label };
+
+  const { payload, offlineSavedAt } = await fetchNearestPayload(latitude, longitude);
+  setOfflineNotice(offlineSavedAt);
+  updateDownloadLinks(
+    payload.toilets.length > 0 && payload.query?.region !== "Offline" ? buildNearestQuery(latitude, longitude) : null
+  );
+
+  const filterNote = activeAmenityFilters.size > 0 ? " matching your filters" : "";
+
+  if (!payload.toilets.length) {
+    lastToiletResults = [];
+    queryFurthestKm = 0;
+    resultsList.innerHTML = "";
+    updateMap(latitude, longitude, [], { fitBounds: !tracking });
+    setStatus(
+      payload.query?.region === "Offline"
+        ? `You appear to be offline and no saved toilets${filterNote} are near here.`
+        : `No nearby toilets${filterNote} found from ${payload.source?.name || "the selected data source"}.`
+    );
+    return;
+  }
+  renderResults(payload.toilets);
+  queryFurthestKm = payload.toilets[payload.toilets.length - 1].distanceKm;
+  updateMap(latitude, longitude, lastToiletResults, { fitBounds: !tracking });
+  const staleNote = payload.source?.stale
+    ? ` Data last updated ${new Date(payload.source.cachedAt).toLocaleString()}.`
+    : "";
+  setStatus(
+    `Showing ${payload.toilets.length} closest toilets${filterNote} from ${payload.source?.name || "the data source"} (${payload.query?.region || "Auto"}).${staleNote}`
+  );
+}
+
+// Keeps the existing list items (and any hover state) when only distances changed.
+function renderResults(toilets) {
+  const sameOrder =
+    toilets.length === lastToiletResults.length &&
+    toilets.every((toilet, i) => String(toilet.id) === String(lastToiletResults[i].id));
+
+  lastToiletResults = toilets;
+  if (sameOrder && resultsList.children.length === toilets.length) {
+    updateResultDistances();
+    return;
+  }
+
+  resultsList.innerHTML = lastToiletResults.map(renderToilet).join("");
+  bindResultInteractions();
+}
+
+function updateResultDistances() {
+  resultsList.querySelectorAll(".result-item").forEach((item, i) => {
+    const toilet = lastToiletResults[i];
+    if (!toilet) {
+      return;
+    }
+
+    const distance = item.querySelector(".result-distance");
+    if (distance) {
+      distance.textContent = formatDistance(hasWalkingRoute(toilet) ? toilet.walkKm : toilet.distanceKm);
+    }
+
+    const walk = item.querySelector(".result-walk");
+    if (walk) {
+      walk.hidden = !hasWalkingRoute(toilet);
+      walk.textContent = hasWalkingRoute(toilet) ? `About ${toilet.walkMinutes} min walk` : "";
+    }
+  });
+}
+
+function setTrackingButtonState(active) {
+  if (!trackButton) {
+    return;
+  }
+
+  trackButton.setAttribute("aria-pressed", String(active));
+  trackButton.textContent = active ? "Stop tracking" : "Track me";
+}
+
+function stopTracking() {
+  if (trackingWatchId === null) {
+    return;
+  }
+
+  navigator.geolocation.clearWatch(trackingWatchId);
+  trackingWatchId = null;
+  trackingQueryInFlight = false;
+  cancelAnimationFrame(userMarkerAnimation);
+  setTrackingButtonState(false);
+}
+
+function animateUserMarker(latitude, longitude) {
+  if (!userMarker) {
+    return;
+  }
+
+  cancelAnimationFrame(userMarkerAnimation);
+  const from = userMarker.getLatLng();
+  const startedAt = performance.now();
+
+  const step = (now) => {
+    const progress = Math.min(1, (now - startedAt) / USER_MARKER_ANIMATION_MS);
+    userMarker.setLatLng([
+      from.lat + (latitude - from.lat) * progress,
+      from.lng + (longitude - from.lng) * progress
+    ]);
+    if (progress < 1) {
+      userMarkerAnimation = requestAnimationFrame(step);
+    }
+  };
+  userMarkerAnimation = requestAnimationFrame(step);
+}
+
+/**
+ * The server only returns the closest NEAREST_LIMIT toilets, so once we have
+ * walked far enough that an unseen toilet could be closer than the furthest
+ * listed one (or the listed order has flipped), the list needs a fresh query.
+ */
+function trackedResultsNeedRequery(movedKm) {
+  // "Best nearby" is deliberately not in distance order, so only the radius check applies.
+  const outOfOrder = resultSort === "nearest" && lastToiletResults.some(
+    (toilet, i) => i > 0 && toilet.distanceKm < lastToiletResults[i - 1].distanceKm
+  );
+  if (outOfOrder) {
+    return true;
+  }
+
+  if (lastToiletResults.length < NEAREST_LIMIT) {
+    return movedKm > queryFurthestKm;
+  }
+
+  const furthestKm = lastToiletResults[lastToiletResults.length - 1].distanceKm;
+  return furthestKm > queryFurthestKm - movedKm;
+}
+
+async function handleTrackingPosition(position) {
+  const { latitude, longitude } = position.coords;
+  currentLocationLine.textContent = `Tracking: ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+
+  if (trackingQueryInFlight) {
+    return;
+  }
+
+  // The first fix after starting is a normal search that also frames the map.
+  if (lastTrackingQueryAt === 0) {
+    trackingQueryInFlight = true;
+    lastTrackingQueryAt = Date.now();
+    try {
+      await loadNearestToilets(latitude, longitude);
+    } finally {
+      trackingQueryInFlight = false;
+    }
+    return;
+  }
+
+  const previous = currentUserLocation;
+  if (previous && haversineKm(previous.lat, previous.lon, latitude, longitude) < MIN_TRACKING_MOVE_KM) {
+    return;
+  }
+
+  currentUserLocation = { lat: latitude, lon: longitude };
+  animateUserMarker(latitude, longitude);
+
+  // Walking routes were computed from the old position, so drop them until the next query.
+  lastToiletResults = lastToiletResults.map((toilet) => ({
+    ...toilet,
+    distanceKm: haversineKm(latitude, longitude, toilet.lat, toilet.lon),
+    walkKm: null,
+    walkMinutes: null,
+    walkPath: null
+  }));
+  lastToiletResults.forEach((toilet) => toiletsById.set(toilet.id, toilet));
+  updateResultDistances();
+  if (hoveredToiletId) {
+    showHoverPath(hoveredToiletId);
+  }
+
+  const movedKm = haversineKm(searchLocation.lat, searchLocation.lon, latitude, longitude);
+  if (Date.now() - lastTrackingQueryAt < MIN_TRACKING_REQUERY_MS || !trackedResultsNeedRequery(movedKm)) {
+    return;
+  }
+
+  trackingQueryInFlight = true;
+  lastTrackingQueryAt = Date.now();
+  try {
+    await loadNearestToilets(latitude, longitude, { tracking: true });
+  } finally {
+    trackingQueryInFlight = false;
+  }
+}
+
+function startTracking() {
+  if (!("geolocation" in navigator)) {
+    setStatus("Geolocation is not supported in this browser.");
+    return;
+  }
+
+  initMap();
+  setDeviceLocationButtonVisible(false);
+  setTrackingButtonState(true);
+  setStatus("Waiting for your location...");
+  lastTrackingQueryAt = 0;
+  trackingWatchId = navigator.geolocation.watchPosition(
+    (position) => {
+      handleTrackingPosition(position).catch((error) => {
+        setStatus(error.message || "Unable to update nearby toilets.");
+      });
+    },
+    (error) => {
+      stopTracking();
+      if (error.code === 1) {
+        setStatus("Location permission denied. Tracking stopped.");
+      } else {
+        setStatus(error.message || "Unable to track your location.");
+      }
+    },
+    { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+  );
+}
+
+function toggleTracking() {
+  if (trackingWatchId === null) {
+    startTracking();
+  } else {
+    stopTracking();
+    setStatus("Tracking stopped.");
+  }
+}
+
+function setDeviceLocationButtonVisible(visible) {
+  if (deviceLocationButton) {
+    deviceLocationButton.hidden = !visible;
+  }
+}
+
+async function setManualLocation(latitude, longitude) {
+  stopTracking();
+  currentLocationLine.textContent = `Location set manually: ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+  setDeviceLocationButtonVisible(true);
+
+  try {
+    await loadNearestToilets(latitude, longitude, { label: "Location set manually" });
+  } catch (error) {
+    setStatus(error.message || "Something went wrong while finding toilets.");
+  }
+}
+
 async function findNearestToilets() {
+  stopTracking();
   initMap();
   locateButton.disabled = true;
   setStatus("Requesting your location...");
@@ -469,37 +1423,188 @@ async function findNearestToilets() {
   try {
     const position = await getCurrentPosition();
     const { latitude, longitude } = position.coords;
-    setStatus("Finding nearby toilets...");
 
     currentLocationLine.textContent = `Your location: ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+    setDeviceLocationButtonVisible(false);
 
-    const response = await fetch(
-      `/api/nearest?lat=${encodeURIComponent(latitude)}&lon=${encodeURIComponent(longitude)}&limit=5`
-    );
+    await loadNearestToilets(latitude, longitude);
+  } catch (error) {
+    if (error?.code === 1) {
+      setStatus("Location permission was denied. Search for a postcode, ZIP code or place instead.");
+      return;
+    }
+    setStatus(error.message || "Something went wrong while finding toilets.");
+  } finally {
+    locateButton.disabled = false;
+  }
+}
 
-    const payload = await response.json();
+async function searchPlace(event) {
+  event.preventDefault();
+  const query = placeSearchInput.value.trim();
+  if (!query) {
+    setStatus("Enter a postcode, ZIP code or place name.");
+    return;
+  }
+
+  stopTracking();
+  initMap();
+  placeSearchButton.disabled = true;
+  setStatus(`Looking up "${query}"...`);
+  clearResults();
+  currentLocationLine.textContent = "";
+  lastToiletResults = [];
+
+  try {
+    const response = await fetch(`/api/geocode?q=${encodeURIComponent(query)}`);
+    const payload = await response.json().catch(() => ({}));
     if (!response.ok) {
-      throw new Error(payload.message || "Unable to look up nearest toilets.");
+      throw new Error(payload.message || "Unable to find that place.");
     }
 
-    if (!payload.toilets.length) {
-      lastToiletResults = [];
-      updateMap(latitude, longitude, []);
-      setStatus(`No nearby toilets found from ${payload.source?.name || "the selected data source"}.`);
-      return;
+    const [place] = payload.results;
+    currentLocationLine.textContent = `Searching near: ${place.label}`;
+    setDeviceLocationButtonVisible(true);
+    await loadNearestToilets(place.lat, place.lon, { label: place.label });
+  } catch (error) {
+    setStatus(error.message || "Something went wrong while searching for that place.");
+  } finally {
+    placeSearchButton.disabled = false;
+  }
+}
+
+function setSuggestMode(enabled) {
+  suggestMode = enabled;
+  suggestButton?.setAttribute("aria-pressed", enabled ? "true" : "false");
+  if (suggestHint) {
+    suggestHint.hidden = !enabled;
+  }
+
+  if (enabled) {
+    initMap();
+  } else if (suggestionMarker) {
+    suggestionMarker.remove();
+    suggestionMarker = null;
+  }
+}
+
+function placeSuggestionPin(latlng) {
+  if (!suggestionMarker) {
+    suggestionMarker = window.L.marker(latlng, { draggable: true, title: "Suggested toilet" }).addTo(map);
+    suggestionMarker.on("click", openSuggestDialog);
+  } else {
+    suggestionMarker.setLatLng(latlng);
+  }
+  openSuggestDialog();
+}
+
+function openSuggestDialog() {
+  if (!suggestDialog || !suggestionMarker) {
+    return;
+  }
+
+  const { lat, lng } = suggestionMarker.getLatLng();
+  suggestLocationLine.textContent =
+    `Pin at ${lat.toFixed(5)}, ${lng.toFixed(5)}. Close this to drag the pin, then click the pin to come back.`;
+  setDialogStatus(suggestStatus, "");
+  showDialog(suggestDialog);
+}
+
+async function submitSuggestion(event) {
+  event.preventDefault();
+  if (!suggestForm || !suggestionMarker) {
+    return;
+  }
+
+  const formData = new FormData(suggestForm);
+  const amenities = formData.getAll("amenities").map(String);
+  const { lat, lng } = suggestionMarker.getLatLng();
+  suggestSubmit.disabled = true;
+  setDialogStatus(suggestStatus, "Sending suggestion...");
+
+  try {
+    const response = await fetch("/api/submissions", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        lat,
+        lon: lng,
+        name: String(formData.get("name") || ""),
+        areaName: String(formData.get("areaName") || ""),
+        openingTimes: String(formData.get("openingTimes") || ""),
+        notes: String(formData.get("notes") || ""),
+        website: String(formData.get("website") || ""),
+        // Unticked boxes mean "not checked", so they are sent as unknown rather than false.
+        ...Object.fromEntries(amenities.map((amenity) => [amenity, true]))
+      })
+    });
+    const responseBody = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(responseBody.message || "Unable to send suggestion.");
     }
 
-    lastToiletResults = payload.toilets;
-    resultsList.innerHTML = lastToiletResults.map(renderToilet).join("");
-    bindResultInteractions();
-    updateMap(latitude, longitude, lastToiletResults);
-    setStatus(
-      `Showing ${payload.toilets.length} closest toilets from ${payload.source?.name || "the data source"} (${payload.query?.region || "Auto"}).`
-    );
+    setDialogStatus(suggestStatus, "Thanks! It will appear once a moderator has checked it.", "success");
+    suggestForm.reset();
+    setSuggestMode(false);
+    setTimeout(() => hideDialog(suggestDialog), 1200);
   } catch (error) {
-    setStatus(error.message || "Something went wrong while finding toilets.");
+    setDialogStatus(suggestStatus, error.message || "Unable to send suggestion.", "error");
   } finally {
-    locateButton.disabled = false;
+    suggestSubmit.disabled = false;
+  }
+}
+
+async function setResultSort(sort) {
+  if (sort === resultSort) {
+    return;
+  }
+
+  resultSort = sort === "best" ? "best" : "nearest";
+  sortButtons.forEach((button) => {
+    button.setAttribute("aria-pressed", button.getAttribute("data-sort") === resultSort ? "true" : "false");
+  });
+
+  if (!searchLocation) {
+    return;
+  }
+
+  try {
+    await loadNearestToilets(searchLocation.lat, searchLocation.lon, {
+      label: searchLocation.label,
+      tracking: trackingWatchId !== null
+    });
+  } catch (error) {
+    setStatus(error.message || "Something went wrong while finding toilets.");
+  }
+}
+
+async function toggleAmenityFilter(button) {
+  const filter = button.getAttribute("data-filter");
+  if (!filter) {
+    return;
+  }
+
+  if (activeAmenityFilters.has(filter)) {
+    activeAmenityFilters.delete(filter);
+  } else {
+    activeAmenityFilters.add(filter);
+  }
+  button.setAttribute("aria-pressed", activeAmenityFilters.has(filter) ? "true" : "false");
+  scheduleAreaLoad();
+
+  if (!searchLocation) {
+    return;
+  }
+
+  try {
+    await loadNearestToilets(searchLocation.lat, searchLocation.lon, {
+      label: searchLocation.label,
+      tracking: trackingWatchId !== null
+    });
+  } catch (error) {
+    setStatus(error.message || "Something went wrong while finding toilets.");
   }
 }
 
@@ -515,6 +1620,23 @@ window.addEventListener("resize", () => {
   }
 });
 locateButton.addEventListener("click", findNearestToilets);
+placeSearchForm?.addEventListener("submit", searchPlace);
+deviceLocationButton?.addEventListener("click", findNearestToilets);
+trackButton?.addEventListener("click", toggleTracking);
+resultsList.addEventListener("click", (event) => {
+  const reportButton = event.target.closest("[data-report-toilet-id]");
+  if (reportButton) {
+    openReportDialog(reportButton.getAttribute("data-report-toilet-id"));
+  }
+
+  const rateButton = event.target.closest("[data-rate-toilet-id]");
+  if (rateButton) {
+    openRatingDialog(rateButton.getAttribute("data-rate-toilet-id"));
+  }
+});
+sortButtons.forEach((button) => {
+  button.addEventListener("click", () => setResultSort(button.getAttribute("data-sort")));
+});
 setDistanceUnit(getStoredDistanceUnit(), { persist: false, rerender: false });
 
 if (unitKmButton && unitMiButton) {
@@ -522,9 +1644,21 @@ if (unitKmButton && unitMiButton) {
   unitMiButton.addEventListener("click", () => setDistanceUnit("mi"));
 }
 
+amenityFilterButtons.forEach((button) => {
+  button.addEventListener("click", () => toggleAmenityFilter(button));
+});
+
 if (featureRequestButton && featureRequestDialog && featureRequestForm) {
   featureRequestButton.addEventListener("click", openFeatureRequestDialog);
   featureRequestForm.addEventListener("submit", submitFeatureRequest);
+  featureRequestForm.querySelector("#feature-message")?.addEventListener("input", scheduleSimilarRequests);
+  featureRequestForm.querySelector("#feature-subject")?.addEventListener("input", scheduleSimilarRequests);
+  featureRequestForm.addEventListener("click", (event) => {
+    const voteButton = event.target.closest("[data-feature-vote]");
+    if (voteButton) {
+      voteForFeatureRequest(voteButton);
+    }
+  });
   closeFeatureRequestButton?.addEventListener("click", closeFeatureRequestDialog);
   cancelFeatureRequestButton?.addEventListener("click", closeFeatureRequestDialog);
 
@@ -534,3 +1668,48 @@ if (featureRequestButton && featureRequestDialog && featureRequestForm) {
     }
   });
 }
+
+if (reportDialog && reportForm) {
+  reportForm.addEventListener("submit", submitReport);
+  document.querySelector("#close-report")?.addEventListener("click", () => hideDialog(reportDialog));
+  document.querySelector("#report-cancel")?.addEventListener("click", () => hideDialog(reportDialog));
+
+  reportDialog.addEventListener("click", (event) => {
+    if (event.target === reportDialog) {
+      hideDialog(reportDialog);
+    }
+  });
+}
+
+if (ratingDialog && ratingForm) {
+  ratingForm.addEventListener("submit", submitRating);
+  document.querySelector("#close-rating")?.addEventListener("click", () => hideDialog(ratingDialog));
+  document.querySelector("#rating-cancel")?.addEventListener("click", () => hideDialog(ratingDialog));
+
+  ratingDialog.addEventListener("click", (event) => {
+    if (event.target === ratingDialog) {
+      hideDialog(ratingDialog);
+    }
+  });
+}
+
+if (suggestButton && suggestDialog && suggestForm) {
+  suggestButton.addEventListener("click", () => setSuggestMode(!suggestMode));
+  suggestForm.addEventListener("submit", submitSuggestion);
+  document.querySelector("#close-suggest")?.addEventListener("click", () => hideDialog(suggestDialog));
+  document.querySelector("#suggest-cancel")?.addEventListener("click", () => hideDialog(suggestDialog));
+
+  suggestDialog.addEventListener("click", (event) => {
+    if (event.target === suggestDialog) {
+      hideDialog(suggestDialog);
+    }
+  });
+}
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("./sw.js").catch(() => {
+      // Offline support is optional; the app works the same without it.
+    });
+  });
+}
@@ -0,0 +1,30 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+export const ADMIN_REALM = "HowFarFromPotty admin";
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+/**
+ * Checks an `Authorization: Basic ...` header against the admin password. Any
+ * user name is accepted; only the password is compared, in constant time.
+ */
+export function isAdminAuthorized(authorizationHeader, password) {
+  if (!password) {
+    return false;
+  }
+
+  const match = /^Basic\s+(\S+)$/i.exec(String(authorizationHeader || "").trim());
+  if (!match) {
+    return false;
+  }
+
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  if (separator === -1) {
+    return false;
+  }
+
+  return timingSafeEqual(digest(decoded.slice(separator + 1)), digest(password));
+}
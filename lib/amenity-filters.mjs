@@ -0,0 +1,15 @@
+/**
+ * Amenity filters shared by `/api/nearest` and the browser's offline search.
+ * Only toilets known to have the amenity match; unknown (null) never does.
+ */
+export const AMENITY_FILTERS = {
+  accessible: (toilet) => toilet.accessible === true,
+  babyChange: (toilet) => toilet.babyChange === true,
+  free: (toilet) => toilet.noPayment === true,
+  radar: (toilet) => toilet.radar === true,
+  allGender: (toilet) => toilet.allGender === true
+};
+
+export function matchesAmenityFilters(toilet, filters) {
+  return filters.every((key) => AMENITY_FILTERS[key](toilet));
+}
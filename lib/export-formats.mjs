@@ -0,0 +1,170 @@
+const EXPORT_FIELDS = [
+  "id",
+  "name",
+  "lat",
+  "lon",
+  "areaName",
+  "provider",
+  "distanceKm",
+  "walkKm",
+  "walkMinutes",
+  "accessible",
+  "babyChange",
+  "noPayment",
+  "radar",
+  "allGender",
+  "openNow",
+  "opensAt",
+  "closesAt",
+  "openingTimes",
+  "notes",
+  "updatedAt"
+];
+
+const AMENITY_LABELS = {
+  accessible: "Accessible",
+  babyChange: "Baby change",
+  noPayment: "Free",
+  radar: "RADAR key",
+  allGender: "All gender"
+};
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+// Text that a spreadsheet would run as a formula gets a leading `'`; numbers (negative coordinates) are left alone.
+export function escapeCsv(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function pickFields(toilet) {
+  return Object.fromEntries(EXPORT_FIELDS.map((field) => [field, toilet[field] ?? null]));
+}
+
+function describeSource(source) {
+  return [source.name, source.license, source.attribution].filter(Boolean).join(" – ");
+}
+
+function findSource(sources, toilet) {
+  return sources.find((source) => source.provider === toilet.provider) || sources[0] || {};
+}
+
+// One-line summary used where a format only has a free-text description.
+function describeToilet(toilet) {
+  const parts = [toilet.areaName];
+  if (Number.isFinite(toilet.distanceKm)) {
+    parts.push(`${toilet.distanceKm.toFixed(2)} km away`);
+  }
+  if (Number.isFinite(toilet.walkMinutes)) {
+    parts.push(`about ${toilet.walkMinutes} min walk`);
+  }
+
+  const amenities = Object.keys(AMENITY_LABELS)
+    .filter((field) => toilet[field] === true)
+    .map((field) => AMENITY_LABELS[field]);
+  if (amenities.length > 0) {
+    parts.push(amenities.join(", "));
+  }
+  if (toilet.openingTimes) {
+    parts.push(`Hours: ${toilet.openingTimes}`);
+  }
+  if (toilet.notes) {
+    parts.push(toilet.notes);
+  }
+  return parts.filter(Boolean).join(". ");
+}
+
+function toGeoJson({ query, sources, toilets }) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    query,
+    sources,
+    features: toilets.map((toilet) => ({
+      type: "Feature",
+      id: toilet.id,
+      geometry: { type: "Point", coordinates: [toilet.lon, toilet.lat] },
+      properties: { ...pickFields(toilet), source: findSource(sources, toilet).name || null }
+    }))
+  });
+}
+
+function toCsv({ sources, toilets }) {
+  const header = [...EXPORT_FIELDS, "source", "license"];
+  const rows = toilets.map((toilet) => {
+    const source = findSource(sources, toilet);
+    const values = [...Object.values(pickFields(toilet)), source.name, source.license];
+    return values.map(escapeCsv).join(",");
+  });
+  return `${[header.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+function toGpx({ sources, toilets }) {
+  const waypoints = toilets.map(
+    (toilet) => `  <wpt lat="${toilet.lat}" lon="${toilet.lon}">
+    <name>${escapeXml(toilet.name)}</name>
+    <desc>${escapeXml(describeToilet(toilet))}</desc>
+    <src>${escapeXml(findSource(sources, toilet).name)}</src>
+    <sym>Restroom</sym>
+    <type>toilet</type>
+  </wpt>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="HowFarFromPotty" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Public toilets</name>
+    <desc>${escapeXml(`Data: ${sources.map(describeSource).join("; ")}`)}</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${waypoints.join("\n")}
+</gpx>
+`;
+}
+
+function toKml({ sources, toilets }) {
+  const placemarks = toilets.map((toilet) => {
+    const data = Object.entries(pickFields(toilet))
+      .filter(([, value]) => value !== null)
+      .map(([field, value]) => `        <Data name="${field}"><value>${escapeXml(value)}</value></Data>`);
+
+    return `    <Placemark>
+      <name>${escapeXml(toilet.name)}</name>
+      <description>${escapeXml(describeToilet(toilet))}</description>
+      <ExtendedData>
+${data.join("\n")}
+      </ExtendedData>
+      <Point><coordinates>${toilet.lon},${toilet.lat}</coordinates></Point>
+    </Placemark>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Public toilets</name>
+    <description>${escapeXml(`Data: ${sources.map(describeSource).join("; ")}`)}</description>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Download formats for toilet search responses. Each serializer takes the
+ * JSON response body (`query`, `sources`, `toilets`) and returns a string.
+ */
+export const EXPORT_FORMATS = {
+  geojson: { extension: "geojson", contentType: "application/geo+json; charset=utf-8", serialize: toGeoJson },
+  gpx: { extension: "gpx", contentType: "application/gpx+xml; charset=utf-8", serialize: toGpx },
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8", serialize: toCsv },
+  kml: { extension: "kml", contentType: "application/vnd.google-earth.kml+xml; charset=utf-8", serialize: toKml }
+};
@@ -0,0 +1,342 @@
+import { randomUUID } from "node:crypto";
+import { escapeCsv } from "./export-formats.mjs";
+import { createJsonFileCollection } from "./json-file-store.mjs";
+
+export const FEATURE_REQUEST_STATUSES = ["new", "planned", "done", "duplicate"];
+const MAX_FEATURE_REQUEST_ROWS = 20000;
+const MAX_VOTE_ROWS = 100000;
+const MAX_LISTED_ROWS = 500;
+const CSV_FIELDS = [
+  "id",
+  "status",
+  "published",
+  "votes",
+  "createdAt",
+  "updatedAt",
+  "name",
+  "email",
+  "subject",
+  "message"
+];
+// Words too common in feature requests to say anything about what is being asked for.
+const STOP_WORDS = new Set(
+  (
+    "a an and are be can could for from have how i in is it me my of on or please show that the there this to " +
+    "us want we what when where which with would you add feature app option potty toilet toilets"
+  ).split(" ")
+);
+
+// Case-insensitive match on the free-text fields; an empty query matches everything.
+export function matchesFeatureRequestQuery(featureRequest, query) {
+  const needle = String(query || "").trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+  return ["subject", "message", "name", "email"].some((field) =>
+    String(featureRequest[field] || "").toLowerCase().includes(needle)
+  );
+}
+
+// Lowercased content words, with a trailing plural "s" dropped so "stop" and "stops" match.
+function similarityTerms(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith("s") && !word.endsWith("ss") ? word.slice(0, -1) : word));
+  return new Set(words);
+}
+
+/**
+ * Ranks `featureRequests` by how many content words they share with `text`
+ * (Dice coefficient over word sets, 0-1) and keeps the `limit` best at or
+ * above `minScore`, each with a `similarity` field.
+ */
+export function findSimilarFeatureRequests(text, featureRequests, { limit = 3, minScore = 0.3 } = {}) {
+  const terms = similarityTerms(text);
+  if (terms.size === 0) {
+    return [];
+  }
+
+  return featureRequests
+    .map((featureRequest) => {
+      const candidate = similarityTerms(`${featureRequest.subject || ""} ${featureRequest.message}`);
+      const shared = [...candidate].filter((term) => terms.has(term)).length;
+      const similarity = candidate.size === 0 ? 0 : (2 * shared) / (terms.size + candidate.size);
+      return { ...featureRequest, similarity: Math.round(similarity * 100) / 100 };
+    })
+    .filter((featureRequest) => featureRequest.similarity >= minScore)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+// The fields shown on the public board: never the submitter's name or email.
+export function toPublicFeatureRequest({ id, subject, message, status, createdAt, votes, similarity }) {
+  return { id, subject, message, status, createdAt, votes, ...(similarity === undefined ? {} : { similarity }) };
+}
+
+export function toFeatureRequestsCsv(featureRequests) {
+  const rows = featureRequests.map((featureRequest) =>
+    CSV_FIELDS.map((field) => escapeCsv(featureRequest[field])).join(",")
+  );
+  return `${[CSV_FIELDS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+/**
+ * Feature request repositories share one shape: `name`, `add(featureRequest)`
+ * for a cleaned `{ name, email, subject, message }`, `list({ status, query,
+ * published })` (newest first, at most MAX_LISTED_ROWS; null filters match
+ * everything) and `update(id, { status, published })`, which resolves to the
+ * updated request or null when the id is unknown. Only `published` requests
+ * appear on the public board. Repositories backed by a remote service also
+ * expose `missingConfig()`, the env vars they still need.
+ */
+export function createFileFeatureRequestRepository({ filePath }) {
+  const collection = createJsonFileCollection(filePath);
+
+  return {
+    name: "file",
+    async add(featureRequest) {
+      const record = {
+        id: randomUUID(),
+        name: featureRequest.name || null,
+        email: featureRequest.email || null,
+        subject: featureRequest.subject,
+        message: featureRequest.message,
+        status: "new",
+        published: false,
+        createdAt: new Date().toISOString(),
+        updatedAt: null
+      };
+      await collection.update((rows) => [...rows, record].slice(-MAX_FEATURE_REQUEST_ROWS));
+      return record;
+    },
+    async list({ status = null, query = "", published = null } = {}) {
+      // Rows are appended as they arrive, so reversing the file order is newest first.
+      return (await collection.all())
+        .filter(
+          (row) =>
+            (status === null || row.status === status) &&
+            (published === null || Boolean(row.published) === published) &&
+            matchesFeatureRequestQuery(row, query)
+        )
+        .reverse()
+        .slice(0, MAX_LISTED_ROWS);
+    },
+    async update(id, changes) {
+      let updated = null;
+      await collection.update((rows) =>
+        rows.map((row) => {
+          if (row.id !== id) {
+            return row;
+          }
+          updated = { ...row, ...changes, updatedAt: new Date().toISOString() };
+          return updated;
+        })
+      );
+      return updated;
+    }
+  };
+}
+
+// Tags a failed PostgREST call with the EDB_* codes `mapDatabaseWriteError` understands.
+async function toSupabaseError(response) {
+  let providerMessage = "";
+  try {
+    const asJson = await response.json();
+    providerMessage = asJson?.message || asJson?.error || "";
+  } catch {
+    providerMessage = await response.text().catch(() => "");
+  }
+
+  const error = new Error("db_request_failed");
+  error.responseCode = response.status;
+  error.providerMessage = providerMessage;
+  if (response.status === 401 || response.status === 403) {
+    error.code = "EDB_AUTH";
+  } else if (response.status === 429) {
+    error.code = "EDB_RATE_LIMIT";
+  } else {
+    error.code = "EDB_REQUEST_FAILED";
+  }
+  return error;
+}
+
+function fromSupabaseRow(row) {
+  return {
+    id: String(row.id),
+    name: row.submitter_name || null,
+    email: null,
+    subject: null,
+    message: row.user_idea,
+    status: FEATURE_REQUEST_STATUSES.includes(row.status) ? row.status : "new",
+    published: row.published === true,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || null
+  };
+}
+
+/**
+ * Stores feature requests in the Supabase (PostgREST) `feature_requests`
+ * table: `id`, `user_idea`, `submitter_name`, `created_at`, plus `status`,
+ * `published` and `updated_at` for triage. The table has no subject or email
+ * columns, so those come back null.
+ *
+ * `add` uses the publishable `key`, which row level security should only let
+ * insert. `list` and `update` read and change every row, so they use the
+ * server-only `serviceKey` and fail as not configured without it.
+ */
+export function createSupabaseFeatureRequestRepository({ url, key, serviceKey = "", fetchImpl = fetch }) {
+  const publicCredential = { key, envVar: "SUPABASE_PUBLISHABLE_KEY" };
+  const serverCredential = { key: serviceKey, envVar: "SUPABASE_SERVICE_ROLE_KEY" };
+
+  function missingFor(credential) {
+    const missing = [];
+    if (!url) {
+      missing.push("SUPABASE_FEATURE_REQUESTS_URL");
+    }
+    if (!credential.key) {
+      missing.push(credential.envVar);
+    }
+    return missing;
+  }
+
+  function missingConfig() {
+    return [...new Set([...missingFor(publicCredential), ...missingFor(serverCredential)])];
+  }
+
+  async function request(credential, target, init = {}) {
+    const missing = missingFor(credential);
+    if (missing.length > 0) {
+      const error = new Error("db_not_configured");
+      error.code = "EDB_NOT_CONFIGURED";
+      error.missing = missing;
+      throw error;
+    }
+
+    const headers = {
+      apikey: credential.key,
+      Authorization: `Bearer ${credential.key}`,
+      "Content-Type": "application/json"
+    };
+    let response;
+    try {
+      response = await fetchImpl(target, { ...init, headers: { ...headers, ...init.headers } });
+    } catch (error) {
+      const wrapped = new Error(error?.message || "db_network_error");
+      wrapped.code = "EDB_NETWORK";
+      throw wrapped;
+    }
+    if (!response.ok) {
+      throw await toSupabaseError(response);
+    }
+    return response;
+  }
+
+  return {
+    name: "supabase",
+    missingConfig,
+    async add({ name, message }) {
+      await request(publicCredential, url, {
+        method: "POST",
+        headers: { Prefer: "return=minimal" },
+        body: JSON.stringify({
+          user_idea: message,
+          submitter_name: name || "Anonymous"
+        })
+      });
+      return null;
+    },
+    async list({ status = null, query = "", published = null } = {}) {
+      const params = new URLSearchParams({
+        select: "*",
+        order: "created_at.desc",
+        limit: String(MAX_LISTED_ROWS)
+      });
+      if (status) {
+        params.set("status", `eq.${status}`);
+      }
+      if (published !== null) {
+        params.set("published", `is.${published}`);
+      }
+      // PostgREST reserves these characters inside `or=(...)` filters.
+      const needle = String(query || "").replace(/[,()*"\\]/g, " ").trim();
+      if (needle) {
+        params.set("or", `(user_idea.ilike.*${needle}*,submitter_name.ilike.*${needle}*)`);
+      }
+
+      const rows = await (await request(serverCredential, `${url}?${params.toString()}`)).json();
+      return (Array.isArray(rows) ? rows : []).map(fromSupabaseRow);
+    },
+    async update(id, changes) {
+      const params = new URLSearchParams({ id: `eq.${id}` });
+      const response = await request(serverCredential, `${url}?${params.toString()}`, {
+        method: "PATCH",
+        headers: { Prefer: "return=representation" },
+        body: JSON.stringify({ ...changes, updated_at: new Date().toISOString() })
+      });
+      const [row] = await response.json();
+      return row ? fromSupabaseRow(row) : null;
+    }
+  };
+}
+
+/**
+ * Keeps `repository.list({ published: true })` for `ttlMs`, so every visit to
+ * the public board doesn't hit the store. Concurrent callers share one lookup
+ * and a failed lookup isn't kept. Call `clear()` after changing a request.
+ */
+export function createPublishedFeatureRequestCache(repository, { ttlMs, now = () => Date.now() }) {
+  let cached = null;
+
+  return {
+    list() {
+      if (!cached || cached.expiresAt <= now()) {
+        const entry = { expiresAt: now() + ttlMs, rows: repository.list({ published: true }) };
+        entry.rows.catch(() => {
+          if (cached === entry) {
+            cached = null;
+          }
+        });
+        cached = entry;
+      }
+      return cached.rows;
+    },
+    clear() {
+      cached = null;
+    }
+  };
+}
+
+/**
+ * Upvotes for the public board, one per voter (a `hashVoter` digest) and
+ * request. `add(featureRequestId, voter)` resolves to false when that voter
+ * already voted; `countsFor(ids)` resolves to a Map of id -> votes.
+ */
+export function createFileFeatureRequestVoteStore({ filePath }) {
+  const collection = createJsonFileCollection(filePath);
+
+  return {
+    name: "file",
+    async add(featureRequestId, voter) {
+      let added = false;
+      await collection.update((rows) => {
+        if (rows.some((row) => row.featureRequestId === featureRequestId && row.voter === voter)) {
+          return rows;
+        }
+        added = true;
+        return [...rows, { featureRequestId, voter, createdAt: new Date().toISOString() }].slice(-MAX_VOTE_ROWS);
+      });
+      return added;
+    },
+    async countsFor(featureRequestIds) {
+      const counts = new Map(featureRequestIds.map((id) => [id, 0]));
+      for (const row of await collection.all()) {
+        if (counts.has(row.featureRequestId)) {
+          counts.set(row.featureRequestId, counts.get(row.featureRequestId) + 1);
+        }
+      }
+      return counts;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+export const EARTH_RADIUS_KM = 6371;
+export const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+export function toRad(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+export function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+export function isFiniteNumber(value) {
+  return Number.isFinite(value);
+}
+
+export function isInBounds(lat, lon, bounds) {
+  return (
+    lat >= bounds.minLat &&
+    lat <= bounds.maxLat &&
+    lon >= bounds.minLon &&
+    lon <= bounds.maxLon
+  );
+}
+
+// Ray casting over a ring of [lon, lat] pairs (GeoJSON order).
+export function isInPolygon(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    const crosses = latI > lat !== latJ > lat && lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function boundsIntersect(a, b) {
+  return a.minLat <= b.maxLat && a.maxLat >= b.minLat && a.minLon <= b.maxLon && a.maxLon >= b.minLon;
+}
+
+export function getPolygonBounds(ring) {
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+  for (const [lon, lat] of ring) {
+    bounds.minLat = Math.min(bounds.minLat, lat);
+    bounds.maxLat = Math.max(bounds.maxLat, lat);
+    bounds.minLon = Math.min(bounds.minLon, lon);
+    bounds.maxLon = Math.max(bounds.maxLon, lon);
+  }
+  return bounds;
+}
+
+// Smallest lat/lon box containing the circle (ignores the poles and antimeridian).
+export function boundsAroundPoint(lat, lon, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const lonDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(toRad(lat)), 0.01));
+  return {
+    minLat: lat - latDelta,
+    maxLat: lat + latDelta,
+    minLon: lon - lonDelta,
+    maxLon: lon + lonDelta
+  };
+}
@@ -0,0 +1,158 @@
+import { readFile } from "node:fs/promises";
+import { isFiniteNumber } from "./geo.mjs";
+import { logger } from "./logger.mjs";
+import { USER_AGENT } from "./providers/registry.mjs";
+
+const UK_POSTCODE_REGEX = /^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/;
+const US_ZIP_REGEX = /^\d{5}(\d{4})?$/;
+const POSTCODE_COLUMNS = ["postcode", "pcd", "pcds", "zip", "zipcode", "zcta", "zcta5", "geoid"];
+const LAT_COLUMNS = ["lat", "latitude", "intptlat"];
+const LON_COLUMNS = ["lon", "lng", "long", "longitude", "intptlong"];
+const GEOCODER_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * Uppercases and strips spaces/dashes, so "sw1a 1aa" and "SW1A1AA" (or
+ * "90210-1234" and "902101234") share one key.
+ */
+export function normalizePostcode(value) {
+  return String(value || "").toUpperCase().replace(/[\s-]+/g, "");
+}
+
+export function looksLikePostcode(value) {
+  const postcode = normalizePostcode(value);
+  return UK_POSTCODE_REGEX.test(postcode) || US_ZIP_REGEX.test(postcode);
+}
+
+function formatPostcodeLabel(postcode) {
+  if (US_ZIP_REGEX.test(postcode)) {
+    return postcode.slice(0, 5);
+  }
+  return `${postcode.slice(0, -3)} ${postcode.slice(-3)}`;
+}
+
+function splitCsvLine(line) {
+  return line.split(/[,\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+/**
+ * Reads a CSV/TSV of postcode centroids (e.g. an ONS Postcode Directory or US
+ * ZCTA gazetteer extract). Columns are found by header name.
+ */
+export function parsePostcodeCentroids(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  const header = splitCsvLine(lines[0] || "").map((cell) => cell.toLowerCase());
+  const postcodeColumn = header.findIndex((cell) => POSTCODE_COLUMNS.includes(cell));
+  const latColumn = header.findIndex((cell) => LAT_COLUMNS.includes(cell));
+  const lonColumn = header.findIndex((cell) => LON_COLUMNS.includes(cell));
+  if (postcodeColumn < 0 || latColumn < 0 || lonColumn < 0) {
+    throw new Error("Postcode centroid file needs postcode, latitude and longitude columns.");
+  }
+
+  const centroids = new Map();
+  for (const line of lines.slice(1)) {
+    const cells = splitCsvLine(line);
+    const postcode = normalizePostcode(cells[postcodeColumn]);
+    const lat = Number(cells[latColumn]);
+    const lon = Number(cells[lonColumn]);
+    if (postcode && isFiniteNumber(lat) && isFiniteNumber(lon)) {
+      centroids.set(postcode, { lat, lon });
+    }
+  }
+  return centroids;
+}
+
+/**
+ * Geocoders share one shape: `name` plus `geocode(query)`, resolving to a list
+ * of `{ lat, lon, label, kind }` results (empty when nothing matched).
+ */
+export function createPostcodeGeocoder(centroids) {
+  return {
+    name: "postcodes",
+    async geocode(query) {
+      if (!looksLikePostcode(query)) {
+        return [];
+      }
+
+      const postcode = normalizePostcode(query);
+      // Centroid files key US ZIPs by their five digits, so ZIP+4 falls back to those; UK postcodes never do.
+      const isZipPlusFour = US_ZIP_REGEX.test(postcode) && postcode.length === 9;
+      const match = centroids.get(postcode) || (isZipPlusFour ? centroids.get(postcode.slice(0, 5)) : undefined);
+      return match ? [{ ...match, label: formatPostcodeLabel(postcode), kind: "postcode" }] : [];
+    }
+  };
+}
+
+export async function loadPostcodeGeocoder(filePath) {
+  return createPostcodeGeocoder(parsePostcodeCentroids(await readFile(filePath, "utf8")));
+}
+
+export function createNominatimGeocoder({
+  baseUrl,
+  countryCodes = "",
+  fetchImpl = fetch,
+  timeoutMs = GEOCODER_TIMEOUT_MS
+}) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  return {
+    name: "nominatim",
+    async geocode(query) {
+      const params = new URLSearchParams({ q: query, format: "jsonv2", limit: "5" });
+      if (countryCodes) {
+        params.set("countrycodes", countryCodes);
+      }
+
+      const response = await fetchImpl(`${root}/search?${params.toString()}`, {
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: "application/json"
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`Geocoder request failed (${response.status})`);
+      }
+
+      const rows = await response.json();
+      return (Array.isArray(rows) ? rows : [])
+        .map((row) => ({
+          lat: Number(row?.lat),
+          lon: Number(row?.lon),
+          label: row?.display_name || query,
+          kind: row?.type || row?.category || "place"
+        }))
+        .filter((result) => isFiniteNumber(result.lat) && isFiniteNumber(result.lon));
+    }
+  };
+}
+
+/**
+ * Tries each geocoder in order and returns the first non-empty answer. A
+ * geocoder that throws is skipped; the error is only rethrown when nothing
+ * else found a match, so an outage isn't reported as "not found".
+ */
+export function createGeocoderChain(geocoders) {
+  return {
+    size: geocoders.length,
+    async geocode(query) {
+      let lastError = null;
+      for (const geocoder of geocoders) {
+        let results;
+        try {
+          results = await geocoder.geocode(query);
+        } catch (error) {
+          logger.warn("Geocoder failed, trying the next one", { scope: "geocode", geocoder: geocoder.name, error });
+          lastError = error;
+          continue;
+        }
+        if (results.length > 0) {
+          return { geocoder: geocoder.name, results };
+        }
+      }
+      if (lastError) {
+        throw lastError;
+      }
+      return { geocoder: null, results: [] };
+    }
+  };
+}
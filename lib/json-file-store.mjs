@@ -0,0 +1,82 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { logger } from "./logger.mjs";
+
+/**
+ * A JSON array of rows kept in memory and persisted to one file. Writes are
+ * queued one at a time and go through a temp file + rename, so a crash never
+ * leaves a half-written file behind.
+ *
+ * A file that can't be read or parsed is renamed to `<file>.corrupt-<timestamp>`
+ * and the collection starts empty, so the next write can't destroy it. If it
+ * can't be moved either, reads return no rows and writes are refused.
+ */
+export function createJsonFileCollection(filePath) {
+  let rows = null;
+  let loading = null;
+  let writeBlocked = null;
+  let writeQueue = Promise.resolve();
+
+  async function moveAside(error) {
+    const corruptPath = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    try {
+      await rename(filePath, corruptPath);
+      logger.error("Moved unreadable file aside", { scope: "json-store", filePath, corruptPath, error });
+    } catch (renameError) {
+      logger.error("Refusing writes to unreadable file", { scope: "json-store", filePath, error: renameError });
+      writeBlocked = new Error(`${filePath} could not be read, so it won't be overwritten.`, { cause: error });
+    }
+  }
+
+  function load() {
+    if (!loading) {
+      loading = readFile(filePath, "utf8")
+        .then((text) => {
+          const parsed = JSON.parse(text);
+          if (!Array.isArray(parsed?.rows)) {
+            throw new Error("File has no rows array.");
+          }
+          rows = parsed.rows;
+        })
+        .catch(async (error) => {
+          rows = [];
+          if (error?.code !== "ENOENT") {
+            await moveAside(error);
+          }
+        });
+    }
+    return loading.then(() => rows);
+  }
+
+  async function persist() {
+    await mkdir(dirname(filePath), { recursive: true });
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify({ version: 1, rows }));
+    await rename(tempFile, filePath);
+  }
+
+  // `change` receives the current rows and returns the new array.
+  function update(change) {
+    const next = writeQueue.then(async () => {
+      const current = await load();
+      if (writeBlocked) {
+        throw writeBlocked;
+      }
+      rows = change(current);
+      await persist();
+      return rows;
+    });
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    async all() {
+      return [...(await load())];
+    },
+    update,
+    append(row) {
+      return update((current) => [...current, row]).then(() => row);
+    }
+  };
+}
@@ -0,0 +1,51 @@
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+// Errors don't survive JSON.stringify, so keep the parts that help when reading logs.
+function serializeField(value) {
+  if (value instanceof Error) {
+    return {
+      message: value.message,
+      ...(typeof value.code === "string" ? { code: value.code } : {}),
+      ...(value.stack ? { stack: value.stack } : {})
+    };
+  }
+  return value;
+}
+
+function defaultWrite(level, line) {
+  (level === "warn" || level === "error" ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Writes one JSON object per line: `{ time, level, msg, ...fields }`.
+ * `child(fields)` returns a logger that adds `fields` to every line, which is
+ * how a request ID or a `scope` follows the work around. Lines below `level`
+ * are dropped; `silent` drops everything.
+ */
+export function createLogger({ level = "info", fields = {}, write = defaultWrite, now = () => new Date() } = {}) {
+  const threshold = LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.indexOf("info");
+
+  function log(lineLevel, msg, extra = {}) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) {
+      return;
+    }
+    const line = { time: now().toISOString(), level: lineLevel, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      if (value !== undefined) {
+        line[key] = serializeField(value);
+      }
+    }
+    write(lineLevel, JSON.stringify(line));
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write, now })
+  };
+}
+
+// Shared by the server and the lib modules; LOG_LEVEL=silent keeps test output quiet.
+export const logger = createLogger({ level: (process.env.LOG_LEVEL || "info").trim().toLowerCase() });
@@ -0,0 +1,35 @@
+/**
+ * In-memory least-recently-used cache whose entries also expire `ttlMs` after
+ * they were set. `get(key)` returns undefined for missing or expired keys and
+ * marks a hit as most recently used; `set` evicts the least recently used
+ * entries beyond `maxEntries`.
+ */
+export function createLruCache({ maxEntries, ttlMs, now = () => Date.now() }) {
+  // Map iteration follows insertion order, so re-inserting on every hit keeps the oldest entry first.
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+}
@@ -0,0 +1,122 @@
+// Seconds; suits both local handlers (milliseconds) and slow upstream downloads.
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+// Series are keyed by their labels in insertion order, so callers should always pass them in the same order.
+function seriesKey(labels) {
+  return formatLabels(labels);
+}
+
+/**
+ * A small Prometheus registry. `counter` and `histogram` keep their own
+ * series; `collect` registers a family whose samples are read at scrape time
+ * from `collect()` (an array of `{ labels, value }`), for numbers that already
+ * live somewhere else, like a provider's cache stats. `render()` returns the
+ * text exposition format served at /metrics.
+ */
+export function createMetrics() {
+  const families = [];
+
+  function register(name, type, help, samples) {
+    if (families.some((family) => family.name === name)) {
+      throw new Error(`Metric "${name}" is already registered.`);
+    }
+    families.push({ name, type, help, samples });
+  }
+
+  return {
+    counter(name, help) {
+      const series = new Map();
+      register(name, "counter", help, () =>
+        [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      );
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labels);
+          const current = series.get(key) || { labels, value: 0 };
+          series.set(key, { labels, value: current.value + amount });
+        }
+      };
+    },
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      register(name, "histogram", help, () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (le, index) => `${name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[index]}`
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${name}_count${formatLabels(labels)} ${count}`
+        ])
+      );
+      return {
+        observe(labels, seconds) {
+          const key = seriesKey(labels);
+          let entry = series.get(key);
+          if (!entry) {
+            entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            series.set(key, entry);
+          }
+          buckets.forEach((le, index) => {
+            if (seconds <= le) {
+              entry.counts[index] += 1;
+            }
+          });
+          entry.sum += seconds;
+          entry.count += 1;
+        }
+      };
+    },
+    collect(name, type, help, collect) {
+      register(name, type, help, () =>
+        collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+      );
+    },
+    render() {
+      const lines = [];
+      for (const { name, type, help, samples } of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples());
+      }
+      return `${lines.join("\n")}\n`;
+    }
+  };
+}
+
+/**
+ * Wraps `fetchImpl` so every call to an upstream records its latency (until
+ * the response headers arrive) and outcome (`ok`, `http_<status>` or
+ * `network_error`) under the `upstream` label.
+ */
+export function instrumentFetch(fetchImpl, upstream, { duration, requests }) {
+  return async (resource, init) => {
+    const startedAt = performance.now();
+    let outcome = "network_error";
+    try {
+      const response = await fetchImpl(resource, init);
+      outcome = response.ok ? "ok" : `http_${response.status}`;
+      return response;
+    } finally {
+      duration.observe({ upstream }, (performance.now() - startedAt) / 1000);
+      requests.inc({ upstream, outcome });
+    }
+  };
+}
@@ -0,0 +1,239 @@
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const TIME_REGEX = /^(\d{1,2}):(\d{2})$/;
+
+function parseClockTime(value) {
+  const match = TIME_REGEX.exec(String(value || "").trim());
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function formatClockTime(totalMinutes) {
+  const minutesOfDay = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = String(Math.floor(minutesOfDay / 60)).padStart(2, "0");
+  const minutes = String(minutesOfDay % 60).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Normalizes the Toilet Map `opening_times` value (seven Monday-first entries,
+ * each `[open, close]` or `[]` when closed) into a weekly schedule. A day whose
+ * entry can't be read becomes `null` (unknown) rather than closed, so a typo
+ * upstream never hides an open toilet. Returns null when no day is known.
+ */
+export function parseOpeningTimes(raw) {
+  if (!Array.isArray(raw) || raw.length !== 7) {
+    return null;
+  }
+
+  let hasValidDay = false;
+  const days = raw.map((entry) => {
+    if (!Array.isArray(entry)) {
+      return null;
+    }
+
+    if (entry.length === 0) {
+      hasValidDay = true;
+      return [];
+    }
+
+    const open = parseClockTime(entry[0]);
+    const close = parseClockTime(entry[1]);
+    if (open === null || close === null) {
+      return null;
+    }
+
+    hasValidDay = true;
+    return [{ open: formatClockTime(open), close: close === MINUTES_PER_DAY ? "24:00" : formatClockTime(close) }];
+  });
+
+  return hasValidDay ? { days } : null;
+}
+
+/**
+ * Returns the weekday (0 = Monday) and minutes past midnight for `date` in `timeZone`.
+ */
+export function getLocalClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+
+  const lookup = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+  return {
+    dayIndex: DAY_LABELS.indexOf(lookup.weekday),
+    minutes: Number(lookup.hour) * 60 + Number(lookup.minute)
+  };
+}
+
+function buildWeekIntervals(schedule) {
+  const intervals = [];
+
+  schedule.days.forEach((periods, dayIndex) => {
+    for (const period of periods || []) {
+      const open = parseClockTime(period.open);
+      let close = parseClockTime(period.close);
+      if (close <= open) {
+        // Same open/close (e.g. 00:00-00:00) means open all day; earlier close runs past midnight.
+        close += MINUTES_PER_DAY;
+      }
+
+      const start = dayIndex * MINUTES_PER_DAY + open;
+      const end = dayIndex * MINUTES_PER_DAY + close;
+      for (const shift of [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]) {
+        intervals.push([start + shift, end + shift]);
+      }
+    }
+  });
+
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Computes `openNow`, `opensAt` and `closesAt` for a schedule at the given local clock.
+ * `opensAt` is prefixed with the weekday when the next opening is not today.
+ * All three are null when the schedule or clock is unknown, and when the
+ * answer depends on a day whose hours are unknown.
+ */
+export function getOpenStatus(schedule, clock) {
+  if (!schedule || !clock || clock.dayIndex < 0) {
+    return { openNow: null, opensAt: null, closesAt: null };
+  }
+
+  const now = clock.dayIndex * MINUTES_PER_DAY + clock.minutes;
+  const intervals = buildWeekIntervals(schedule);
+  const isUnknownDay = (day) => schedule.days[((day % 7) + 7) % 7] === null;
+
+  const current = intervals.find(([start, end]) => start <= now && now < end);
+  if (current) {
+    const alwaysOpen = current[1] - current[0] >= MINUTES_PER_WEEK;
+    // Closing at midnight only means closing if the next day is known not to carry on.
+    const closesIntoUnknown = current[1] % MINUTES_PER_DAY === 0 && isUnknownDay(current[1] / MINUTES_PER_DAY);
+    return {
+      openNow: true,
+      opensAt: null,
+      closesAt: alwaysOpen || closesIntoUnknown ? null : formatClockTime(current[1])
+    };
+  }
+
+  const today = Math.floor(now / MINUTES_PER_DAY);
+  if (isUnknownDay(today)) {
+    return { openNow: null, opensAt: null, closesAt: null };
+  }
+
+  const next = intervals.find(([start]) => start > now);
+  if (!next) {
+    return { openNow: false, opensAt: null, closesAt: null };
+  }
+
+  const openingDay = Math.floor(next[0] / MINUTES_PER_DAY);
+  // An unknown day before the next known opening may open earlier, so don't promise a time.
+  for (let day = today + 1; day < openingDay; day += 1) {
+    if (isUnknownDay(day)) {
+      return { openNow: false, opensAt: null, closesAt: null };
+    }
+  }
+  const time = formatClockTime(next[0]);
+  return {
+    openNow: false,
+    opensAt: openingDay === today ? time : `${DAY_LABELS[((openingDay % 7) + 7) % 7]} ${time}`,
+    closesAt: null
+  };
+}
+
+const OSM_DAY_CODES = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+const OSM_DAY_SELECTOR_REGEX = /^(Mo|Tu|We|Th|Fr|Sa|Su)(-(Mo|Tu|We|Th|Fr|Sa|Su))?(,(Mo|Tu|We|Th|Fr|Sa|Su)(-(Mo|Tu|We|Th|Fr|Sa|Su))?)*$/;
+
+function parseOsmDaySelector(selector) {
+  if (!OSM_DAY_SELECTOR_REGEX.test(selector)) {
+    return null;
+  }
+
+  const dayIndexes = new Set();
+  for (const part of selector.split(",")) {
+    const [from, to] = part.split("-");
+    const start = OSM_DAY_CODES.indexOf(from);
+    const end = to ? OSM_DAY_CODES.indexOf(to) : start;
+    for (let offset = 0; offset <= (end - start + 7) % 7; offset += 1) {
+      dayIndexes.add((start + offset) % 7);
+    }
+  }
+  return [...dayIndexes];
+}
+
+function parseOsmTimeSelector(selector) {
+  if (selector === "off" || selector === "closed") {
+    return [];
+  }
+
+  const periods = [];
+  for (const range of selector.split(",")) {
+    const [openText, closeText, ...rest] = range.trim().split("-");
+    const open = parseClockTime(openText);
+    const close = parseClockTime(closeText);
+    if (rest.length > 0 || open === null || close === null) {
+      return null;
+    }
+    periods.push({ open: formatClockTime(open), close: close === MINUTES_PER_DAY ? "24:00" : formatClockTime(close) });
+  }
+  return periods;
+}
+
+/**
+ * Parses the common subset of the OSM `opening_hours` syntax ("24/7",
+ * "Mo-Fr 08:00-18:00; Sa 10:00-16:00; Su off") into the same weekly schedule
+ * as `parseOpeningTimes`. Anything outside that subset (public holidays,
+ * months, sunrise, comments) returns null rather than guessing.
+ */
+export function parseOsmOpeningHours(value) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return null;
+  }
+
+  if (text === "24/7") {
+    return { days: OSM_DAY_CODES.map(() => [{ open: "00:00", close: "24:00" }]) };
+  }
+
+  const days = OSM_DAY_CODES.map(() => []);
+  for (const rule of text.split(";").map((part) => part.trim()).filter(Boolean)) {
+    const [first, ...others] = rule.split(/\s+/);
+    const hasDays = /^[A-Z]/.test(first);
+    const dayIndexes = hasDays ? parseOsmDaySelector(first) : OSM_DAY_CODES.map((_, index) => index);
+    const periods = parseOsmTimeSelector((hasDays ? others : [first, ...others]).join(""));
+    if (!dayIndexes || !periods) {
+      return null;
+    }
+
+    for (const dayIndex of dayIndexes) {
+      days[dayIndex] = periods;
+    }
+  }
+
+  return { days };
+}
@@ -0,0 +1,411 @@
+import { readFile } from "node:fs/promises";
+import { inflateSync } from "node:zlib";
+
+// Minimal protobuf reading for the OSM PBF format: https://wiki.openstreetmap.org/wiki/PBF_Format
+
+// Past seven bytes a varint no longer fits a double exactly; negative int64s are always ten bytes.
+function readLongVarint(bytes) {
+  let result = 0n;
+  bytes.forEach((byte, index) => {
+    result |= BigInt(byte & 0x7f) << BigInt(7 * index);
+  });
+  return Number(BigInt.asIntN(64, result));
+}
+
+// Plain int64 fields come back signed; sint64 fields still need `zigzagDecode`.
+function readVarint(buffer, state) {
+  const start = state.pos;
+  let result = 0;
+  let multiplier = 1;
+  while (state.pos < buffer.length) {
+    const byte = buffer[state.pos];
+    state.pos += 1;
+    result += (byte & 0x7f) * multiplier;
+    if (byte < 0x80) {
+      return state.pos - start > 7 ? readLongVarint(buffer.subarray(start, state.pos)) : result;
+    }
+    multiplier *= 128;
+  }
+  throw new Error("Truncated varint in PBF data.");
+}
+
+function zigzagDecode(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+function readFields(buffer, onField) {
+  const state = { pos: 0 };
+  while (state.pos < buffer.length) {
+    const key = readVarint(buffer, state);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      onField(field, readVarint(buffer, state));
+    } else if (wireType === 2) {
+      const length = readVarint(buffer, state);
+      onField(field, buffer.subarray(state.pos, state.pos + length));
+      state.pos += length;
+    } else if (wireType === 1) {
+      state.pos += 8;
+    } else if (wireType === 5) {
+      state.pos += 4;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}.`);
+    }
+  }
+}
+
+function readPackedVarints(buffer) {
+  const state = { pos: 0 };
+  const values = [];
+  while (state.pos < buffer.length) {
+    values.push(readVarint(buffer, state));
+  }
+  return values;
+}
+
+function decodeBlob(buffer) {
+  let raw = null;
+  let zlibData = null;
+  readFields(buffer, (field, value) => {
+    if (field === 1) {
+      raw = value;
+    } else if (field === 3) {
+      zlibData = value;
+    } else if (field === 4 || field === 6 || field === 7) {
+      throw new Error("Only raw and zlib-compressed PBF blobs are supported.");
+    }
+  });
+
+  if (zlibData) {
+    return inflateSync(zlibData);
+  }
+  if (raw) {
+    return raw;
+  }
+  throw new Error("PBF blob has no data.");
+}
+
+function decodeTags(keys, values, strings) {
+  const tags = {};
+  keys.forEach((keyIndex, i) => {
+    tags[strings[keyIndex]] = strings[values[i]];
+  });
+  return tags;
+}
+
+function decodePrimitiveBlock(buffer, { onNode, onWay = null }) {
+  const strings = [];
+  const groups = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+
+  readFields(buffer, (field, value) => {
+    if (field === 1) {
+      readFields(value, (stringField, bytes) => {
+        if (stringField === 1) {
+          strings.push(bytes.toString("utf8"));
+        }
+      });
+    } else if (field === 2) {
+      groups.push(value);
+    } else if (field === 17) {
+      granularity = value;
+    } else if (field === 19) {
+      latOffset = value;
+    } else if (field === 20) {
+      lonOffset = value;
+    }
+  });
+
+  const toDegrees = (offset, value) => (offset + granularity * value) / 1e9;
+
+  for (const group of groups) {
+    readFields(group, (groupField, groupValue) => {
+      if (groupField === 1) {
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        let keys = [];
+        let values = [];
+        readFields(groupValue, (nodeField, nodeValue) => {
+          if (nodeField === 1) {
+            id = zigzagDecode(nodeValue);
+          } else if (nodeField === 2) {
+            keys = readPackedVarints(nodeValue);
+          } else if (nodeField === 3) {
+            values = readPackedVarints(nodeValue);
+          } else if (nodeField === 8) {
+            lat = zigzagDecode(nodeValue);
+          } else if (nodeField === 9) {
+            lon = zigzagDecode(nodeValue);
+          }
+        });
+        onNode({
+          id,
+          lat: toDegrees(latOffset, lat),
+          lon: toDegrees(lonOffset, lon),
+          timestamp: null,
+          tags: decodeTags(keys, values, strings)
+        });
+      } else if (groupField === 2) {
+        let ids = [];
+        let lats = [];
+        let lons = [];
+        let keysVals = [];
+        readFields(groupValue, (denseField, denseValue) => {
+          if (denseField === 1) {
+            ids = readPackedVarints(denseValue);
+          } else if (denseField === 8) {
+            lats = readPackedVarints(denseValue);
+          } else if (denseField === 9) {
+            lons = readPackedVarints(denseValue);
+          } else if (denseField === 10) {
+            keysVals = readPackedVarints(denseValue);
+          }
+        });
+
+        let id = 0;
+        let lat = 0;
+        let lon = 0;
+        let tagPos = 0;
+        for (let i = 0; i < ids.length; i += 1) {
+          id += zigzagDecode(ids[i]);
+          lat += zigzagDecode(lats[i]);
+          lon += zigzagDecode(lons[i]);
+
+          const tags = {};
+          while (tagPos < keysVals.length && keysVals[tagPos] !== 0) {
+            tags[strings[keysVals[tagPos]]] = strings[keysVals[tagPos + 1]];
+            tagPos += 2;
+          }
+          tagPos += 1;
+
+          onNode({ id, lat: toDegrees(latOffset, lat), lon: toDegrees(lonOffset, lon), timestamp: null, tags });
+        }
+      } else if (groupField === 3 && onWay) {
+        let id = 0;
+        let keys = [];
+        let values = [];
+        let refDeltas = [];
+        readFields(groupValue, (wayField, wayValue) => {
+          if (wayField === 1) {
+            id = wayValue;
+          } else if (wayField === 2) {
+            keys = readPackedVarints(wayValue);
+          } else if (wayField === 3) {
+            values = readPackedVarints(wayValue);
+          } else if (wayField === 8) {
+            refDeltas = readPackedVarints(wayValue);
+          }
+        });
+
+        let ref = 0;
+        const refs = refDeltas.map((delta) => {
+          ref += zigzagDecode(delta);
+          return ref;
+        });
+        onWay({ id, refs, tags: decodeTags(keys, values, strings) });
+      }
+    });
+  }
+}
+
+function readPbfBlocks(buffer, handlers) {
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    const headerLength = buffer.readUInt32BE(pos);
+    pos += 4;
+
+    let blobType = "";
+    let dataSize = 0;
+    readFields(buffer.subarray(pos, pos + headerLength), (field, value) => {
+      if (field === 1) {
+        blobType = value.toString("utf8");
+      } else if (field === 3) {
+        dataSize = value;
+      }
+    });
+    pos += headerLength;
+
+    const blob = buffer.subarray(pos, pos + dataSize);
+    pos += dataSize;
+
+    if (blobType === "OSMData") {
+      decodePrimitiveBlock(decodeBlob(blob), handlers);
+    }
+  }
+}
+
+/**
+ * Decodes the nodes of an .osm.pbf buffer. Ways and relations are skipped.
+ */
+export function parseOsmPbf(buffer) {
+  const nodes = [];
+  readPbfBlocks(buffer, { onNode: (node) => nodes.push(node) });
+  return nodes;
+}
+
+/**
+ * Decodes nodes and ways (with their node `refs`) of an .osm.pbf buffer.
+ */
+export function parseOsmPbfNetwork(buffer) {
+  const nodes = [];
+  const ways = [];
+  readPbfBlocks(buffer, { onNode: (node) => nodes.push(node), onWay: (way) => ways.push(way) });
+  return { nodes, ways };
+}
+
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+}
+
+function parseXmlAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXmlEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+function parseXmlTags(body) {
+  const tags = {};
+  for (const tagMatch of (body || "").matchAll(/<tag\b([^>]*?)\/?>/g)) {
+    const tag = parseXmlAttributes(tagMatch[1]);
+    if (tag.k) {
+      tags[tag.k] = tag.v ?? "";
+    }
+  }
+  return tags;
+}
+
+/**
+ * Reads the nodes of an OSM XML document (.osm, or Overpass `out:xml` output).
+ */
+export function parseOsmXml(text) {
+  const nodes = [];
+  const nodeRegex = /<node\b([^>]*?)(\/>|>([\s\S]*?)<\/node>)/g;
+
+  for (const match of text.matchAll(nodeRegex)) {
+    const attributes = parseXmlAttributes(match[1]);
+    nodes.push({
+      id: Number(attributes.id),
+      lat: Number(attributes.lat),
+      lon: Number(attributes.lon),
+      timestamp: attributes.timestamp || null,
+      tags: parseXmlTags(match[3])
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Reads nodes and ways (with their node `refs`) of an OSM XML document.
+ */
+export function parseOsmXmlNetwork(text) {
+  const ways = [];
+  for (const match of text.matchAll(/<way\b([^>]*?)>([\s\S]*?)<\/way>/g)) {
+    const attributes = parseXmlAttributes(match[1]);
+    const refs = [...match[2].matchAll(/<nd\b[^>]*?\bref\s*=\s*["'](-?\d+)["']/g)].map((ref) => Number(ref[1]));
+    ways.push({ id: Number(attributes.id), refs, tags: parseXmlTags(match[2]) });
+  }
+
+  return { nodes: parseOsmXml(text), ways };
+}
+
+/**
+ * Reads Point features from a GeoJSON FeatureCollection, or the `elements`
+ * array of Overpass `out:json` output.
+ */
+export function parseOsmJson(data) {
+  if (Array.isArray(data?.elements)) {
+    return data.elements
+      .filter((element) => element?.type === "node")
+      .map((element) => ({
+        id: element.id,
+        lat: Number(element.lat),
+        lon: Number(element.lon),
+        timestamp: element.timestamp || null,
+        tags: element.tags || {}
+      }));
+  }
+
+  const features = Array.isArray(data?.features) ? data.features : [];
+  return features
+    .filter((feature) => feature?.geometry?.type === "Point")
+    .map((feature) => {
+      const properties = feature.properties || {};
+      const rawId = String(feature.id ?? properties["@id"] ?? properties.id ?? "");
+      return {
+        id: Number(rawId.replace(/^node\//, "")) || rawId,
+        lat: Number(feature.geometry.coordinates[1]),
+        lon: Number(feature.geometry.coordinates[0]),
+        timestamp: properties["@timestamp"] || null,
+        tags: properties.tags && typeof properties.tags === "object" ? properties.tags : properties
+      };
+    });
+}
+
+export async function readOsmExtract(filePath) {
+  const lowerPath = filePath.toLowerCase();
+  const buffer = await readFile(filePath);
+
+  if (lowerPath.endsWith(".pbf")) {
+    return parseOsmPbf(buffer);
+  }
+  if (lowerPath.endsWith(".osm") || lowerPath.endsWith(".xml")) {
+    return parseOsmXml(buffer.toString("utf8"));
+  }
+  if (lowerPath.endsWith(".json") || lowerPath.endsWith(".geojson")) {
+    return parseOsmJson(JSON.parse(buffer.toString("utf8")));
+  }
+
+  throw new Error(`Unsupported OSM extract format: ${filePath}`);
+}
+
+/**
+ * Reads the walkable network of an extract: nodes plus ways with node refs.
+ * GeoJSON LineStrings become ways over synthetic coordinate-keyed nodes.
+ */
+export async function readOsmNetwork(filePath) {
+  const lowerPath = filePath.toLowerCase();
+  const buffer = await readFile(filePath);
+
+  if (lowerPath.endsWith(".pbf")) {
+    return parseOsmPbfNetwork(buffer);
+  }
+  if (lowerPath.endsWith(".osm") || lowerPath.endsWith(".xml")) {
+    return parseOsmXmlNetwork(buffer.toString("utf8"));
+  }
+  if (lowerPath.endsWith(".json") || lowerPath.endsWith(".geojson")) {
+    const data = JSON.parse(buffer.toString("utf8"));
+    const nodes = new Map();
+    const ways = [];
+    for (const feature of Array.isArray(data?.features) ? data.features : []) {
+      if (feature?.geometry?.type !== "LineString") {
+        continue;
+      }
+
+      const refs = feature.geometry.coordinates.map(([lon, lat]) => {
+        const id = `${lat},${lon}`;
+        nodes.set(id, { id, lat: Number(lat), lon: Number(lon), timestamp: null, tags: {} });
+        return id;
+      });
+      ways.push({ id: feature.id ?? ways.length, refs, tags: feature.properties || {} });
+    }
+    return { nodes: [...nodes.values()], ways };
+  }
+
+  throw new Error(`Unsupported OSM extract format: ${filePath}`);
+}
@@ -0,0 +1,207 @@
+import { randomUUID } from "node:crypto";
+import { createJsonFileCollection } from "./json-file-store.mjs";
+import { logger as rootLogger } from "./logger.mjs";
+
+export const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+// Fully delivered entries are kept this long so the status view can show recent traffic.
+const DELIVERED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const logger = rootLogger.child({ scope: "outbox" });
+
+/**
+ * Wait before the next attempt after `attempts` failures: `baseDelayMs`
+ * doubling each time, capped at `maxDelayMs`.
+ */
+export function retryDelayMs(attempts, { baseDelayMs, maxDelayMs }) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+function isDelivered(entry) {
+  return Object.values(entry.deliveries).every((delivery) => delivery.status === "delivered");
+}
+
+function isExpired(entry, time) {
+  return (
+    isDelivered(entry) &&
+    Object.values(entry.deliveries).every(
+      (delivery) => time - Date.parse(delivery.deliveredAt) > DELIVERED_RETENTION_MS
+    )
+  );
+}
+
+/**
+ * A durable queue of payloads to hand to several sinks. `enqueue` only writes
+ * to the outbox file; `processDue()` then tries every pending delivery whose
+ * time has come, each sink on its own, so one failing sink never holds back
+ * another. Failures back off exponentially and, after `maxAttempts`, the
+ * delivery is marked `dead` until `retry(id)` revives it.
+ *
+ * `sinks` maps a name to `{ deliver(payload), describeError(error) }`;
+ * `describeError` turns a thrown error into the `{ error, message }` body kept
+ * as `lastError`. Call `start()` to run `processDue` on a timer.
+ */
+export function createOutbox({
+  filePath,
+  sinks,
+  maxAttempts = 8,
+  baseDelayMs = 60 * 1000,
+  maxDelayMs = 6 * 60 * 60 * 1000,
+  now = () => Date.now()
+}) {
+  const collection = createJsonFileCollection(filePath);
+  let running = null;
+  let timer = null;
+
+  async function attempt(entry, sinkName, time) {
+    const sink = sinks[sinkName];
+    const delivery = entry.deliveries[sinkName];
+    try {
+      await sink.deliver(entry.payload);
+      return {
+        ...delivery,
+        status: "delivered",
+        attempts: delivery.attempts + 1,
+        deliveredAt: new Date(now()).toISOString()
+      };
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      const lastError = sink.describeError(error);
+      if (attempts >= maxAttempts) {
+        logger.error("Gave up on delivery", { entryId: entry.id, sink: sinkName, attempts, reason: lastError.error });
+        return { ...delivery, status: "dead", attempts, lastError };
+      }
+
+      const nextAttemptAt = new Date(time + retryDelayMs(attempts, { baseDelayMs, maxDelayMs })).toISOString();
+      logger.warn("Delivery failed", { entryId: entry.id, sink: sinkName, reason: lastError.error, nextAttemptAt });
+      return { ...delivery, attempts, nextAttemptAt, lastError };
+    }
+  }
+
+  async function runDue() {
+    const time = now();
+    const results = { attempted: 0, delivered: 0, failed: 0 };
+    const changes = new Map();
+    const entries = await collection.all();
+
+    for (const entry of entries) {
+      for (const [sinkName, delivery] of Object.entries(entry.deliveries)) {
+        if (!sinks[sinkName] || delivery.status !== "pending" || Date.parse(delivery.nextAttemptAt) > time) {
+          continue;
+        }
+
+        const updated = await attempt(entry, sinkName, time);
+        results.attempted += 1;
+        results[updated.status === "delivered" ? "delivered" : "failed"] += 1;
+        changes.set(entry.id, { ...changes.get(entry.id), [sinkName]: updated });
+      }
+    }
+
+    if (changes.size === 0 && !entries.some((entry) => isExpired(entry, time))) {
+      return results;
+    }
+
+    // Re-read inside `update` so entries enqueued while we were delivering are kept.
+    await collection.update((rows) =>
+      rows
+        .map((row) => {
+          const changed = changes.get(row.id);
+          return changed ? { ...row, deliveries: { ...row.deliveries, ...changed } } : row;
+        })
+        .filter((row) => !isExpired(row, time))
+    );
+    return results;
+  }
+
+  // Overlapping calls share one run, so a delivery is never attempted twice at once.
+  function processDue() {
+    if (!running) {
+      running = runDue().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Starts a delivery run in the background; errors are logged, not thrown.
+  function wake() {
+    processDue().catch((error) => {
+      logger.error("Delivery run failed", { error });
+    });
+  }
+
+  return {
+    async enqueue(payload) {
+      const createdAt = new Date(now()).toISOString();
+      const entry = {
+        id: randomUUID(),
+        payload,
+        createdAt,
+        deliveries: Object.fromEntries(
+          Object.keys(sinks).map((sinkName) => [
+            sinkName,
+            { status: "pending", attempts: 0, nextAttemptAt: createdAt, lastError: null, deliveredAt: null }
+          ])
+        )
+      };
+      await collection.append(entry);
+      return entry;
+    },
+    processDue,
+    wake,
+    /**
+     * Per-sink counts by status, plus every entry that still has a pending or
+     * dead delivery, oldest first.
+     */
+    async status() {
+      const entries = await collection.all();
+      const counts = Object.fromEntries(
+        Object.keys(sinks).map((sinkName) => [
+          sinkName,
+          Object.fromEntries(DELIVERY_STATUSES.map((status) => [status, 0]))
+        ])
+      );
+      for (const entry of entries) {
+        for (const [sinkName, delivery] of Object.entries(entry.deliveries)) {
+          if (counts[sinkName]) {
+            counts[sinkName][delivery.status] += 1;
+          }
+        }
+      }
+      return {
+        counts,
+        entries: entries.filter((entry) => !isDelivered(entry))
+      };
+    },
+    // Puts dead deliveries of one entry back in the queue; resolves to the entry or null for an unknown id.
+    async retry(id) {
+      let revived = null;
+      const nextAttemptAt = new Date(now()).toISOString();
+      await collection.update((rows) =>
+        rows.map((row) => {
+          if (row.id !== id) {
+            return row;
+          }
+          const deliveries = Object.fromEntries(
+            Object.entries(row.deliveries).map(([sinkName, delivery]) => [
+              sinkName,
+              delivery.status === "dead" ? { ...delivery, status: "pending", attempts: 0, nextAttemptAt } : delivery
+            ])
+          );
+          revived = { ...row, deliveries };
+          return revived;
+        })
+      );
+      return revived;
+    },
+    start({ intervalMs = 30 * 1000 } = {}) {
+      if (!timer) {
+        wake();
+        timer = setInterval(wake, intervalMs);
+        timer.unref?.();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,67 @@
+import { buildSpatialIndex } from "../spatial-index.mjs";
+import { submissionToToilet } from "../submissions.mjs";
+
+const WORLD_BOUNDS = {
+  minLat: -90,
+  maxLat: 90,
+  minLon: -180,
+  maxLon: 180
+};
+
+/**
+ * Serves moderator-approved toilet suggestions. It is a supplement: its
+ * toilets are merged in wherever another provider covers the search, but it
+ * never counts as coverage on its own. Call `refresh()` after each approval or
+ * rejection to rebuild the index.
+ */
+export function createCommunityProvider({ store }) {
+  let index = buildSpatialIndex([]);
+  let refreshedAt = null;
+  let loading = null;
+
+  async function refresh() {
+    const approved = await store.list({ status: "approved" });
+    index = buildSpatialIndex(approved.map(submissionToToilet));
+    refreshedAt = new Date().toISOString();
+    return index;
+  }
+
+  function ready() {
+    if (!loading) {
+      loading = refresh().catch((error) => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  function describeSource() {
+    return {
+      name: "HowFarFromPotty community",
+      attribution: "Suggested by app users and checked by a moderator",
+      cachedAt: refreshedAt
+    };
+  }
+
+  return {
+    id: "community",
+    region: "Community",
+    name: "Community suggestions",
+    coverage: { bounds: WORLD_BOUNDS },
+    supplement: true,
+    warm: ready,
+    refresh() {
+      loading = null;
+      return ready();
+    },
+    async nearest(lat, lon, limit, predicate = () => true) {
+      await ready();
+      return { toilets: index.nearest(lat, lon, limit, predicate), source: describeSource() };
+    },
+    async withinBounds(bounds, limit, predicate = () => true) {
+      await ready();
+      return { toilets: index.withinBounds(bounds, limit, predicate), source: describeSource() };
+    }
+  };
+}
@@ -0,0 +1,222 @@
+import { haversineKm, isFiniteNumber } from "../geo.mjs";
+import { parseOsmOpeningHours } from "../opening-hours.mjs";
+import { parseOsmJson, readOsmExtract } from "../osm-extract.mjs";
+import { buildSpatialIndex } from "../spatial-index.mjs";
+import { clampText } from "../text.mjs";
+import { USER_AGENT } from "./registry.mjs";
+
+const WORLD_BOUNDS = {
+  minLat: -90,
+  maxLat: 90,
+  minLon: -180,
+  maxLon: 180
+};
+const EXTRACT_BOUNDS_PADDING_DEG = 0.1;
+// A little longer than the `[timeout:25]` the query asks Overpass for, so its own timeout answers first.
+const OVERPASS_TIMEOUT_MS = 30 * 1000;
+const OSM_ATTRIBUTION = {
+  name: "OpenStreetMap",
+  license: "ODbL 1.0",
+  attribution: "© OpenStreetMap contributors",
+  copyright: "https://www.openstreetmap.org/copyright"
+};
+
+function parseOsmYesNo(value) {
+  if (value === "yes" || value === "designated") {
+    return true;
+  }
+  if (value === "no") {
+    return false;
+  }
+  return null;
+}
+
+function parseOsmAllGender(tags) {
+  if (tags.unisex === "yes" || tags.gender_segregated === "no") {
+    return true;
+  }
+  if (tags.unisex === "no" || tags.gender_segregated === "yes") {
+    return false;
+  }
+  return null;
+}
+
+function parseOsmNoPayment(fee) {
+  if (fee === "no") {
+    return true;
+  }
+  if (fee === "yes") {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Maps an `amenity=toilets` node onto the toilet shape produced by `parseToilets`.
+ */
+export function normalizeOsmToilet(node) {
+  const tags = node?.tags || {};
+  if (tags.amenity !== "toilets") {
+    return null;
+  }
+
+  const lat = Number(node.lat);
+  const lon = Number(node.lon);
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
+    return null;
+  }
+
+  return {
+    id: `node/${node.id}`,
+    name: clampText(tags.name, 120) || "Public toilet",
+    lat,
+    lon,
+    areaName: tags["addr:city"] || tags["addr:suburb"] || tags["addr:place"] || "Unknown area",
+    accessible: parseOsmYesNo(tags.wheelchair),
+    babyChange: parseOsmYesNo(tags.changing_table),
+    noPayment: parseOsmNoPayment(tags.fee),
+    radar: tags.centralkey === "radar" ? true : null,
+    allGender: parseOsmAllGender(tags),
+    notes: clampText(tags.description || tags.note) || null,
+    openingTimes: tags.opening_hours || null,
+    openingSchedule: parseOsmOpeningHours(tags.opening_hours),
+    updatedAt: node.timestamp || null
+  };
+}
+
+function getExtractBounds(toilets) {
+  if (toilets.length === 0) {
+    return null;
+  }
+
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+  for (const toilet of toilets) {
+    bounds.minLat = Math.min(bounds.minLat, toilet.lat);
+    bounds.maxLat = Math.max(bounds.maxLat, toilet.lat);
+    bounds.minLon = Math.min(bounds.minLon, toilet.lon);
+    bounds.maxLon = Math.max(bounds.maxLon, toilet.lon);
+  }
+
+  return {
+    minLat: bounds.minLat - EXTRACT_BOUNDS_PADDING_DEG,
+    maxLat: bounds.maxLat + EXTRACT_BOUNDS_PADDING_DEG,
+    minLon: bounds.minLon - EXTRACT_BOUNDS_PADDING_DEG,
+    maxLon: bounds.maxLon + EXTRACT_BOUNDS_PADDING_DEG
+  };
+}
+
+/**
+ * Serves toilets from already-read OSM nodes. Coverage is the extract's own
+ * bounding box, and the provider is a fallback so UK/US sources win where they apply.
+ */
+export function createOsmExtractProvider(nodes, { extractPath = "", loadedAt = Date.now(), timeZone = null } = {}) {
+  const toilets = nodes.map(normalizeOsmToilet).filter(Boolean);
+  const index = buildSpatialIndex(toilets);
+  const source = {
+    ...OSM_ATTRIBUTION,
+    extract: extractPath,
+    cachedAt: new Date(loadedAt).toISOString()
+  };
+
+  return {
+    id: "osm",
+    region: "OSM",
+    name: "OpenStreetMap",
+    coverage: { bounds: getExtractBounds(toilets) },
+    fallback: true,
+    timeZone,
+    async nearest(lat, lon, limit, predicate = () => true) {
+      return { toilets: index.nearest(lat, lon, limit, predicate), source };
+    },
+    async withinBounds(bounds, limit, predicate = () => true) {
+      return { toilets: index.withinBounds(bounds, limit, predicate), source };
+    }
+  };
+}
+
+export async function loadOsmExtractProvider(extractPath, options = {}) {
+  const nodes = await readOsmExtract(extractPath);
+  return createOsmExtractProvider(nodes, { ...options, extractPath });
+}
+
+async function queryOverpass({ endpoint, fetchImpl, timeoutMs, filter }) {
+  const query = `[out:json][timeout:25];node["amenity"="toilets"](${filter});out meta;`;
+  const response = await fetchImpl(endpoint, {
+    method: "POST",
+    headers: {
+      "User-Agent": USER_AGENT,
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json"
+    },
+    body: `data=${encodeURIComponent(query)}`,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Overpass request failed (${response.status})`);
+  }
+
+  return parseOsmJson(await response.json()).map(normalizeOsmToilet).filter(Boolean);
+}
+
+function rankFrom(lat, lon, toilets, limit, predicate) {
+  return toilets
+    .filter(predicate)
+    .map((toilet) => ({
+      ...toilet,
+      distanceKm: haversineKm(lat, lon, toilet.lat, toilet.lon)
+    }))
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
+
+/**
+ * Queries an Overpass-compatible endpoint around each search point.
+ */
+export function createOverpassProvider({
+  endpoint,
+  fetchImpl = fetch,
+  radiusKm = 5,
+  timeZone = null,
+  timeoutMs = OVERPASS_TIMEOUT_MS
+}) {
+  function describeSource() {
+    return {
+      ...OSM_ATTRIBUTION,
+      endpoint,
+      cachedAt: new Date().toISOString()
+    };
+  }
+
+  return {
+    id: "osm",
+    region: "OSM",
+    name: "OpenStreetMap",
+    coverage: { bounds: WORLD_BOUNDS },
+    fallback: true,
+    timeZone,
+    async nearest(lat, lon, limit, predicate = () => true) {
+      const radiusMeters = Math.round(radiusKm * 1000);
+      const toilets = await queryOverpass({
+        endpoint,
+        fetchImpl,
+        timeoutMs,
+        filter: `around:${radiusMeters},${lat},${lon}`
+      });
+      return { toilets: rankFrom(lat, lon, toilets, limit, predicate), source: describeSource() };
+    },
+    async withinBounds(bounds, limit, predicate = () => true) {
+      const { minLat, minLon, maxLat, maxLon } = bounds;
+      const toilets = await queryOverpass({
+        endpoint,
+        fetchImpl,
+        timeoutMs,
+        filter: `${minLat},${minLon},${maxLat},${maxLon}`
+      });
+      return {
+        toilets: rankFrom((minLat + maxLat) / 2, (minLon + maxLon) / 2, toilets, limit, predicate),
+        source: describeSource()
+      };
+    }
+  };
+}
@@ -0,0 +1,82 @@
+import { boundsIntersect, getPolygonBounds, isInBounds, isInPolygon } from "../geo.mjs";
+
+export const USER_AGENT = "HowFarFromPotty/1.0";
+
+/**
+ * Providers are plain objects with:
+ * - `id`, `region`, `name`: identifiers used in responses and logs
+ * - `coverage`: `{ bounds }` (min/max lat/lon) or `{ polygon }` (a [lon, lat] ring)
+ * - `timeZone` (optional): IANA zone used to compute opening-hours status
+ * - `fallback` (optional): only used where no non-fallback provider covers the point
+ * - `supplement` (optional): merged in alongside whichever providers cover the point,
+ *   but never makes a point covered by itself
+ * - `warm()` (optional): called once at startup to preload data in the background
+ * - `cacheStats()` (optional): `{ fetchedAt, lookups: { hit, stale, miss } }` for
+ *   providers that cache upstream data in memory (`fetchedAt` null when there is
+ *   no single dataset age); exported on /metrics
+ * - `health()` (optional): `{ status, ...details }` with status `ok`, `degraded`,
+ *   `down` or `unknown`; reported by /readyz
+ * - `nearest(lat, lon, limit, predicate)`: resolves to `{ toilets, source }`, where
+ *   toilets carry `distanceKm` and `source` is the attribution block for the response
+ * - `withinBounds(bounds, limit, predicate)` (optional): same result shape for every
+ *   toilet inside a lat/lon box, closest to its centre first. Without it, area
+ *   queries fall back to `nearest()` from the box centre
+ */
+export function providerCovers(provider, lat, lon) {
+  const { bounds, polygon } = provider.coverage || {};
+  if (bounds) {
+    return isInBounds(lat, lon, bounds);
+  }
+  if (Array.isArray(polygon)) {
+    return isInPolygon(lat, lon, polygon);
+  }
+  return false;
+}
+
+export function providerIntersects(provider, bounds) {
+  const { bounds: coverageBounds, polygon } = provider.coverage || {};
+  if (coverageBounds) {
+    return boundsIntersect(coverageBounds, bounds);
+  }
+  if (Array.isArray(polygon)) {
+    return boundsIntersect(getPolygonBounds(polygon), bounds);
+  }
+  return false;
+}
+
+export function createProviderRegistry(initialProviders = []) {
+  const providers = [];
+
+  function register(provider) {
+    if (!provider?.id || typeof provider.nearest !== "function") {
+      throw new Error("Providers need an id and a nearest() function.");
+    }
+    if (providers.some((existing) => existing.id === provider.id)) {
+      throw new Error(`Provider "${provider.id}" is already registered.`);
+    }
+    providers.push(provider);
+  }
+
+  initialProviders.forEach(register);
+
+  // Picks the primary (or else fallback) providers, then adds any matching supplements.
+  function choose(matching) {
+    const sources = matching.filter((provider) => !provider.supplement);
+    const primary = sources.filter((provider) => !provider.fallback);
+    const chosen = primary.length > 0 ? primary : sources;
+    return chosen.length > 0 ? [...chosen, ...matching.filter((provider) => provider.supplement)] : [];
+  }
+
+  return {
+    register,
+    list() {
+      return [...providers];
+    },
+    findCovering(lat, lon) {
+      return choose(providers.filter((provider) => providerCovers(provider, lat, lon)));
+    },
+    findIntersecting(bounds) {
+      return choose(providers.filter((provider) => providerIntersects(provider, bounds)));
+    }
+  };
+}
@@ -0,0 +1,267 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { isFiniteNumber } from "../geo.mjs";
+import { parseOpeningTimes } from "../opening-hours.mjs";
+import { logger as rootLogger } from "../logger.mjs";
+import { buildSpatialIndex } from "../spatial-index.mjs";
+import { USER_AGENT } from "./registry.mjs";
+
+const DATASET_PAGE_URL = "https://www.toiletmap.org.uk/dataset";
+const DATASET_LINK_REGEX = /https:\/\/[^"'<>]+\/exports\/toilets-[^"'<>]+\.json\?download=1/g;
+const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const CACHE_FILE_VERSION = 1;
+const logger = rootLogger.child({ scope: "uk-dataset" });
+
+export const UK_BOUNDS = {
+  minLat: 49.8,
+  maxLat: 60.9,
+  minLon: -8.7,
+  maxLon: 1.8
+};
+
+export function parseToilets(rows) {
+  return rows
+    .filter((row) => row && row.active !== false)
+    .map((row) => {
+      const coords = row?.location?.coordinates;
+      if (!Array.isArray(coords) || coords.length < 2) {
+        return null;
+      }
+
+      const lon = Number(coords[0]);
+      const lat = Number(coords[1]);
+      if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
+        return null;
+      }
+
+      return {
+        id: row.id,
+        name: row.name || "Public toilet",
+        lat,
+        lon,
+        areaName: row?.areas?.name || "Unknown area",
+        accessible: row.accessible,
+        babyChange: row.baby_change,
+        noPayment: row.no_payment,
+        radar: row.radar,
+        allGender: row.all_gender,
+        notes: row.notes,
+        openingTimes: row.opening_times,
+        openingSchedule: parseOpeningTimes(row.opening_times),
+        updatedAt: row.updated_at
+      };
+    })
+    .filter(Boolean);
+}
+
+async function readPersistedDataset(cacheFile) {
+  try {
+    const persisted = JSON.parse(await readFile(cacheFile, "utf8"));
+    if (persisted?.version !== CACHE_FILE_VERSION || !Array.isArray(persisted.toilets)) {
+      return null;
+    }
+    return {
+      fetchedAt: Number(persisted.fetchedAt) || 0,
+      sourceUrl: String(persisted.sourceUrl || ""),
+      toilets: persisted.toilets
+    };
+  } catch (error) {
+    if (error?.code !== "ENOENT") {
+      logger.error("Ignoring unreadable cache file", { cacheFile, error });
+    }
+    return null;
+  }
+}
+
+async function writePersistedDataset(cacheFile, { fetchedAt, sourceUrl, toilets }) {
+  await mkdir(dirname(cacheFile), { recursive: true });
+  const tempFile = `${cacheFile}.${process.pid}.tmp`;
+  await writeFile(tempFile, JSON.stringify({ version: CACHE_FILE_VERSION, fetchedAt, sourceUrl, toilets }));
+  await rename(tempFile, cacheFile);
+}
+
+/**
+ * The dataset is served stale-while-revalidate: once any copy is loaded (from
+ * `cacheFile` or the network), expired data keeps being served while a single
+ * shared background refresh runs. Only a cold start with no cache file blocks.
+ */
+export function createUkProvider({ fetchImpl = fetch, cacheTtlMs = CACHE_TTL_MS, cacheFile = null } = {}) {
+  let ukCache = {
+    fetchedAt: 0,
+    sourceUrl: "",
+    toilets: [],
+    index: buildSpatialIndex([])
+  };
+  let diskLoad = null;
+  let inFlightRefresh = null;
+  // hit: fresh data served; stale: expired data served while refreshing; miss: the caller waited for the network.
+  const lookups = { hit: 0, stale: 0, miss: 0 };
+  let lastRefreshError = null;
+
+  function setCache({ fetchedAt, sourceUrl, toilets }) {
+    ukCache = {
+      fetchedAt,
+      sourceUrl,
+      toilets,
+      index: buildSpatialIndex(toilets)
+    };
+  }
+
+  function loadFromDisk() {
+    if (!diskLoad) {
+      diskLoad = (cacheFile ? readPersistedDataset(cacheFile) : Promise.resolve(null)).then((persisted) => {
+        if (persisted && persisted.toilets.length > 0 && ukCache.toilets.length === 0) {
+          setCache(persisted);
+        }
+      });
+    }
+    return diskLoad;
+  }
+
+  async function fetchDataset() {
+    const datasetPageResponse = await fetchImpl(DATASET_PAGE_URL, {
+      headers: {
+        "User-Agent": USER_AGENT
+      }
+    });
+    if (!datasetPageResponse.ok) {
+      throw new Error(`Dataset page request failed (${datasetPageResponse.status})`);
+    }
+
+    const datasetPageHtml = await datasetPageResponse.text();
+    const exportLinks = datasetPageHtml.match(DATASET_LINK_REGEX) || [];
+    if (!exportLinks.length) {
+      throw new Error("Unable to find a JSON export URL in the dataset page.");
+    }
+
+    const sourceUrl = exportLinks[0].replace(/&amp;/g, "&");
+    const dataResponse = await fetchImpl(sourceUrl, {
+      headers: {
+        "User-Agent": USER_AGENT
+      }
+    });
+    if (!dataResponse.ok) {
+      throw new Error(`Dataset JSON request failed (${dataResponse.status})`);
+    }
+
+    const rows = await dataResponse.json();
+    if (!Array.isArray(rows)) {
+      throw new Error("Dataset JSON format was not an array.");
+    }
+
+    return {
+      fetchedAt: Date.now(),
+      sourceUrl,
+      toilets: parseToilets(rows)
+    };
+  }
+
+  function refreshDataset() {
+    if (!inFlightRefresh) {
+      inFlightRefresh = fetchDataset()
+        .then(async (dataset) => {
+          setCache(dataset);
+          lastRefreshError = null;
+          if (cacheFile) {
+            try {
+              await writePersistedDataset(cacheFile, dataset);
+            } catch (error) {
+              logger.error("Could not write cache file", { cacheFile, error });
+            }
+          }
+          return ukCache;
+        })
+        .catch((error) => {
+          lastRefreshError = { message: error?.message || String(error), at: new Date().toISOString() };
+          throw error;
+        })
+        .finally(() => {
+          inFlightRefresh = null;
+        });
+    }
+    return inFlightRefresh;
+  }
+
+  function isStale() {
+    return Date.now() - ukCache.fetchedAt >= cacheTtlMs;
+  }
+
+  function refreshInBackground() {
+    refreshDataset().catch((error) => {
+      logger.error("Background refresh failed", { error });
+    });
+  }
+
+  async function getDataset() {
+    await loadFromDisk();
+
+    if (ukCache.toilets.length === 0) {
+      lookups.miss += 1;
+      return refreshDataset();
+    }
+
+    if (isStale()) {
+      lookups.stale += 1;
+      refreshInBackground();
+    } else {
+      lookups.hit += 1;
+    }
+    return ukCache;
+  }
+
+  function describeSource({ sourceUrl, fetchedAt }) {
+    return {
+      name: "The Great British Public Toilet Map",
+      datasetPage: DATASET_PAGE_URL,
+      datasetExport: sourceUrl,
+      license: "CC BY 4.0",
+      cachedAt: new Date(fetchedAt).toISOString(),
+      stale: isStale(),
+      refreshing: inFlightRefresh !== null
+    };
+  }
+
+  return {
+    id: "uk",
+    region: "UK",
+    name: "The Great British Public Toilet Map",
+    coverage: { bounds: UK_BOUNDS },
+    timeZone: "Europe/London",
+    async warm() {
+      await loadFromDisk();
+      if (ukCache.toilets.length === 0 || isStale()) {
+        refreshInBackground();
+      }
+    },
+    // Down until a dataset is loaded; degraded while an expired one is being served.
+    health() {
+      const loaded = ukCache.toilets.length > 0;
+      return {
+        status: !loaded ? "down" : isStale() ? "degraded" : "ok",
+        loaded,
+        toilets: ukCache.toilets.length,
+        cachedAt: loaded ? new Date(ukCache.fetchedAt).toISOString() : null,
+        ageSeconds: loaded ? Math.round((Date.now() - ukCache.fetchedAt) / 1000) : null,
+        refreshing: inFlightRefresh !== null,
+        lastError: lastRefreshError
+      };
+    },
+    cacheStats() {
+      return { fetchedAt: ukCache.toilets.length > 0 ? ukCache.fetchedAt : null, lookups: { ...lookups } };
+    },
+    async nearest(lat, lon, limit, predicate = () => true) {
+      const dataset = await getDataset();
+      return {
+        toilets: dataset.index.nearest(lat, lon, limit, predicate),
+        source: describeSource(dataset)
+      };
+    },
+    async withinBounds(bounds, limit, predicate = () => true) {
+      const dataset = await getDataset();
+      return {
+        toilets: dataset.index.withinBounds(bounds, limit, predicate),
+        source: describeSource(dataset)
+      };
+    }
+  };
+}
@@ -0,0 +1,241 @@
+import { haversineKm, isFiniteNumber } from "../geo.mjs";
+import { createLruCache } from "../lru-cache.mjs";
+import { clampText } from "../text.mjs";
+import { USER_AGENT } from "./registry.mjs";
+
+const US_API_BASE_URL = "https://www.refugerestrooms.org/api/v1";
+const US_SOURCE_DOCS_URL = "https://www.refugerestrooms.org/api/docs/#!/restrooms/get_api_v1_restrooms_by_location";
+// A success older than this says little about whether the API is up now.
+const HEALTH_WINDOW_MS = 60 * 60 * 1000;
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+// Searches are snapped to a grid of this many degrees (about 1 km of latitude), so neighbours share one lookup.
+const CELL_SIZE_DEG = 0.01;
+const PER_PAGE = 100;
+const MAX_PAGES = 4;
+
+export const US_BOUNDS = {
+  minLat: 18.5,
+  maxLat: 71.6,
+  minLon: -179.2,
+  maxLon: -66.0
+};
+
+export function normalizeUsToilet(row) {
+  const lat = Number(row?.latitude);
+  const lon = Number(row?.longitude);
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
+    return null;
+  }
+
+  const notes = [clampText(row?.directions), clampText(row?.comment)].filter(Boolean).join(" | ");
+  const areaParts = [row?.city, row?.state].filter(Boolean);
+
+  return {
+    id: String(row.id),
+    name: clampText(row?.name, 120) || "Public restroom",
+    lat,
+    lon,
+    areaName: areaParts.length ? areaParts.join(", ") : "Unknown area",
+    accessible: row?.accessible === true,
+    babyChange: row?.changing_table === true,
+    noPayment: null,
+    radar: null,
+    allGender: row?.unisex === true,
+    notes: notes || null,
+    openingTimes: null,
+    openingSchedule: null,
+    updatedAt: row?.updated_at || row?.created_at || null,
+    country: row?.country || null,
+    approved: row?.approved === true,
+    upvotes: Number.isFinite(row?.upvote) ? row.upvote : 0,
+    downvotes: Number.isFinite(row?.downvote) ? row.downvote : 0
+  };
+}
+
+// The centre of the grid cell holding a point, with the fixed precision used for cache keys and requests.
+export function toCell(lat, lon, cellSizeDeg = CELL_SIZE_DEG) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(cellSizeDeg)));
+  const snap = (value) => (Math.round(value / cellSizeDeg) * cellSizeDeg).toFixed(decimals);
+  return { lat: snap(lat), lon: snap(lon) };
+}
+
+/**
+ * Refuge is queried around the centre of the grid cell holding the search
+ * point, and the approved listings it returns are kept in an LRU cache for
+ * `cacheTtlMs`. Searches in the same cell reuse them (ranked from their own
+ * point), and concurrent searches for a cell that isn't cached yet share one
+ * lookup. When the first page is full the remaining pages are fetched too, in
+ * parallel, so filtered searches see the whole cell; if one of those fails the
+ * search still gets what arrived, but the cell isn't cached so the next search retries.
+ */
+export function createUsProvider({
+  fetchImpl = fetch,
+  healthWindowMs = HEALTH_WINDOW_MS,
+  cacheTtlMs = CACHE_TTL_MS,
+  cacheMaxEntries = CACHE_MAX_ENTRIES,
+  cellSizeDeg = CELL_SIZE_DEG
+} = {}) {
+  // Refuge is only called for US searches, so its health is whatever the last call saw.
+  let lastResponseAt = null;
+  let lastFailure = null;
+  // Tracked separately from the timestamps, which can share a millisecond.
+  let lastCallFailed = false;
+  const cache = createLruCache({ maxEntries: cacheMaxEntries, ttlMs: cacheTtlMs });
+  const inFlight = new Map();
+  // hit: answered without a new upstream lookup (including joining one in flight); miss: started a lookup.
+  const lookups = { hit: 0, miss: 0 };
+
+  async function fetchPage(endpoint) {
+    let response;
+    try {
+      response = await fetchImpl(endpoint, {
+        headers: {
+          "User-Agent": USER_AGENT,
+          Accept: "application/json"
+        }
+      });
+    } catch (error) {
+      lastFailure = { message: error?.message || String(error), at: Date.now() };
+      lastCallFailed = true;
+      throw error;
+    }
+
+    if (!response.ok) {
+      lastFailure = { message: `US API request failed (${response.status})`, at: Date.now() };
+      lastCallFailed = true;
+      throw new Error(lastFailure.message);
+    }
+    lastResponseAt = Date.now();
+    lastCallFailed = false;
+    return response;
+  }
+
+  async function fetchRows(cell, page) {
+    const endpoint = `${US_API_BASE_URL}/restrooms/by_location?lat=${encodeURIComponent(
+      cell.lat
+    )}&lng=${encodeURIComponent(cell.lon)}&per_page=${PER_PAGE}&offset=${page * PER_PAGE}`;
+    const rows = await (await fetchPage(endpoint)).json();
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  function collectToilets(rows, seenIds, toilets) {
+    for (const row of rows) {
+      if (row?.approved !== true) {
+        continue;
+      }
+      const toilet = normalizeUsToilet(row);
+      if (toilet && !seenIds.has(toilet.id)) {
+        seenIds.add(toilet.id);
+        toilets.push(toilet);
+      }
+    }
+  }
+
+  // Every approved listing around the cell centre, unfiltered so any search in the cell can use them.
+  async function fetchCell(cell) {
+    const seenIds = new Set();
+    const toilets = [];
+    const firstPage = await fetchRows(cell, 0);
+    collectToilets(firstPage, seenIds, toilets);
+
+    let complete = true;
+    if (firstPage.length === PER_PAGE) {
+      const rest = Array.from({ length: MAX_PAGES - 1 }, (_, index) => fetchRows(cell, index + 1));
+      for (const result of await Promise.allSettled(rest)) {
+        if (result.status === "rejected") {
+          complete = false;
+          continue;
+        }
+        collectToilets(result.value, seenIds, toilets);
+        // A short page is the last one the API has; anything after it is empty.
+        if (result.value.length < PER_PAGE) {
+          break;
+        }
+      }
+    }
+    return { fetchedAt: Date.now(), toilets, complete };
+  }
+
+  async function getCell(lat, lon) {
+    const cell = toCell(lat, lon, cellSizeDeg);
+    const key = `${cell.lat},${cell.lon}`;
+    const cached = cache.get(key);
+    if (cached) {
+      lookups.hit += 1;
+      return cached;
+    }
+    if (inFlight.has(key)) {
+      lookups.hit += 1;
+      return inFlight.get(key);
+    }
+
+    lookups.miss += 1;
+    const lookup = fetchCell(cell)
+      .then((entry) => {
+        if (entry.complete) {
+          cache.set(key, entry);
+        }
+        return entry;
+      })
+      .finally(() => {
+        inFlight.delete(key);
+      });
+    inFlight.set(key, lookup);
+    return lookup;
+  }
+
+  async function getUsNearest(lat, lon, limit, predicate) {
+    const { fetchedAt, toilets } = await getCell(lat, lon);
+    const candidates = toilets.filter((toilet) => predicate(toilet));
+    const pool = candidates.some((toilet) => toilet.country === "US")
+      ? candidates.filter((toilet) => toilet.country === "US")
+      : candidates;
+
+    return {
+      fetchedAt,
+      toilets: pool
+        .map((toilet) => ({
+          ...toilet,
+          distanceKm: haversineKm(lat, lon, toilet.lat, toilet.lon)
+        }))
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, limit)
+    };
+  }
+
+  return {
+    id: "us",
+    region: "US",
+    name: "Refuge Restrooms API",
+    coverage: { bounds: US_BOUNDS },
+    // Down when the last call failed; unknown when nothing has been asked of the API within `healthWindowMs`.
+    health() {
+      const lastError = lastFailure && { message: lastFailure.message, at: new Date(lastFailure.at).toISOString() };
+      const respondedAt = lastResponseAt === null ? null : new Date(lastResponseAt).toISOString();
+      if (lastCallFailed) {
+        return { status: "down", lastResponseAt: respondedAt, lastError };
+      }
+      if (lastResponseAt === null || Date.now() - lastResponseAt > healthWindowMs) {
+        return { status: "unknown", lastResponseAt: respondedAt, lastError };
+      }
+      return { status: "ok", lastResponseAt: respondedAt, lastError };
+    },
+    // Many cells are cached at once, so there is no single dataset age to report.
+    cacheStats() {
+      return { fetchedAt: null, lookups: { ...lookups } };
+    },
+    async nearest(lat, lon, limit, predicate = () => true) {
+      const { fetchedAt, toilets } = await getUsNearest(lat, lon, limit, predicate);
+      return {
+        toilets,
+        source: {
+          name: "Refuge Restrooms API",
+          docs: US_SOURCE_DOCS_URL,
+          endpoint: `${US_API_BASE_URL}/restrooms/by_location`,
+          cachedAt: new Date(fetchedAt).toISOString()
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import { createHash, randomUUID } from "node:crypto";
+import { createJsonFileCollection } from "./json-file-store.mjs";
+
+export const RATING_TAGS = ["has_soap", "has_paper", "hot_water", "queue", "needs_cleaning"];
+const MAX_RATING_ROWS = 50000;
+// Bayesian prior: every toilet starts as if it had PRIOR_WEIGHT ratings of PRIOR_SCORE.
+const PRIOR_SCORE = 3;
+const PRIOR_WEIGHT = 2;
+
+export function parseRatingScore(value) {
+  const score = Number(value);
+  return Number.isInteger(score) && score >= 1 && score <= 5 ? score : null;
+}
+
+export function parseRatingTags(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return [...new Set(value.map((tag) => String(tag)).filter((tag) => RATING_TAGS.includes(tag)))];
+}
+
+// Raw IPs and device ids are never stored, only a hash to spot repeat voters.
+export function hashVoter(value) {
+  return createHash("sha256").update(String(value)).digest("hex").slice(0, 32);
+}
+
+export function createRating({ toiletId, score, tags, voter }) {
+  return {
+    id: randomUUID(),
+    toiletId,
+    score,
+    tags,
+    voter,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Rating stores share one shape: `name`, `add(rating)` (replacing any earlier
+ * rating of the same toilet by the same voter) and `listForToilets(toiletIds)`.
+ */
+export function createFileRatingStore({ filePath }) {
+  const collection = createJsonFileCollection(filePath);
+
+  return {
+    name: "file",
+    async add(rating) {
+      await collection.update((rows) =>
+        [
+          ...rows.filter((row) => row.toiletId !== rating.toiletId || row.voter !== rating.voter),
+          rating
+        ].slice(-MAX_RATING_ROWS)
+      );
+      return rating;
+    },
+    async listForToilets(toiletIds) {
+      const wanted = new Set(toiletIds);
+      return (await collection.all()).filter((rating) => wanted.has(rating.toiletId));
+    }
+  };
+}
+
+/**
+ * Groups ratings into a per-toilet `{ count, average, tags }`, where `tags`
+ * counts how many raters ticked each tag.
+ */
+export function summarizeRatings(ratings) {
+  const summaries = new Map();
+  for (const rating of ratings) {
+    const summary = summaries.get(rating.toiletId) || { count: 0, total: 0, tags: {} };
+    summary.count += 1;
+    summary.total += rating.score;
+    for (const tag of rating.tags) {
+      summary.tags[tag] = (summary.tags[tag] || 0) + 1;
+    }
+    summaries.set(rating.toiletId, summary);
+  }
+
+  return new Map(
+    [...summaries].map(([toiletId, { count, total, tags }]) => [
+      toiletId,
+      { count, average: Math.round((total / count) * 10) / 10, tags }
+    ])
+  );
+}
+
+/**
+ * Scores a toilet from our ratings plus Refuge up/down votes (counted as 5s
+ * and 1s), pulled towards the prior so one 5-star vote can't beat forty 4s.
+ */
+export function qualityScore(toilet) {
+  const ratingCount = toilet.rating?.count || 0;
+  const ratingTotal = ratingCount * (toilet.rating?.average || 0);
+  const upvotes = toilet.upvotes || 0;
+  const downvotes = toilet.downvotes || 0;
+
+  const total = PRIOR_SCORE * PRIOR_WEIGHT + ratingTotal + upvotes * 5 + downvotes;
+  return total / (PRIOR_WEIGHT + ratingCount + upvotes + downvotes);
+}
+
+export function rankByQuality(toilets) {
+  return [...toilets].sort(
+    (a, b) => qualityScore(b) - qualityScore(a) || (a.walkKm ?? a.distanceKm) - (b.walkKm ?? b.distanceKm)
+  );
+}
@@ -0,0 +1,128 @@
+import { randomUUID } from "node:crypto";
+import { createJsonFileCollection } from "./json-file-store.mjs";
+
+export const REPORT_CATEGORIES = ["closed", "out_of_order", "wrong_location", "missing_amenity", "other"];
+export const RECENT_REPORT_DAYS = 14;
+const MAX_REPORT_ROWS = 20000;
+
+export function isValidToiletId(value) {
+  return typeof value === "string" && /^[\w:./-]{1,120}$/.test(value);
+}
+
+export function createReport({ toiletId, category, note }) {
+  return {
+    id: randomUUID(),
+    toiletId,
+    category,
+    note: note || null,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Report stores share one shape: `name`, `add(report)` and
+ * `listForToilets(toiletIds, since)`, which resolves to the reports for those
+ * toilets created at or after `since` (an ISO string), newest first.
+ */
+export function createFileReportStore({ filePath }) {
+  const collection = createJsonFileCollection(filePath);
+
+  return {
+    name: "file",
+    async add(report) {
+      // Oldest reports are dropped once the file holds MAX_REPORT_ROWS.
+      await collection.update((rows) => [...rows, report].slice(-MAX_REPORT_ROWS));
+      return report;
+    },
+    async listForToilets(toiletIds, since) {
+      const wanted = new Set(toiletIds);
+      return (await collection.all())
+        .filter((report) => wanted.has(report.toiletId) && report.createdAt >= since)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+  };
+}
+
+function fromSupabaseRow(row) {
+  return {
+    id: String(row.id),
+    toiletId: row.toilet_id,
+    category: row.category,
+    note: row.note || null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Stores reports in a Supabase (PostgREST) table with `id`, `toilet_id`,
+ * `category`, `note` and `created_at` columns, using the same key headers as
+ * the feature request insert.
+ */
+export function createSupabaseReportStore({ url, key, fetchImpl = fetch }) {
+  const headers = {
+    apikey: key,
+    Authorization: `Bearer ${key}`,
+    "Content-Type": "application/json"
+  };
+
+  return {
+    name: "supabase",
+    async add(report) {
+      const response = await fetchImpl(url, {
+        method: "POST",
+        headers: { ...headers, Prefer: "return=minimal" },
+        body: JSON.stringify({
+          id: report.id,
+          toilet_id: report.toiletId,
+          category: report.category,
+          note: report.note,
+          created_at: report.createdAt
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Report insert failed (${response.status})`);
+      }
+      return report;
+    },
+    async listForToilets(toiletIds, since) {
+      if (toiletIds.length === 0) {
+        return [];
+      }
+
+      const ids = toiletIds.map((id) => `"${id.replaceAll('"', "")}"`).join(",");
+      const params = new URLSearchParams({
+        select: "id,toilet_id,category,note,created_at",
+        toilet_id: `in.(${ids})`,
+        created_at: `gte.${since}`,
+        order: "created_at.desc"
+      });
+      const response = await fetchImpl(`${url}?${params.toString()}`, { headers });
+      if (!response.ok) {
+        throw new Error(`Report lookup failed (${response.status})`);
+      }
+
+      const rows = await response.json();
+      return (Array.isArray(rows) ? rows : []).map(fromSupabaseRow);
+    }
+  };
+}
+
+export function recentReportsSince(now = Date.now()) {
+  return new Date(now - RECENT_REPORT_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Groups reports (newest first) into a per-toilet `{ count, categories, latestAt }`.
+ */
+export function summarizeReports(reports) {
+  const summaries = new Map();
+  for (const report of reports) {
+    const summary = summaries.get(report.toiletId) || { count: 0, categories: [], latestAt: report.createdAt };
+    summary.count += 1;
+    if (!summary.categories.includes(report.category)) {
+      summary.categories.push(report.category);
+    }
+    summaries.set(report.toiletId, summary);
+  }
+  return summaries;
+}
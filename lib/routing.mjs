@@ -0,0 +1,162 @@
+import { readOsmNetwork } from "./osm-extract.mjs";
+import { USER_AGENT } from "./providers/registry.mjs";
+import { buildWalkGraph } from "./walk-graph.mjs";
+
+const WALKING_SPEED_KMH = 5;
+const MAX_GRAPH_WALK_KM = 10;
+// Walking ranking is optional, so a slow router should give up well before the search does.
+const ROUTE_TIMEOUT_MS = 5 * 1000;
+
+function toWalkMinutes(distanceKm) {
+  return Math.max(1, Math.round((distanceKm / WALKING_SPEED_KMH) * 60));
+}
+
+async function fetchRouteJson(fetchImpl, url, timeoutMs) {
+  const response = await fetchImpl(url, {
+    headers: {
+      "User-Agent": USER_AGENT,
+      Accept: "application/json"
+    },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  // Both engines answer "no route between these points" with a 4xx JSON body, but a rejected key or
+  // exhausted quota is a broken router, not a missing route.
+  if (!response.ok && (response.status >= 500 || [401, 403, 429].includes(response.status))) {
+    throw new Error(`Routing request failed (${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Routers share one shape: `name` plus `routeMany(origin, destinations)`, which
+ * resolves to one `{ distanceKm, minutes, path }` (path as [lat, lon] pairs)
+ * or null (no route) per destination, in order.
+ */
+export function createOsrmRouter({ baseUrl, profile = "foot", fetchImpl = fetch, timeoutMs = ROUTE_TIMEOUT_MS }) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function route(origin, destination) {
+    const coordinates = `${origin.lon},${origin.lat};${destination.lon},${destination.lat}`;
+    const body = await fetchRouteJson(
+      fetchImpl,
+      `${root}/route/v1/${encodeURIComponent(profile)}/${coordinates}?overview=full&geometries=geojson`,
+      timeoutMs
+    );
+    const best = body?.code === "Ok" ? body.routes?.[0] : null;
+    if (!best) {
+      return null;
+    }
+
+    return {
+      distanceKm: best.distance / 1000,
+      minutes: Math.max(1, Math.round(best.duration / 60)),
+      path: (best.geometry?.coordinates || []).map(([lon, lat]) => [lat, lon])
+    };
+  }
+
+  return {
+    name: "osrm",
+    routeMany(origin, destinations) {
+      return Promise.all(destinations.map((destination) => route(origin, destination)));
+    }
+  };
+}
+
+export function createGraphHopperRouter({
+  baseUrl,
+  profile = "foot",
+  apiKey = "",
+  fetchImpl = fetch,
+  timeoutMs = ROUTE_TIMEOUT_MS
+}) {
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function route(origin, destination) {
+    const params = new URLSearchParams({ profile, points_encoded: "false" });
+    params.append("point", `${origin.lat},${origin.lon}`);
+    params.append("point", `${destination.lat},${destination.lon}`);
+    if (apiKey) {
+      params.set("key", apiKey);
+    }
+
+    const body = await fetchRouteJson(fetchImpl, `${root}/route?${params.toString()}`, timeoutMs);
+    const best = body?.paths?.[0];
+    if (!best) {
+      return null;
+    }
+
+    return {
+      distanceKm: best.distance / 1000,
+      minutes: Math.max(1, Math.round(best.time / 60000)),
+      path: (best.points?.coordinates || []).map(([lon, lat]) => [lat, lon])
+    };
+  }
+
+  return {
+    name: "graphhopper",
+    routeMany(origin, destinations) {
+      return Promise.all(destinations.map((destination) => route(origin, destination)));
+    }
+  };
+}
+
+/**
+ * Offline router over a graph from `buildWalkGraph`. Origin and destinations
+ * are snapped to the nearest graph node; the snap legs count as straight lines.
+ */
+export function createGraphRouter(graph) {
+  return {
+    name: "graph",
+    async routeMany(origin, destinations) {
+      const start = graph.snap(origin.lat, origin.lon);
+      if (!start) {
+        return destinations.map(() => null);
+      }
+
+      const ends = destinations.map((destination) => graph.snap(destination.lat, destination.lon));
+      const paths = graph.shortestPaths(
+        start.id,
+        ends.filter(Boolean).map((end) => end.id),
+        MAX_GRAPH_WALK_KM
+      );
+
+      return destinations.map((destination, i) => {
+        const end = ends[i];
+        const found = end ? paths.get(end.id) : null;
+        if (!found) {
+          return null;
+        }
+
+        const distanceKm = start.distanceKm + found.distanceKm + end.distanceKm;
+        return {
+          distanceKm,
+          minutes: toWalkMinutes(distanceKm),
+          path: [[origin.lat, origin.lon], ...found.path, [destination.lat, destination.lon]]
+        };
+      });
+    }
+  };
+}
+
+export async function loadGraphRouter(extractPath) {
+  return createGraphRouter(buildWalkGraph(await readOsmNetwork(extractPath)));
+}
+
+/**
+ * Attaches `walkKm`, `walkMinutes` and `walkPath` and re-ranks by walking
+ * distance. Toilets without a route keep straight-line order after the rest.
+ */
+export async function rankByWalking(router, origin, toilets, limit) {
+  const routes = await router.routeMany(origin, toilets);
+
+  return toilets
+    .map((toilet, i) => ({
+      ...toilet,
+      walkKm: routes[i] ? routes[i].distanceKm : null,
+      walkMinutes: routes[i] ? routes[i].minutes : null,
+      walkPath: routes[i] ? routes[i].path : null
+    }))
+    .sort((a, b) => (a.walkKm ?? Infinity) - (b.walkKm ?? Infinity) || a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+}
@@ -0,0 +1,164 @@
+import { EARTH_RADIUS_KM, KM_PER_DEGREE, haversineKm, isInBounds, toRad } from "./geo.mjs";
+
+const DEFAULT_CELL_SIZE_DEG = 0.02;
+
+function cellKey(row, col) {
+  return `${row}:${col}`;
+}
+
+// Points in ring r + 1 or beyond are at least r whole cells away from the query
+// in latitude or longitude, so nothing further out can beat this distance.
+function ringLowerBoundKm(ring, cellSizeDeg, maxAbsLat) {
+  const spanDeg = ring * cellSizeDeg;
+  const latBoundKm = spanDeg * KM_PER_DEGREE;
+  const lonBoundKm =
+    2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.cos(toRad(maxAbsLat)) * Math.sin(toRad(spanDeg) / 2)));
+  return Math.min(latBoundKm, lonBoundKm);
+}
+
+export function buildSpatialIndex(points, { cellSizeDeg = DEFAULT_CELL_SIZE_DEG } = {}) {
+  const cells = new Map();
+  let minRow = Infinity;
+  let maxRow = -Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+  let maxAbsLat = 0;
+
+  for (const point of points) {
+    const row = Math.floor(point.lat / cellSizeDeg);
+    const col = Math.floor(point.lon / cellSizeDeg);
+    const key = cellKey(row, col);
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(point);
+
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minCol = Math.min(minCol, col);
+    maxCol = Math.max(maxCol, col);
+    maxAbsLat = Math.max(maxAbsLat, Math.abs(point.lat));
+  }
+
+  function scanNearest(lat, lon, limit, predicate) {
+    const found = [];
+    for (const bucket of cells.values()) {
+      for (const point of bucket) {
+        if (predicate(point)) {
+          found.push({
+            ...point,
+            distanceKm: haversineKm(lat, lon, point.lat, point.lon)
+          });
+        }
+      }
+    }
+    return found.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, limit);
+  }
+
+  function nearest(lat, lon, limit, predicate = () => true) {
+    if (cells.size === 0 || limit < 1) {
+      return [];
+    }
+
+    const originRow = Math.floor(lat / cellSizeDeg);
+    const originCol = Math.floor(lon / cellSizeDeg);
+    const maxRing = Math.max(
+      Math.abs(originRow - minRow),
+      Math.abs(originRow - maxRow),
+      Math.abs(originCol - minCol),
+      Math.abs(originCol - maxCol)
+    );
+    const boundLat = Math.max(maxAbsLat, Math.abs(lat));
+    let found = [];
+    let visitedCells = 0;
+
+    for (let ring = 0; ring <= maxRing; ring += 1) {
+      // A selective predicate can keep the walk going across empty grid; once it has looked
+      // at more slots than there are occupied cells, one pass over those is cheaper.
+      visitedCells += ring === 0 ? 1 : ring * 8;
+      if (visitedCells > cells.size) {
+        return scanNearest(lat, lon, limit, predicate);
+      }
+
+      for (let row = originRow - ring; row <= originRow + ring; row += 1) {
+        const onEdgeRow = row === originRow - ring || row === originRow + ring;
+        const step = onEdgeRow ? 1 : ring * 2;
+        for (let col = originCol - ring; col <= originCol + ring; col += step) {
+          const bucket = cells.get(cellKey(row, col));
+          if (!bucket) {
+            continue;
+          }
+
+          for (const point of bucket) {
+            if (!predicate(point)) {
+              continue;
+            }
+            found.push({
+              ...point,
+              distanceKm: haversineKm(lat, lon, point.lat, point.lon)
+            });
+          }
+        }
+      }
+
+      found.sort((a, b) => a.distanceKm - b.distanceKm);
+      if (found.length > limit) {
+        found = found.slice(0, limit);
+      }
+
+      if (found.length === limit && found[limit - 1].distanceKm <= ringLowerBoundKm(ring, cellSizeDeg, boundLat)) {
+        break;
+      }
+    }
+
+    return found;
+  }
+
+  // Every match inside `bounds`, closest to its centre first, capped at `limit`.
+  function withinBounds(bounds, limit, predicate = () => true) {
+    const firstRow = Math.max(minRow, Math.floor(bounds.minLat / cellSizeDeg));
+    const lastRow = Math.min(maxRow, Math.floor(bounds.maxLat / cellSizeDeg));
+    const firstCol = Math.max(minCol, Math.floor(bounds.minLon / cellSizeDeg));
+    const lastCol = Math.min(maxCol, Math.floor(bounds.maxLon / cellSizeDeg));
+    if (cells.size === 0 || limit < 1 || firstRow > lastRow || firstCol > lastCol) {
+      return [];
+    }
+
+    // Wide boxes over a sparse grid are cheaper to answer by scanning the occupied cells.
+    const buckets = [];
+    if ((lastRow - firstRow + 1) * (lastCol - firstCol + 1) > cells.size) {
+      buckets.push(...cells.values());
+    } else {
+      for (let row = firstRow; row <= lastRow; row += 1) {
+        for (let col = firstCol; col <= lastCol; col += 1) {
+          const bucket = cells.get(cellKey(row, col));
+          if (bucket) {
+            buckets.push(bucket);
+          }
+        }
+      }
+    }
+
+    const centreLat = (bounds.minLat + bounds.maxLat) / 2;
+    const centreLon = (bounds.minLon + bounds.maxLon) / 2;
+    const found = [];
+    for (const bucket of buckets) {
+      for (const point of bucket) {
+        if (isInBounds(point.lat, point.lon, bounds) && predicate(point)) {
+          found.push({
+            ...point,
+            distanceKm: haversineKm(centreLat, centreLon, point.lat, point.lon)
+          });
+        }
+      }
+    }
+
+    return found.sort((a, b) => a.distanceKm - b.distanceKm).slice(0, limit);
+  }
+
+  return {
+    size: points.length,
+    nearest,
+    withinBounds
+  };
+}
@@ -0,0 +1,168 @@
+import { randomUUID } from "node:crypto";
+import { isFiniteNumber } from "./geo.mjs";
+import { createJsonFileCollection } from "./json-file-store.mjs";
+import { parseOsmOpeningHours } from "./opening-hours.mjs";
+import { clampText } from "./text.mjs";
+
+export const SUBMISSION_STATUSES = ["pending", "approved", "rejected"];
+export const SUBMISSION_AMENITIES = ["accessible", "babyChange", "noPayment", "radar", "allGender"];
+const MAX_SUBMISSION_ROWS = 10000;
+
+function parseAmenityAnswer(value) {
+  return value === true || value === false ? value : null;
+}
+
+/**
+ * Validates a suggested toilet from the public form. Returns the cleaned
+ * fields, or an `{ error, message }` body for a 400. Amenities are
+ * true/false/null (unknown); opening hours use the OSM `opening_hours` subset
+ * that `parseOsmOpeningHours` understands.
+ */
+export function parseSubmission(body) {
+  const lat = Number(body?.lat);
+  const lon = Number(body?.lon);
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return {
+      error: "invalid_coordinates",
+      message: "Drop a pin on the map so we know where the toilet is."
+    };
+  }
+
+  const name = clampText(body?.name, 120);
+  if (!name) {
+    return {
+      error: "missing_fields",
+      message: "Please give the toilet a name, e.g. the building or park it is in."
+    };
+  }
+
+  const openingTimes = clampText(body?.openingTimes, 200) || null;
+  if (openingTimes && !parseOsmOpeningHours(openingTimes)) {
+    return {
+      error: "invalid_opening_hours",
+      message: 'Opening hours should look like "Mo-Fr 08:00-18:00; Sa 10:00-16:00" or "24/7".'
+    };
+  }
+
+  return {
+    name,
+    lat,
+    lon,
+    areaName: clampText(body?.areaName, 120) || null,
+    ...Object.fromEntries(SUBMISSION_AMENITIES.map((field) => [field, parseAmenityAnswer(body?.[field])])),
+    openingTimes,
+    notes: clampText(body?.notes, 500) || null
+  };
+}
+
+// The `community/` prefix keeps ids clear of the upstream datasets' ids.
+export function createSubmission(fields) {
+  return {
+    id: `community/${randomUUID()}`,
+    ...fields,
+    status: "pending",
+    createdAt: new Date().toISOString(),
+    reviewedAt: null
+  };
+}
+
+/**
+ * Submission stores share one shape: `name`, `add(submission)`,
+ * `list({ status })` (newest first) and `review(id, status)`, which resolves
+ * to the updated submission or null when the id is unknown.
+ */
+export function createFileSubmissionStore({ filePath }) {
+  const collection = createJsonFileCollection(filePath);
+
+  return {
+    name: "file",
+    async add(submission) {
+      await collection.update((rows) => [...rows, submission].slice(-MAX_SUBMISSION_ROWS));
+      return submission;
+    },
+    async list({ status = null } = {}) {
+      return (await collection.all())
+        .filter((submission) => status === null || submission.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async review(id, status) {
+      let reviewed = null;
+      await collection.update((rows) =>
+        rows.map((row) => {
+          if (row.id !== id) {
+            return row;
+          }
+          reviewed = { ...row, status, reviewedAt: new Date().toISOString() };
+          return reviewed;
+        })
+      );
+      return reviewed;
+    }
+  };
+}
+
+/**
+ * Maps an approved submission onto the toilet shape produced by `parseToilets`.
+ */
+export function submissionToToilet(submission) {
+  return {
+    id: submission.id,
+    name: submission.name,
+    lat: submission.lat,
+    lon: submission.lon,
+    areaName: submission.areaName || "Unknown area",
+    accessible: submission.accessible,
+    babyChange: submission.babyChange,
+    noPayment: submission.noPayment,
+    radar: submission.radar,
+    allGender: submission.allGender,
+    notes: submission.notes,
+    openingTimes: submission.openingTimes,
+    openingSchedule: parseOsmOpeningHours(submission.openingTimes),
+    updatedAt: submission.reviewedAt || submission.createdAt
+  };
+}
+
+// Toilet Map `opening_times`: seven Monday-first `[open, close]` pairs, `[]` when closed.
+function toToiletMapOpeningTimes(schedule) {
+  if (!schedule) {
+    return null;
+  }
+  return schedule.days.map((periods) => (periods.length > 0 ? [periods[0].open, periods.at(-1).close] : []));
+}
+
+/**
+ * Field layouts used by the upstream datasets, so approved entries can be
+ * sent on: `toiletmap` mirrors the Toilet Map dataset rows read by
+ * `parseToilets`, `refuge` the restroom fields of the Refuge Restrooms API.
+ */
+export const UPSTREAM_EXPORTS = {
+  toiletmap(submission) {
+    return {
+      name: submission.name,
+      location: { type: "Point", coordinates: [submission.lon, submission.lat] },
+      accessible: submission.accessible,
+      baby_change: submission.babyChange,
+      no_payment: submission.noPayment,
+      radar: submission.radar,
+      all_gender: submission.allGender,
+      opening_times: toToiletMapOpeningTimes(parseOsmOpeningHours(submission.openingTimes)),
+      notes: submission.notes
+    };
+  },
+  refuge(submission) {
+    return {
+      name: submission.name,
+      street: submission.areaName || "",
+      latitude: submission.lat,
+      longitude: submission.lon,
+      accessible: submission.accessible === true,
+      unisex: submission.allGender === true,
+      changing_table: submission.babyChange === true,
+      directions: "",
+      comment: [submission.notes, submission.openingTimes && `Hours: ${submission.openingTimes}`]
+        .filter(Boolean)
+        .join(" | ")
+    };
+  }
+};
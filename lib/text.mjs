@@ -0,0 +1,12 @@
+export function clampText(value, maxLen = 280) {
+  if (!value) {
+    return null;
+  }
+
+  const text = String(value).replace(/\s+/g, " ").trim();
+  if (!text) {
+    return null;
+  }
+
+  return text.length > maxLen ? `${text.slice(0, maxLen - 3)}...` : text;
+}
@@ -0,0 +1,124 @@
+/**
+ * In-memory fixed-window counter per key (an IP, a device id, ...).
+ * `hit(key)` counts one attempt and reports whether it is within `limit`
+ * for the current `windowMs`, plus how long until the window resets.
+ */
+export function createThrottle({ limit, windowMs, now = () => Date.now() }) {
+  const windows = new Map();
+
+  function prune(time) {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) {
+        windows.delete(key);
+      }
+    }
+  }
+
+  return {
+    hit(key) {
+      const time = now();
+      if (windows.size > 10000) {
+        prune(time);
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= time) {
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return {
+        allowed: window.count <= limit,
+        retryAfterMs: window.count <= limit ? 0 : window.resetAt - time
+      };
+    }
+  };
+}
+
+/**
+ * In-memory token bucket per key: each key starts with `capacity` tokens and
+ * regains one every `refillMs`. `hit(key)` spends a token and has the same
+ * result shape as `createThrottle`, so bursts are allowed but the long-run rate is capped.
+ */
+export function createTokenBucket({ capacity, refillMs, now = () => Date.now() }) {
+  const buckets = new Map();
+
+  function refill(bucket, time) {
+    const tokens = Math.min(capacity, bucket.tokens + (time - bucket.updatedAt) / refillMs);
+    return { tokens, updatedAt: time };
+  }
+
+  function prune(time) {
+    for (const [key, bucket] of buckets) {
+      if (refill(bucket, time).tokens >= capacity) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return {
+    hit(key) {
+      const time = now();
+      if (buckets.size > 10000) {
+        prune(time);
+      }
+
+      const bucket = refill(buckets.get(key) || { tokens: capacity, updatedAt: time }, time);
+      if (bucket.tokens < 1) {
+        buckets.set(key, bucket);
+        return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) * refillMs) };
+      }
+
+      buckets.set(key, { ...bucket, tokens: bucket.tokens - 1 });
+      return { allowed: true, retryAfterMs: 0 };
+    }
+  };
+}
+
+/**
+ * Pairs a per-device and a per-IP limiter (anything with `hit(key)`).
+ * `hit(deviceId, ip)` checks the device first, so a device that is already
+ * blocked doesn't use up the allowance its IP shares with other devices.
+ */
+export function createDeviceThrottle({ device, ip }) {
+  return {
+    hit(deviceId, clientIp) {
+      const throttled = device.hit(deviceId);
+      return throttled.allowed ? ip.hit(clientIp) : throttled;
+    }
+  };
+}
+
+/**
+ * Remembers keys (e.g. message hashes) for `windowMs`. `claim(key)` returns
+ * false when the key was already claimed in the window; `release(key)` frees
+ * it again, e.g. when the claimed work failed and a retry should be allowed.
+ */
+export function createDuplicateGuard({ windowMs, maxKeys = 10000, now = () => Date.now() }) {
+  const claims = new Map();
+
+  return {
+    claim(key) {
+      const time = now();
+      const claimedAt = claims.get(key);
+      if (claimedAt !== undefined && time - claimedAt < windowMs) {
+        return false;
+      }
+
+      claims.delete(key);
+      claims.set(key, time);
+      // Map keeps insertion order, so the first keys are the oldest claims.
+      for (const oldest of claims.keys()) {
+        if (claims.size <= maxKeys && time - claims.get(oldest) < windowMs) {
+          break;
+        }
+        claims.delete(oldest);
+      }
+      return true;
+    },
+    release(key) {
+      claims.delete(key);
+    }
+  };
+}
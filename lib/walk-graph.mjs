@@ -0,0 +1,183 @@
+import { haversineKm } from "./geo.mjs";
+import { buildSpatialIndex } from "./spatial-index.mjs";
+
+const WALKABLE_HIGHWAYS = new Set([
+  "footway",
+  "path",
+  "pedestrian",
+  "steps",
+  "living_street",
+  "residential",
+  "service",
+  "unclassified",
+  "tertiary",
+  "tertiary_link",
+  "secondary",
+  "secondary_link",
+  "primary",
+  "primary_link",
+  "track",
+  "cycleway",
+  "bridleway",
+  "corridor",
+  "road"
+]);
+const MAX_SNAP_KM = 0.5;
+
+export function isWalkableWay(tags = {}) {
+  if (tags.foot === "yes" || tags.foot === "designated") {
+    return true;
+  }
+  if (tags.foot === "no" || tags.access === "no" || tags.access === "private") {
+    return false;
+  }
+  return WALKABLE_HIGHWAYS.has(tags.highway);
+}
+
+function createMinHeap() {
+  const items = [];
+
+  function swap(a, b) {
+    [items[a], items[b]] = [items[b], items[a]];
+  }
+
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) {
+          break;
+        }
+        swap(parent, i);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left][0] < items[smallest][0]) {
+            smallest = left;
+          }
+          if (right < items.length && items[right][0] < items[smallest][0]) {
+            smallest = right;
+          }
+          if (smallest === i) {
+            break;
+          }
+          swap(smallest, i);
+          i = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * Builds an undirected pedestrian graph from extract nodes and ways
+ * (see `readOsmNetwork`). Only nodes used by walkable ways are kept.
+ */
+export function buildWalkGraph({ nodes, ways }) {
+  const coordinates = new Map(nodes.map((node) => [node.id, node]));
+  const adjacency = new Map();
+
+  function link(fromId, toId, distanceKm) {
+    if (!adjacency.has(fromId)) {
+      adjacency.set(fromId, []);
+    }
+    adjacency.get(fromId).push([toId, distanceKm]);
+  }
+
+  for (const way of ways) {
+    if (!isWalkableWay(way.tags)) {
+      continue;
+    }
+
+    for (let i = 1; i < way.refs.length; i += 1) {
+      const from = coordinates.get(way.refs[i - 1]);
+      const to = coordinates.get(way.refs[i]);
+      if (!from || !to) {
+        continue;
+      }
+
+      const distanceKm = haversineKm(from.lat, from.lon, to.lat, to.lon);
+      link(from.id, to.id, distanceKm);
+      link(to.id, from.id, distanceKm);
+    }
+  }
+
+  const index = buildSpatialIndex(
+    [...adjacency.keys()].map((id) => ({ id, lat: coordinates.get(id).lat, lon: coordinates.get(id).lon })),
+    { cellSizeDeg: 0.005 }
+  );
+
+  function snap(lat, lon) {
+    const [closest] = index.nearest(lat, lon, 1);
+    return closest && closest.distanceKm <= MAX_SNAP_KM ? closest : null;
+  }
+
+  // Single-source Dijkstra that stops once every target is settled or maxKm is exceeded.
+  function shortestPaths(sourceId, targetIds, maxKm) {
+    const remaining = new Set(targetIds);
+    const distances = new Map([[sourceId, 0]]);
+    const previous = new Map();
+    const settled = new Set();
+    const heap = createMinHeap();
+    heap.push([0, sourceId]);
+
+    while (heap.size > 0 && remaining.size > 0) {
+      const [distance, nodeId] = heap.pop();
+      if (settled.has(nodeId)) {
+        continue;
+      }
+      if (distance > maxKm) {
+        break;
+      }
+
+      settled.add(nodeId);
+      remaining.delete(nodeId);
+
+      for (const [neighborId, edgeKm] of adjacency.get(nodeId) || []) {
+        const candidate = distance + edgeKm;
+        if (candidate < (distances.get(neighborId) ?? Infinity)) {
+          distances.set(neighborId, candidate);
+          previous.set(neighborId, nodeId);
+          heap.push([candidate, neighborId]);
+        }
+      }
+    }
+
+    const results = new Map();
+    for (const targetId of targetIds) {
+      if (!settled.has(targetId)) {
+        continue;
+      }
+
+      const path = [];
+      for (let nodeId = targetId; nodeId !== undefined; nodeId = previous.get(nodeId)) {
+        const node = coordinates.get(nodeId);
+        path.push([node.lat, node.lon]);
+      }
+      results.set(targetId, { distanceKm: distances.get(targetId), path: path.reverse() });
+    }
+    return results;
+  }
+
+  return {
+    nodeCount: adjacency.size,
+    snap,
+    shortestPaths
+  };
+}
@@ -0,0 +1,149 @@
+import { matchesAmenityFilters } from "./lib/amenity-filters.mjs";
+import { haversineKm } from "./lib/geo.mjs";
+import { getLocalClock, getOpenStatus } from "./lib/opening-hours.mjs";
+
+const DB_NAME = "how-far-from-potty";
+const DB_VERSION = 1;
+const RESPONSES_STORE = "nearest-responses";
+const TOILETS_STORE = "toilets";
+const MAX_SAVED_RESPONSES = 20;
+const MAX_SAVED_TOILETS = 5000;
+const MAX_OFFLINE_DISTANCE_KM = 50;
+
+let dbPromise;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!("indexedDB" in window)) {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(RESPONSES_STORE, { keyPath: "key" }).createIndex("savedAt", "savedAt");
+        db.createObjectStore(TOILETS_STORE, { keyPath: "id" }).createIndex("savedAt", "savedAt");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Deletes the oldest rows (by `savedAt`) so a store never grows past maxRows.
+async function pruneStore(db, storeName, maxRows) {
+  const store = db.transaction(storeName, "readwrite").objectStore(storeName);
+  const excess = (await promisifyRequest(store.count())) - maxRows;
+  if (excess <= 0) {
+    return;
+  }
+
+  const oldestKeys = await promisifyRequest(store.index("savedAt").getAllKeys(null, excess));
+  const cleanup = db.transaction(storeName, "readwrite").objectStore(storeName);
+  await Promise.all(oldestKeys.map((key) => promisifyRequest(cleanup.delete(key))));
+}
+
+/**
+ * Keeps a successful `/api/nearest` payload (replayed for the same query
+ * when offline) and merges its toilets into the regional set.
+ */
+export async function saveNearestResponse(key, payload) {
+  const db = await openDb();
+  const savedAt = new Date().toISOString();
+  const store = db.transaction(RESPONSES_STORE, "readwrite").objectStore(RESPONSES_STORE);
+  await promisifyRequest(store.put({ key, savedAt, payload }));
+  await pruneStore(db, RESPONSES_STORE, MAX_SAVED_RESPONSES);
+  await saveToilets(payload.toilets, { timeZone: payload.query?.timeZone || null });
+}
+
+export async function getSavedNearestResponse(key) {
+  const db = await openDb();
+  const store = db.transaction(RESPONSES_STORE, "readonly").objectStore(RESPONSES_STORE);
+  return (await promisifyRequest(store.get(key))) || null;
+}
+
+/**
+ * Stores toilets for offline search. Per-request fields (distance, walking
+ * route, open status) are dropped since they depend on where and when we ask.
+ */
+export async function saveToilets(toilets, { timeZone = null } = {}) {
+  if (!toilets.length) {
+    return;
+  }
+
+  const db = await openDb();
+  const savedAt = new Date().toISOString();
+  const store = db.transaction(TOILETS_STORE, "readwrite").objectStore(TOILETS_STORE);
+  await Promise.all(
+    toilets.map((toilet) => {
+      const {
+        distanceKm,
+        walkKm,
+        walkMinutes,
+        walkPath,
+        openNow,
+        opensAt,
+        closesAt,
+        ...stored
+      } = toilet;
+      return promisifyRequest(store.put({ ...stored, timeZone, savedAt }));
+    })
+  );
+  await pruneStore(db, TOILETS_STORE, MAX_SAVED_TOILETS);
+}
+
+function withCurrentStatus(toilet, now) {
+  const clock = toilet.timeZone ? getLocalClock(now, toilet.timeZone) : null;
+  return { ...toilet, ...getOpenStatus(toilet.openingSchedule, clock) };
+}
+
+/**
+ * Mirrors `/api/nearest` from saved data. A saved response for the same query
+ * is replayed (keeping its walking routes); otherwise the closest saved
+ * toilets are ranked by straight-line distance. Resolves to the toilets plus
+ * `savedAt`, the oldest save time among them.
+ */
+export async function findNearestOffline(key, lat, lon, limit, { filters = [], openNowOnly = false } = {}) {
+  const db = await openDb();
+  const now = new Date();
+  const savedResponse = await getSavedNearestResponse(key);
+  let candidates;
+
+  if (savedResponse) {
+    const timeZone = savedResponse.payload.query?.timeZone || null;
+    candidates = savedResponse.payload.toilets.map((toilet) => ({
+      ...withCurrentStatus({ timeZone, ...toilet }, now),
+      savedAt: savedResponse.savedAt
+    }));
+  } else {
+    const store = db.transaction(TOILETS_STORE, "readonly").objectStore(TOILETS_STORE);
+    candidates = (await promisifyRequest(store.getAll()))
+      .map((toilet) => ({
+        ...withCurrentStatus(toilet, now),
+        distanceKm: haversineKm(lat, lon, toilet.lat, toilet.lon)
+      }))
+      .filter((toilet) => toilet.distanceKm <= MAX_OFFLINE_DISTANCE_KM && matchesAmenityFilters(toilet, filters))
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  const toilets = candidates.filter((toilet) => !openNowOnly || toilet.openNow !== false).slice(0, limit);
+
+  let savedAt = null;
+  for (const toilet of toilets) {
+    if (!savedAt || toilet.savedAt < savedAt) {
+      savedAt = toilet.savedAt;
+    }
+  }
+
+  return { toilets, savedAt };
+}
@@ -1,17 +1,68 @@
 import "dotenv/config";
+import { createHash, randomUUID } from "node:crypto";
 import { createServer } from "node:http";
 import { readFile } from "node:fs/promises";
-import { extname, join, normalize } from "node:path";
+import { extname, join, normalize, resolve, sep } from "node:path";
 import { fileURLToPath } from "node:url";
 import { Resend } from "resend";
+import { ADMIN_REALM, isAdminAuthorized } from "./lib/admin-auth.mjs";
+import { AMENITY_FILTERS, matchesAmenityFilters } from "./lib/amenity-filters.mjs";
+import { EXPORT_FORMATS } from "./lib/export-formats.mjs";
+import {
+  FEATURE_REQUEST_STATUSES,
+  createFileFeatureRequestRepository,
+  createFileFeatureRequestVoteStore,
+  createPublishedFeatureRequestCache,
+  createSupabaseFeatureRequestRepository,
+  findSimilarFeatureRequests,
+  toFeatureRequestsCsv,
+  toPublicFeatureRequest
+} from "./lib/feature-requests.mjs";
+import { boundsAroundPoint, haversineKm, isFiniteNumber, isInBounds } from "./lib/geo.mjs";
+import { getLocalClock, getOpenStatus } from "./lib/opening-hours.mjs";
+import { createGeocoderChain, createNominatimGeocoder, loadPostcodeGeocoder } from "./lib/geocoding.mjs";
+import { logger as rootLogger } from "./lib/logger.mjs";
+import { createMetrics, instrumentFetch } from "./lib/metrics.mjs";
+import { createCommunityProvider } from "./lib/providers/community.mjs";
+import { createOutbox } from "./lib/outbox.mjs";
+import { createOverpassProvider, loadOsmExtractProvider } from "./lib/providers/osm.mjs";
+import { createProviderRegistry } from "./lib/providers/registry.mjs";
+import { createUkProvider } from "./lib/providers/uk.mjs";
+import { createUsProvider } from "./lib/providers/us.mjs";
+import {
+  REPORT_CATEGORIES,
+  createFileReportStore,
+  createReport,
+  createSupabaseReportStore,
+  isValidToiletId,
+  recentReportsSince,
+  summarizeReports
+} from "./lib/reports.mjs";
+import {
+  createFileRatingStore,
+  createRating,
+  hashVoter,
+  parseRatingScore,
+  parseRatingTags,
+  rankByQuality,
+  summarizeRatings
+} from "./lib/ratings.mjs";
+import {
+  SUBMISSION_STATUSES,
+  UPSTREAM_EXPORTS,
+  createFileSubmissionStore,
+  createSubmission,
+  parseSubmission
+} from "./lib/submissions.mjs";
+import { createGraphHopperRouter, createOsrmRouter, loadGraphRouter, rankByWalking } from "./lib/routing.mjs";
+import { clampText } from "./lib/text.mjs";
+import { createDeviceThrottle, createDuplicateGuard, createThrottle, createTokenBucket } from "./lib/throttle.mjs";
 
 const PORT = Number(process.env.PORT || 3000);
 const ROOT_DIR = fileURLToPath(new URL(".", import.meta.url));
-const DATASET_PAGE_URL = "https://www.toiletmap.org.uk/dataset";
-const DATASET_LINK_REGEX = /https:\/\/[^"'<>]+\/exports\/toilets-[^"'<>]+\.json\?download=1/g;
-const CACHE_TTL_MS = 6 * 60 * 60 * 1000;
-const US_API_BASE_URL = "https://www.refugerestrooms.org/api/v1";
-const US_SOURCE_DOCS_URL = "https://www.refugerestrooms.org/api/docs/#!/restrooms/get_api_v1_restrooms_by_location";
+const DATA_DIR = resolve(ROOT_DIR, process.env.DATA_DIR || "data");
+const UK_CACHE_FILE = process.env.UK_CACHE_FILE || "uk-dataset.json";
+const US_CACHE_TTL_MS = Number(process.env.US_CACHE_TTL_MS || 15 * 60 * 1000);
 const FEATURE_REQUEST_TO = process.env.FEATURE_REQUEST_TO || "oliverkellymain@gmail.com";
 const RESEND_SEND_TIMEOUT_MS = Number(process.env.RESEND_SEND_TIMEOUT_MS || 20000);
 const SUPABASE_FEATURE_REQUESTS_URL =
@@ -20,96 +71,563 @@ const SUPABASE_FEATURE_REQUESTS_URL =
 const SUPABASE_PUBLISHABLE_KEY =
   process.env.SUPABASE_PUBLISHABLE_KEY ||
   "sb_publishable_tjz7milxhXfFZj15c7qs0g_nuz_jMhw";
-
-const UK_BOUNDS = {
-  minLat: 49.8,
-  maxLat: 60.9,
-  minLon: -8.7,
-  maxLon: 1.8
+// Server-only: it can read every feature request, so it has no default.
+const SUPABASE_SERVICE_ROLE_KEY = (process.env.SUPABASE_SERVICE_ROLE_KEY || "").trim();
+const FEATURE_REQUESTS_STORE = (process.env.FEATURE_REQUESTS_STORE || "supabase").trim().toLowerCase();
+const FEATURE_REQUESTS_FILE = process.env.FEATURE_REQUESTS_FILE || "feature-requests.json";
+const FEATURE_VOTES_FILE = process.env.FEATURE_VOTES_FILE || "feature-request-votes.json";
+const FEATURE_BOARD_CACHE_MS = 30 * 1000;
+const OSM_EXTRACT_PATH = (process.env.OSM_EXTRACT_PATH || "").trim();
+const OSM_OVERPASS_URL = (process.env.OSM_OVERPASS_URL || "").trim();
+const OSM_OVERPASS_RADIUS_KM = Number(process.env.OSM_OVERPASS_RADIUS_KM || 5);
+const OSM_TIME_ZONE = (process.env.OSM_TIME_ZONE || "").trim() || null;
+const ROUTING_ENGINE = (process.env.ROUTING_ENGINE || "osrm").trim().toLowerCase();
+const ROUTING_URL = (process.env.ROUTING_URL || "").trim();
+const ROUTING_PROFILE = (process.env.ROUTING_PROFILE || "foot").trim();
+const ROUTING_GRAPH_PATH = (process.env.ROUTING_GRAPH_PATH || "").trim();
+const GRAPHHOPPER_API_KEY = (process.env.GRAPHHOPPER_API_KEY || "").trim();
+const POSTCODE_CENTROIDS_PATH = (process.env.POSTCODE_CENTROIDS_PATH || "").trim();
+const GEOCODER_URL = (process.env.GEOCODER_URL || "").trim();
+const GEOCODER_COUNTRY_CODES = (process.env.GEOCODER_COUNTRY_CODES || "").trim();
+const REPORTS_STORE = (process.env.REPORTS_STORE || "file").trim().toLowerCase();
+const REPORTS_FILE = process.env.REPORTS_FILE || "reports.json";
+const SUPABASE_REPORTS_URL = (process.env.SUPABASE_REPORTS_URL || "").trim();
+const RATINGS_FILE = process.env.RATINGS_FILE || "ratings.json";
+const SUBMISSIONS_FILE = process.env.SUBMISSIONS_FILE || "submissions.json";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const TRUSTED_PROXY_HOPS = Number(process.env.TRUSTED_PROXY_HOPS || (process.env.RENDER ? 1 : 0));
+const FEATURE_REQUEST_LIMITS = {
+  perIp: { capacity: 3, refillMs: 20 * 60 * 1000 },
+  global: { capacity: 30, refillMs: 15 * 60 * 1000 }
 };
+const FEATURE_REQUEST_DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SUBMISSION_IP_LIMIT = { capacity: 5, refillMs: 12 * 60 * 1000 };
+const REPORT_DUPLICATE_WINDOW_MS = 60 * 60 * 1000;
+const OUTBOX_FILE = process.env.OUTBOX_FILE || "feature-request-outbox.json";
+const OUTBOX_RETRY = { maxAttempts: 8, baseDelayMs: 60 * 1000, maxDelayMs: 6 * 60 * 60 * 1000 };
+const OUTBOX_POLL_MS = 30 * 1000;
+const NEAREST_SORTS = ["nearest", "best"];
+const UNKNOWN_HOURS_MODES = ["include", "exclude"];
+const MAX_AREA_RESULTS = 500;
+const MAX_AREA_SPAN_DEG = 1;
+const MAX_AREA_RADIUS_KM = 25;
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const ROUTE_LABELS = new Set([
+  "/api/feature-request",
+  "/api/feature-requests",
+  "/api/geocode",
+  "/api/nearest",
+  "/api/submissions",
+  "/api/toilets",
+  "/api/admin/feature-requests",
+  "/api/admin/feature-requests/export",
+  "/api/admin/outbox",
+  "/api/admin/submissions",
+  "/api/admin/submissions/export",
+  "/metrics",
+  "/healthz",
+  "/readyz"
+]);
+const PROBE_ROUTES = new Set(["/healthz", "/readyz"]);
+const ROUTE_TEMPLATES = [
+  [/^\/api\/feature-requests\/[^/]+\/vote$/, "/api/feature-requests/:id/vote"],
+  [/^\/api\/toilets\/.+\/reports$/, "/api/toilets/:id/reports"],
+  [/^\/api\/toilets\/.+\/ratings$/, "/api/toilets/:id/ratings"],
+  [/^\/api\/admin\/feature-requests\/[^/]+$/, "/api/admin/feature-requests/:id"],
+  [/^\/api\/admin\/outbox\/[^/]+\/retry$/, "/api/admin/outbox/:id/retry"],
+  [/^\/api\/admin\/submissions\/.+$/, "/api/admin/submissions/:id"]
+];
+
+async function loadDefaultProviders({ fetchImpl, dataDir, serverMetrics }) {
+  const upstreamFetch = (upstream) => instrumentFetch(fetchImpl, upstream, serverMetrics.upstream);
+  const providers = [
+    createUkProvider({ fetchImpl: upstreamFetch("uk_dataset"), cacheFile: resolve(dataDir, UK_CACHE_FILE) }),
+    createUsProvider({ fetchImpl: upstreamFetch("refuge"), cacheTtlMs: US_CACHE_TTL_MS })
+  ];
 
-const US_BOUNDS = {
-  minLat: 18.5,
-  maxLat: 71.6,
-  minLon: -179.2,
-  maxLon: -66.0
-};
+  if (OSM_EXTRACT_PATH) {
+    try {
+      providers.push(await loadOsmExtractProvider(OSM_EXTRACT_PATH, { timeZone: OSM_TIME_ZONE }));
+      rootLogger.info("Loaded extract", { scope: "osm", path: OSM_EXTRACT_PATH });
+    } catch (error) {
+      rootLogger.error("Could not load extract", { scope: "osm", path: OSM_EXTRACT_PATH, error });
+    }
+  } else if (OSM_OVERPASS_URL) {
+    providers.push(
+      createOverpassProvider({
+        endpoint: OSM_OVERPASS_URL,
+        fetchImpl: upstreamFetch("overpass"),
+        radiusKm: OSM_OVERPASS_RADIUS_KM,
+        timeZone: OSM_TIME_ZONE
+      })
+    );
+  }
+
+  return providers;
+}
+
+async function loadWalkingRouter() {
+  if (ROUTING_GRAPH_PATH) {
+    try {
+      const router = await loadGraphRouter(ROUTING_GRAPH_PATH);
+      rootLogger.info("Loaded walking graph", { scope: "routing", path: ROUTING_GRAPH_PATH });
+      return router;
+    } catch (error) {
+      rootLogger.error("Could not build walking graph", { scope: "routing", path: ROUTING_GRAPH_PATH, error });
+      return null;
+    }
+  }
+  if (ROUTING_URL) {
+    return ROUTING_ENGINE === "graphhopper"
+      ? createGraphHopperRouter({ baseUrl: ROUTING_URL, profile: ROUTING_PROFILE, apiKey: GRAPHHOPPER_API_KEY })
+      : createOsrmRouter({ baseUrl: ROUTING_URL, profile: ROUTING_PROFILE });
+  }
+  return null;
+}
+
+async function loadGeocoder() {
+  const geocoders = [];
+  if (POSTCODE_CENTROIDS_PATH) {
+    try {
+      geocoders.push(await loadPostcodeGeocoder(POSTCODE_CENTROIDS_PATH));
+      rootLogger.info("Loaded postcode centroids", { scope: "geocode", path: POSTCODE_CENTROIDS_PATH });
+    } catch (error) {
+      rootLogger.error("Could not load postcode centroids", { scope: "geocode", path: POSTCODE_CENTROIDS_PATH, error });
+    }
+  }
+  if (GEOCODER_URL) {
+    geocoders.push(createNominatimGeocoder({ baseUrl: GEOCODER_URL, countryCodes: GEOCODER_COUNTRY_CODES }));
+  }
+  return createGeocoderChain(geocoders);
+}
+
+function createReportStore({ fetchImpl, dataDir }) {
+  if (REPORTS_STORE === "supabase") {
+    if (SUPABASE_REPORTS_URL && SUPABASE_PUBLISHABLE_KEY) {
+      return createSupabaseReportStore({ url: SUPABASE_REPORTS_URL, key: SUPABASE_PUBLISHABLE_KEY, fetchImpl });
+    }
+    rootLogger.error(
+      "REPORTS_STORE=supabase needs SUPABASE_REPORTS_URL and SUPABASE_PUBLISHABLE_KEY; using the local file.",
+      { scope: "reports" }
+    );
+  }
+  return createFileReportStore({ filePath: resolve(dataDir, REPORTS_FILE) });
+}
+
+function createFeatureRequestRepository({ fetchImpl, dataDir }) {
+  if (FEATURE_REQUESTS_STORE === "file") {
+    return createFileFeatureRequestRepository({ filePath: resolve(dataDir, FEATURE_REQUESTS_FILE) });
+  }
+  return createSupabaseFeatureRequestRepository({
+    url: SUPABASE_FEATURE_REQUESTS_URL.trim(),
+    key: SUPABASE_PUBLISHABLE_KEY.trim(),
+    serviceKey: SUPABASE_SERVICE_ROLE_KEY,
+    fetchImpl
+  });
+}
+
+function countDeliveries(sinkName, { deliver, describeError }, deliveries) {
+  return {
+    async deliver(payload) {
+      try {
+        await deliver(payload);
+      } catch (error) {
+        deliveries.inc({ sink: sinkName, outcome: describeError(error).error });
+        throw error;
+      }
+      deliveries.inc({ sink: sinkName, outcome: "delivered" });
+    },
+    describeError
+  };
+}
+
+function createFeatureRequestOutbox({ createEmailClient, featureRequestRepository, dataDir, retry, deliveries }) {
+  return createOutbox({
+    filePath: resolve(dataDir, OUTBOX_FILE),
+    ...retry,
+    sinks: {
+      email: countDeliveries(
+        "email",
+        {
+          deliver: (featureRequest) => sendFeatureRequestEmail(featureRequest, { createEmailClient }),
+          describeError: describeEmailDeliveryError
+        },
+        deliveries
+      ),
+      database: countDeliveries(
+        "database",
+        {
+          deliver: (featureRequest) => featureRequestRepository.add(featureRequest),
+          describeError: mapDatabaseWriteError
+        },
+        deliveries
+      )
+    }
+  });
+}
+
+function createServerMetrics(providerRegistry, now = () => Date.now()) {
+  const metrics = createMetrics();
+  const cachedProviders = () =>
+    providerRegistry
+      .list()
+      .filter((provider) => typeof provider.cacheStats === "function")
+      .map((provider) => ({ provider: provider.id, stats: provider.cacheStats() }));
+
+  const serverMetrics = {
+    metrics,
+    http: {
+      requests: metrics.counter("howfarfrompotty_http_requests_total", "HTTP requests by route, method and status."),
+      duration: metrics.histogram(
+        "howfarfrompotty_http_request_duration_seconds",
+        "Time to finish the response, by route and method."
+      )
+    },
+    upstream: {
+      requests: metrics.counter(
+        "howfarfrompotty_upstream_requests_total",
+        "Calls to upstream APIs by outcome: ok, http_<status> or network_error."
+      ),
+      duration: metrics.histogram(
+        "howfarfrompotty_upstream_request_duration_seconds",
+        "Time until an upstream API answered (or failed)."
+      )
+    },
+    deliveries: metrics.counter(
+      "howfarfrompotty_feature_request_deliveries_total",
+      "Feature request delivery attempts by sink and outcome: delivered or the mapped error code."
+    )
+  };
+
+  metrics.collect(
+    "howfarfrompotty_provider_cache_age_seconds",
+    "gauge",
+    "Age of the dataset a provider holds in memory; absent until one is loaded.",
+    () =>
+      cachedProviders()
+        .filter(({ stats }) => stats.fetchedAt !== null)
+        .map(({ provider, stats }) => ({ labels: { provider }, value: (now() - stats.fetchedAt) / 1000 }))
+  );
+  metrics.collect(
+    "howfarfrompotty_provider_cache_lookups_total",
+    "counter",
+    "Dataset lookups: hit (fresh), stale (served while refreshing; UK only) or miss (waited for the network).",
+    () =>
+      cachedProviders().flatMap(({ provider, stats }) =>
+        Object.entries(stats.lookups).map(([result, value]) => ({ labels: { provider, result }, value }))
+      )
+  );
+  metrics.collect(
+    "howfarfrompotty_provider_cache_hit_ratio",
+    "gauge",
+    "Share of lookups answered from memory (hit or stale) since the server started.",
+    () =>
+      cachedProviders()
+        .map(({ provider, stats: { lookups } }) => ({
+          provider,
+          served: lookups.hit + (lookups.stale || 0),
+          total: lookups.hit + (lookups.stale || 0) + lookups.miss
+        }))
+        .filter(({ total }) => total > 0)
+        .map(({ provider, served, total }) => ({ labels: { provider }, value: served / total }))
+  );
+
+  return serverMetrics;
+}
 
 const contentTypes = {
   ".css": "text/css; charset=utf-8",
   ".html": "text/html; charset=utf-8",
   ".js": "application/javascript; charset=utf-8",
   ".json": "application/json; charset=utf-8",
+  ".mjs": "application/javascript; charset=utf-8",
   ".png": "image/png",
   ".svg": "image/svg+xml",
-  ".txt": "text/plain; charset=utf-8"
+  ".txt": "text/plain; charset=utf-8",
+  ".webmanifest": "application/manifest+json; charset=utf-8"
 };
 
-let ukCache = {
-  fetchedAt: 0,
-  sourceUrl: "",
-  toilets: []
-};
+export function parseAmenityFilters(searchParams) {
+  return Object.keys(AMENITY_FILTERS).filter((key) => parseBooleanParam(searchParams, key));
+}
+
+export function parseBooleanParam(searchParams, key) {
+  const value = String(searchParams.get(key) || "").trim().toLowerCase();
+  return value === "true" || value === "1";
+}
+
+export function withOpenStatus(toilet, clock) {
+  return {
+    ...toilet,
+    ...getOpenStatus(toilet.openingSchedule, clock)
+  };
+}
+
+export function parseUnknownHours(searchParams) {
+  const unknownHours = String(searchParams.get("unknownHours") || "include").trim().toLowerCase();
+  if (!UNKNOWN_HOURS_MODES.includes(unknownHours)) {
+    return {
+      error: "invalid_unknown_hours",
+      message: `unknownHours must be one of: ${UNKNOWN_HOURS_MODES.join(", ")}.`
+    };
+  }
+  return { unknownHours };
+}
+
+function passesOpenFilter(toilet, clock, unknownHours) {
+  const { openNow } = getOpenStatus(toilet.openingSchedule, clock);
+  return openNow === true || (openNow === null && unknownHours === "include");
+}
 
-function isFiniteNumber(value) {
-  return Number.isFinite(value);
+export function buildToiletPredicate(filters, openNowOnly, clock, unknownHours = "include") {
+  return (toilet) =>
+    matchesAmenityFilters(toilet, filters) && (!openNowOnly || passesOpenFilter(toilet, clock, unknownHours));
 }
 
-function isInUkBounds(lat, lon) {
-  return (
-    lat >= UK_BOUNDS.minLat &&
-    lat <= UK_BOUNDS.maxLat &&
-    lon >= UK_BOUNDS.minLon &&
-    lon <= UK_BOUNDS.maxLon
+function getProviderClock(provider, providers, now) {
+  const timeZone = provider.timeZone || (provider.supplement ? providers[0].timeZone : null);
+  return timeZone ? getLocalClock(now, timeZone) : null;
+}
+
+export async function findNearestFromProviders(providers, lat, lon, limit, { filters, openNowOnly, unknownHours }) {
+  const now = new Date();
+  const results = await Promise.all(
+    providers.map(async (provider) => {
+      const clock = getProviderClock(provider, providers, now);
+      const predicate = buildToiletPredicate(filters, openNowOnly, clock, unknownHours);
+      const { toilets, source } = await provider.nearest(lat, lon, limit, predicate);
+
+      return {
+        source: { ...source, provider: provider.id },
+        toilets: toilets.map((toilet) => withOpenStatus({ ...toilet, provider: provider.id }, clock))
+      };
+    })
   );
+
+  return {
+    sources: results.map((result) => result.source),
+    toilets: results
+      .flatMap((result) => result.toilets)
+      .sort((a, b) => a.distanceKm - b.distanceKm)
+      .slice(0, limit)
+  };
 }
 
-function isInUsBounds(lat, lon) {
-  return (
-    lat >= US_BOUNDS.minLat &&
-    lat <= US_BOUNDS.maxLat &&
-    lon >= US_BOUNDS.minLon &&
-    lon <= US_BOUNDS.maxLon
+export async function findInAreaFromProviders(providers, area, limit, { filters, openNowOnly, unknownHours }) {
+  const now = new Date();
+  const { bounds, lat, lon, radiusKm } = area;
+  const inArea = (toilet) =>
+    isInBounds(toilet.lat, toilet.lon, bounds) &&
+    (radiusKm === null || haversineKm(lat, lon, toilet.lat, toilet.lon) <= radiusKm);
+
+  const results = await Promise.all(
+    providers.map(async (provider) => {
+      const clock = getProviderClock(provider, providers, now);
+      const matches = buildToiletPredicate(filters, openNowOnly, clock, unknownHours);
+      const predicate = (toilet) => inArea(toilet) && matches(toilet);
+      const { toilets, source } =
+        typeof provider.withinBounds === "function"
+          ? await provider.withinBounds(bounds, limit + 1, predicate)
+          : await provider.nearest(lat, lon, limit + 1, predicate);
+
+      return {
+        source: { ...source, provider: provider.id },
+        toilets: toilets.map((toilet) => withOpenStatus({ ...toilet, provider: provider.id }, clock))
+      };
+    })
   );
+
+  const toilets = results.flatMap((result) => result.toilets).sort((a, b) => a.distanceKm - b.distanceKm);
+  return {
+    sources: results.map((result) => result.source),
+    truncated: toilets.length > limit,
+    toilets: toilets.slice(0, limit)
+  };
+}
+
+// `bbox=minLon,minLat,maxLon,maxLat`, or `lat`, `lon` and `radiusKm`.
+export function parseAreaQuery(searchParams) {
+  const bbox = searchParams.get("bbox");
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox.split(",").map((part) => Number(part.trim()));
+    const valid =
+      [minLon, minLat, maxLon, maxLat].every(isFiniteNumber) &&
+      minLat >= -90 &&
+      maxLat <= 90 &&
+      minLon >= -180 &&
+      maxLon <= 180 &&
+      minLat < maxLat &&
+      minLon < maxLon;
+    if (!valid) {
+      return {
+        error: "invalid_bbox",
+        message: "bbox must be minLon,minLat,maxLon,maxLat in degrees, with min below max."
+      };
+    }
+    if (maxLat - minLat > MAX_AREA_SPAN_DEG || maxLon - minLon > MAX_AREA_SPAN_DEG) {
+      return {
+        error: "area_too_large",
+        message: `bbox can span at most ${MAX_AREA_SPAN_DEG} degree(s) each way. Zoom in and try again.`
+      };
+    }
+
+    return {
+      bounds: { minLat, maxLat, minLon, maxLon },
+      lat: (minLat + maxLat) / 2,
+      lon: (minLon + maxLon) / 2,
+      radiusKm: null
+    };
+  }
+
+  const readNumber = (key) => (searchParams.get(key)?.trim() ? Number(searchParams.get(key)) : NaN);
+  const lat = readNumber("lat");
+  const lon = readNumber("lon");
+  const radiusKm = readNumber("radiusKm");
+  const inRange = Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lon) || !inRange || !isFiniteNumber(radiusKm) || radiusKm <= 0) {
+    return {
+      error: "invalid_area",
+      message: "Please provide a bbox, or numeric lat, lon and radiusKm query parameters."
+    };
+  }
+  if (radiusKm > MAX_AREA_RADIUS_KM) {
+    return {
+      error: "area_too_large",
+      message: `radiusKm can be at most ${MAX_AREA_RADIUS_KM}.`
+    };
+  }
+
+  return { bounds: boundsAroundPoint(lat, lon, radiusKm), lat, lon, radiusKm };
 }
 
-function clampText(value, maxLen = 280) {
-  if (!value) {
-    return null;
+async function withRecentReports(reportStore, toilets, log = rootLogger) {
+  try {
+    const reports = await reportStore.listForToilets(toilets.map((toilet) => toilet.id), recentReportsSince());
+    const summaries = summarizeReports(reports);
+    return toilets.map((toilet) => ({ ...toilet, recentReports: summaries.get(toilet.id) || null }));
+  } catch (error) {
+    log.error("Recent report lookup failed", { scope: "reports", error });
+    return toilets;
+  }
+}
+
+async function withRatings(ratingStore, toilets, log = rootLogger) {
+  try {
+    const summaries = summarizeRatings(await ratingStore.listForToilets(toilets.map((toilet) => toilet.id)));
+    return toilets.map((toilet) => ({ ...toilet, rating: summaries.get(toilet.id) || null }));
+  } catch (error) {
+    log.error("Rating lookup failed", { scope: "ratings", error });
+    return toilets;
+  }
+}
+
+async function withVotes(voteStore, featureRequests, log = rootLogger) {
+  try {
+    const counts = await voteStore.countsFor(featureRequests.map((featureRequest) => featureRequest.id));
+    return featureRequests.map((featureRequest) => ({ ...featureRequest, votes: counts.get(featureRequest.id) || 0 }));
+  } catch (error) {
+    log.error("Vote lookup failed", { scope: "feature-requests", error });
+    return featureRequests.map((featureRequest) => ({ ...featureRequest, votes: null }));
+  }
+}
+
+function sendAdminChallenge(res) {
+  res.setHeader("WWW-Authenticate", `Basic realm="${ADMIN_REALM}", charset="UTF-8"`);
+  sendJson(res, 401, {
+    error: "unauthorized",
+    message: "Admin password required."
+  });
+}
+
+// Checked on the path as static serving will resolve it, so `/%61dmin.html` can't skip the password.
+export function isAdminPath(pathname) {
+  let resolved;
+  try {
+    resolved = normalize(decodeURIComponent(pathname).replace(/\\/g, "/")).toLowerCase();
+  } catch {
+    return true;
   }
+  return resolved === "/admin" || resolved.startsWith("/admin.") || resolved.startsWith("/api/admin/");
+}
 
-  const text = String(value).replace(/\s+/g, " ").trim();
-  if (!text) {
-    return null;
+// The entry `trustedProxyHops` from the end of X-Forwarded-For is the last one a client can't forge.
+export function getClientIp(req, trustedProxyHops = 0) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "")
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (trustedProxyHops > 0 && forwarded.length > 0) {
+    return forwarded[Math.max(0, forwarded.length - trustedProxyHops)];
   }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function sendTooManyRequests(res, retryAfterMs, message) {
+  res.setHeader("Retry-After", String(Math.max(1, Math.ceil(retryAfterMs / 1000))));
+  sendJson(res, 429, {
+    error: "too_many_requests",
+    message
+  });
+}
+
+export function fingerprintFeatureRequest({ message }) {
+  const normalized = String(message || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
 
-  return text.length > maxLen ? `${text.slice(0, maxLen - 3)}...` : text;
+export function parseExportFormat(searchParams) {
+  const format = String(searchParams.get("format") || "").trim().toLowerCase();
+  if (!format || format === "json") {
+    return { format: null };
+  }
+  if (!EXPORT_FORMATS[format]) {
+    return {
+      error: "invalid_format",
+      message: `format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(", ")}.`
+    };
+  }
+  return { format };
 }
 
-function haversineKm(lat1, lon1, lat2, lon2) {
-  const toRad = (degrees) => (degrees * Math.PI) / 180;
-  const earthRadiusKm = 6371;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return earthRadiusKm * c;
+function sendExport(res, format, body, basename) {
+  const { contentType, extension, serialize } = EXPORT_FORMATS[format];
+  res.writeHead(200, {
+    "Cache-Control": "no-store",
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${basename}.${extension}"`
+  });
+  res.end(serialize(body));
 }
 
 function sendJson(res, statusCode, body) {
+  const requestId = res.getHeader("X-Request-Id");
   res.writeHead(statusCode, {
     "Cache-Control": "no-store",
     "Content-Type": contentTypes[".json"]
   });
-  res.end(JSON.stringify(body));
+  res.end(JSON.stringify(statusCode >= 400 && body?.error && requestId ? { ...body, requestId } : body));
+}
+
+export function getRequestId(req) {
+  const incoming = String(req.headers?.["x-request-id"] || "").trim();
+  return REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+}
+
+export function routeLabel(pathname) {
+  if (ROUTE_LABELS.has(pathname)) {
+    return pathname;
+  }
+  const template = ROUTE_TEMPLATES.find(([pattern]) => pattern.test(pathname));
+  if (template) {
+    return template[1];
+  }
+  return pathname.startsWith("/api/") ? "/api/unknown" : "static";
 }
 
-function getResendConfig() {
+export function getResendConfig() {
   const apiKey = typeof process.env.RESEND_API_KEY === "string" ? process.env.RESEND_API_KEY.trim() : "";
   const from = typeof process.env.RESEND_FROM === "string" ? process.env.RESEND_FROM.trim() : "";
 
@@ -129,12 +647,51 @@ function getResendConfig() {
   };
 }
 
-function sanitizeFeatureInput(value, maxLen) {
+// `down` only when every search provider is down; `unknown` and `disabled` checks don't count.
+export function summarizeChecks(checks, providerIds) {
+  const providerStatuses = providerIds.filter((id) => checks[id]).map((id) => checks[id].status);
+  if (providerStatuses.length > 0 && providerStatuses.every((status) => status === "down")) {
+    return "down";
+  }
+  const statuses = Object.values(checks).map((check) => check.status);
+  return statuses.includes("down") || statuses.includes("degraded") ? "degraded" : "ok";
+}
+
+function sinkCheck(affects, missing, counts) {
+  if (missing.length > 0) {
+    return { status: "disabled", affects, reason: "not_configured", missing };
+  }
+  return { status: counts.dead > 0 ? "degraded" : "ok", affects, pending: counts.pending, dead: counts.dead };
+}
+
+async function checkReadiness({ providerRegistry, featureRequestRepository, outbox }) {
+  const checks = {};
+  for (const provider of providerRegistry.list()) {
+    if (typeof provider.health === "function") {
+      const { status, ...details } = provider.health();
+      checks[provider.id] = { status, affects: `${provider.region} search`, ...details };
+    }
+  }
+
+  const { counts } = await outbox.status();
+  checks.email = sinkCheck("Feature request emails", getResendConfig().missing, counts.email);
+  checks.database = {
+    ...sinkCheck(
+      "Feature request storage and the public board",
+      featureRequestRepository.missingConfig?.() || [],
+      counts.database
+    ),
+    store: featureRequestRepository.name
+  };
+  return checks;
+}
+
+export function sanitizeFeatureInput(value, maxLen) {
   const text = clampText(value, maxLen);
   return text ? text : "";
 }
 
-function mapEmailSendError(error) {
+export function mapEmailSendError(error) {
   const errorCode = typeof error?.code === "string" ? error.code : "UNKNOWN";
   const responseCode = Number.isFinite(error?.responseCode) ? error.responseCode : null;
   const providerMessage = clampText(error?.providerMessage || error?.message || "", 220);
@@ -218,7 +775,7 @@ function mapEmailSendError(error) {
   };
 }
 
-function mapDatabaseWriteError(error) {
+export function mapDatabaseWriteError(error) {
   const errorCode = typeof error?.code === "string" ? error.code : "UNKNOWN";
   const responseCode = Number.isFinite(error?.responseCode) ? error.responseCode : null;
   const providerMessage = clampText(error?.providerMessage || error?.message || "", 220);
@@ -277,7 +834,18 @@ function mapDatabaseWriteError(error) {
   };
 }
 
-function readJsonBody(req, maxBytes = 1_000_000) {
+export function describeEmailDeliveryError(error) {
+  if (error?.message === "email_not_configured") {
+    return {
+      error: "email_not_configured",
+      message: "Feature request delivery is not configured on this server.",
+      missing: Array.isArray(error.missing) ? error.missing : []
+    };
+  }
+  return mapEmailSendError(error).body;
+}
+
+export function readJsonBody(req, maxBytes = 1_000_000) {
   return new Promise((resolve, reject) => {
     const chunks = [];
     let bytes = 0;
@@ -309,7 +877,7 @@ function readJsonBody(req, maxBytes = 1_000_000) {
   });
 }
 
-async function sendFeatureRequestEmail({ name, email, subject, message }) {
+export async function sendFeatureRequestEmail({ name, email, subject, message }, { createEmailClient }) {
   const resend = getResendConfig();
   if (!resend.enabled) {
     const error = new Error("email_not_configured");
@@ -317,7 +885,7 @@ async function sendFeatureRequestEmail({ name, email, subject, message }) {
     throw error;
   }
 
-  const resendClient = new Resend(resend.apiKey);
+  const resendClient = createEmailClient(resend.apiKey);
   const lines = [
     "New feature request for How Far From Potty",
     "",
@@ -386,439 +954,1138 @@ async function sendFeatureRequestEmail({ name, email, subject, message }) {
   }
 }
 
-async function saveFeatureRequestToDatabase({ name, message }) {
-  const key = typeof SUPABASE_PUBLISHABLE_KEY === "string" ? SUPABASE_PUBLISHABLE_KEY.trim() : "";
-  const endpoint =
-    typeof SUPABASE_FEATURE_REQUESTS_URL === "string" ? SUPABASE_FEATURE_REQUESTS_URL.trim() : "";
-
-  const missing = [];
-  if (!endpoint) {
-    missing.push("SUPABASE_FEATURE_REQUESTS_URL");
-  }
-  if (!key) {
-    missing.push("SUPABASE_PUBLISHABLE_KEY");
-  }
-
-  if (missing.length > 0) {
-    const error = new Error("db_not_configured");
-    error.code = "EDB_NOT_CONFIGURED";
-    error.missing = missing;
-    throw error;
-  }
+export function isInsideDir(filePath, dir) {
+  return filePath === dir || filePath.startsWith(dir.endsWith(sep) ? dir : `${dir}${sep}`);
+}
 
-  const payload = {
-    user_idea: message,
-    submitter_name: name || "Anonymous"
-  };
+export function sanitizePath(pathname) {
+  const safePath = pathname === "/" ? "/index.html" : pathname;
+  const normalizedPath = normalize(decodeURIComponent(safePath)).replace(/^(\.\.[/\\])+/, "");
+  return join(ROOT_DIR, normalizedPath);
+}
 
-  try {
-    const response = await fetch(endpoint, {
-      method: "POST",
-      headers: {
-        apikey: key,
-        Authorization: `Bearer ${key}`,
-        "Content-Type": "application/json",
-        Prefer: "return=minimal"
-      },
-      body: JSON.stringify(payload)
+function createRequestHandler(context) {
+  const {
+    providerRegistry,
+    communityProvider,
+    walkingRouter,
+    geocoder,
+    reportStore,
+    reportThrottle,
+    reportDuplicates,
+    ratingStore,
+    ratingThrottle,
+    submissionStore,
+    submissionIpBucket,
+    featureRequestIpBucket,
+    featureRequestGlobalBucket,
+    featureRequestDuplicates,
+    featureRequestRepository,
+    publishedFeatureRequests,
+    featureRequestVoteStore,
+    featureVoteThrottle,
+    outbox,
+    serverMetrics,
+    logger,
+    trustedProxyHops,
+    adminPassword,
+    dataDir
+  } = context;
+
+  return async (req, res) => {
+    const startedAt = performance.now();
+    const requestId = getRequestId(req);
+    const log = logger.child({ requestId });
+    // The query string can hold a visitor's location, so logs keep only the path.
+    let path = null;
+    let route = "unknown";
+    res.setHeader("X-Request-Id", requestId);
+    res.on("finish", () => {
+      const durationMs = performance.now() - startedAt;
+      serverMetrics.http.requests.inc({ route, method: req.method, status: String(res.statusCode) });
+      serverMetrics.http.duration.observe({ route, method: req.method }, durationMs / 1000);
+      log[PROBE_ROUTES.has(route) ? "debug" : "info"]("request", {
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
     });
 
-    if (!response.ok) {
-      let providerMessage = "";
-      try {
-        const asJson = await response.json();
-        providerMessage = asJson?.message || asJson?.error || "";
-      } catch {
-        providerMessage = await response.text();
-      }
+    try {
+      const base = `http://${req.headers.host || "localhost"}`;
+      const url = new URL(req.url || "/", base);
+      path = url.pathname;
+      route = routeLabel(path);
 
-      const error = new Error("db_request_failed");
-      error.responseCode = response.status;
-      error.providerMessage = providerMessage;
-      if (response.status === 401 || response.status === 403) {
-        error.code = "EDB_AUTH";
-      } else if (response.status === 429) {
-        error.code = "EDB_RATE_LIMIT";
-      } else {
-        error.code = "EDB_REQUEST_FAILED";
+      if (url.pathname === "/healthz") {
+        sendJson(res, 200, { status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+        return;
       }
-      throw error;
-    }
-  } catch (error) {
-    if (!error?.code) {
-      const wrapped = new Error(error?.message || "db_network_error");
-      wrapped.code = "EDB_NETWORK";
-      throw wrapped;
-    }
-    throw error;
-  }
-}
 
-function parseToilets(rows) {
-  return rows
-    .filter((row) => row && row.active !== false)
-    .map((row) => {
-      const coords = row?.location?.coordinates;
-      if (!Array.isArray(coords) || coords.length < 2) {
-        return null;
+      if (url.pathname === "/readyz") {
+        const checks = await checkReadiness({ providerRegistry, featureRequestRepository, outbox });
+        const status = summarizeChecks(checks, providerRegistry.list().map((provider) => provider.id));
+        sendJson(res, status === "down" ? 503 : 200, { status, checks });
+        return;
       }
 
-      const lon = Number(coords[0]);
-      const lat = Number(coords[1]);
-      if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
-        return null;
+      if (url.pathname === "/metrics") {
+        res.writeHead(200, {
+          "Cache-Control": "no-store",
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8"
+        });
+        res.end(serverMetrics.metrics.render());
+        return;
       }
 
-      return {
-        id: row.id,
-        name: row.name || "Public toilet",
-        lat,
-        lon,
-        areaName: row?.areas?.name || "Unknown area",
-        accessible: row.accessible,
-        babyChange: row.baby_change,
-        noPayment: row.no_payment,
-        radar: row.radar,
-        allGender: row.all_gender,
-        notes: row.notes,
-        openingTimes: row.opening_times,
-        updatedAt: row.updated_at
-      };
-    })
-    .filter(Boolean);
-}
-
-async function getDataset() {
-  const now = Date.now();
-  const cacheIsFresh = now - ukCache.fetchedAt < CACHE_TTL_MS && ukCache.toilets.length > 0;
-  if (cacheIsFresh) {
-    return ukCache;
-  }
+      if (isAdminPath(url.pathname)) {
+        if (!adminPassword) {
+          sendJson(res, 503, {
+            error: "admin_not_configured",
+            message: "Set ADMIN_PASSWORD on the server to use the admin pages."
+          });
+          return;
+        }
+        if (!isAdminAuthorized(req.headers.authorization, adminPassword)) {
+          sendAdminChallenge(res);
+          return;
+        }
+      }
 
-  const datasetPageResponse = await fetch(DATASET_PAGE_URL, {
-    headers: {
-      "User-Agent": "HowFarFromPotty/1.0"
-    }
-  });
-  if (!datasetPageResponse.ok) {
-    throw new Error(`Dataset page request failed (${datasetPageResponse.status})`);
-  }
+      if (url.pathname === "/api/feature-request") {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST for feature requests."
+          });
+          return;
+        }
 
-  const datasetPageHtml = await datasetPageResponse.text();
-  const exportLinks = datasetPageHtml.match(DATASET_LINK_REGEX) || [];
-  if (!exportLinks.length) {
-    throw new Error("Unable to find a JSON export URL in the dataset page.");
-  }
+        let requestBody;
+        try {
+          requestBody = await readJsonBody(req);
+        } catch (error) {
+          if (error.message === "payload_too_large") {
+            sendJson(res, 413, {
+              error: "payload_too_large",
+              message: "Feature request payload is too large."
+            });
+            return;
+          }
+
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
+          });
+          return;
+        }
 
-  const sourceUrl = exportLinks[0].replace(/&amp;/g, "&");
-  const dataResponse = await fetch(sourceUrl, {
-    headers: {
-      "User-Agent": "HowFarFromPotty/1.0"
-    }
-  });
-  if (!dataResponse.ok) {
-    throw new Error(`Dataset JSON request failed (${dataResponse.status})`);
-  }
+        const featureRequest = {
+          name: sanitizeFeatureInput(requestBody?.name, 80),
+          email: sanitizeFeatureInput(requestBody?.email, 120),
+          subject: sanitizeFeatureInput(requestBody?.subject, 120),
+          message: sanitizeFeatureInput(requestBody?.message, 3000)
+        };
+
+        // Honeypot: only bots fill `website`.
+        if (clampText(requestBody?.website, 200)) {
+          log.warn("Dropped a submission that filled the honeypot field", { scope: "feature-request" });
+          sendJson(res, 202, {
+            ok: true,
+            id: randomUUID(),
+            message: "Feature request received. Thanks!",
+            to: FEATURE_REQUEST_TO
+          });
+          return;
+        }
 
-  const rows = await dataResponse.json();
-  if (!Array.isArray(rows)) {
-    throw new Error("Dataset JSON format was not an array.");
-  }
+        if (!featureRequest.subject || !featureRequest.message) {
+          sendJson(res, 400, {
+            error: "missing_fields",
+            message: "Both subject and message are required."
+          });
+          return;
+        }
 
-  ukCache = {
-    fetchedAt: now,
-    sourceUrl,
-    toilets: parseToilets(rows)
-  };
+        let throttled = featureRequestIpBucket.hit(getClientIp(req, trustedProxyHops));
+        if (throttled.allowed) {
+          throttled = featureRequestGlobalBucket.hit("all");
+        }
+        if (!throttled.allowed) {
+          const message = "Too many feature requests right now. Please try again later.";
+          sendTooManyRequests(res, throttled.retryAfterMs, message);
+          return;
+        }
 
-  return ukCache;
-}
+        const fingerprint = fingerprintFeatureRequest(featureRequest);
+        if (!featureRequestDuplicates.claim(fingerprint)) {
+          sendJson(res, 409, {
+            error: "duplicate_request",
+            message: "This request has already been sent. Thanks!"
+          });
+          return;
+        }
 
-function normalizeUsToilet(row) {
-  const lat = Number(row?.latitude);
-  const lon = Number(row?.longitude);
-  if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
-    return null;
-  }
+        let entry;
+        try {
+          entry = await outbox.enqueue(featureRequest);
+        } catch (error) {
+          featureRequestDuplicates.release(fingerprint);
+          log.error("Could not write to the outbox", { scope: "feature-request", error });
+          sendJson(res, 500, {
+            error: "outbox_write_failed",
+            message: "Could not save your feature request right now. Please try again."
+          });
+          return;
+        }
 
-  const notes = [clampText(row?.directions), clampText(row?.comment)].filter(Boolean).join(" | ");
-  const areaParts = [row?.city, row?.state].filter(Boolean);
+        outbox.wake();
+        sendJson(res, 202, {
+          ok: true,
+          id: entry.id,
+          message: "Feature request received. Thanks!",
+          to: FEATURE_REQUEST_TO
+        });
+        return;
+      }
 
-  return {
-    id: String(row.id),
-    name: clampText(row?.name, 120) || "Public restroom",
-    lat,
-    lon,
-    areaName: areaParts.length ? areaParts.join(", ") : "Unknown area",
-    accessible: row?.accessible === true,
-    babyChange: row?.changing_table === true,
-    noPayment: null,
-    radar: null,
-    allGender: row?.unisex === true,
-    notes: notes || null,
-    openingTimes: null,
-    updatedAt: row?.updated_at || row?.created_at || null,
-    country: row?.country || null,
-    approved: row?.approved === true
-  };
-}
+      if (url.pathname === "/api/feature-requests") {
+        let featureRequests;
+        try {
+          featureRequests = await publishedFeatureRequests.list();
+        } catch (error) {
+          log.error("Lookup failed", { scope: "feature-requests", store: featureRequestRepository.name, error });
+          sendJson(res, 502, {
+            error: "feature_requests_unavailable",
+            message: "The feature request board is unavailable right now."
+          });
+          return;
+        }
 
-async function getUsNearest(lat, lon, limit) {
-  const perPage = 100;
-  const maxPages = 4;
-  const seenIds = new Set();
-  const candidates = [];
+        const similarTo = clampText(url.searchParams.get("similarTo"), 3000);
+        if (similarTo) {
+          featureRequests = findSimilarFeatureRequests(similarTo, featureRequests);
+        }
 
-  for (let page = 0; page < maxPages; page += 1) {
-    const offset = page * perPage;
-    const endpoint = `${US_API_BASE_URL}/restrooms/by_location?lat=${encodeURIComponent(
-      lat
-    )}&lng=${encodeURIComponent(lon)}&per_page=${perPage}&offset=${offset}`;
+        featureRequests = (await withVotes(featureRequestVoteStore, featureRequests, log)).map(toPublicFeatureRequest);
+        if (!similarTo) {
+          featureRequests.sort((a, b) => (b.votes || 0) - (a.votes || 0));
+        }
 
-    const response = await fetch(endpoint, {
-      headers: {
-        "User-Agent": "HowFarFromPotty/1.0",
-        Accept: "application/json"
+        sendJson(res, 200, {
+          similarTo: similarTo || null,
+          count: featureRequests.length,
+          featureRequests
+        });
+        return;
       }
-    });
 
-    if (!response.ok) {
-      throw new Error(`US API request failed (${response.status})`);
-    }
+      const featureVotePath = url.pathname.match(/^\/api\/feature-requests\/([^/]+)\/vote$/);
+      if (featureVotePath) {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST to vote for a feature request."
+          });
+          return;
+        }
 
-    const rows = await response.json();
-    if (!Array.isArray(rows) || rows.length === 0) {
-      break;
-    }
+        let requestBody;
+        try {
+          requestBody = await readJsonBody(req, 10_000);
+        } catch {
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
+          });
+          return;
+        }
 
-    for (const row of rows) {
-      if (row?.approved !== true) {
-        continue;
-      }
+        const clientIp = getClientIp(req, trustedProxyHops);
+        const throttled = featureVoteThrottle.hit(clientIp);
+        if (!throttled.allowed) {
+          sendTooManyRequests(res, throttled.retryAfterMs, "Too many votes from this device. Please try again later.");
+          return;
+        }
 
-      const toilet = normalizeUsToilet(row);
-      if (!toilet || seenIds.has(toilet.id)) {
-        continue;
-      }
+        let featureRequestId = null;
+        try {
+          featureRequestId = decodeURIComponent(featureVotePath[1]);
+        } catch {
+          // Malformed escapes fall through to the not found response.
+        }
 
-      seenIds.add(toilet.id);
-      candidates.push(toilet);
-    }
+        let published;
+        try {
+          published = await publishedFeatureRequests.list();
+        } catch (error) {
+          log.error("Lookup failed", { scope: "feature-requests", store: featureRequestRepository.name, error });
+          sendJson(res, 502, {
+            error: "feature_requests_unavailable",
+            message: "The feature request board is unavailable right now."
+          });
+          return;
+        }
 
-    const usCount = candidates.filter((toilet) => toilet.country === "US").length;
-    if (usCount >= limit) {
-      break;
-    }
-  }
+        if (!published.some((featureRequest) => featureRequest.id === featureRequestId)) {
+          sendJson(res, 404, {
+            error: "feature_request_not_found",
+            message: "No feature request with that id on the board."
+          });
+          return;
+        }
 
-  const pool = candidates.some((toilet) => toilet.country === "US")
-    ? candidates.filter((toilet) => toilet.country === "US")
-    : candidates;
+        const voter = hashVoter(clampText(requestBody?.deviceId, 80) || clientIp);
+        let added;
+        let votes;
+        try {
+          added = await featureRequestVoteStore.add(featureRequestId, voter);
+          votes = (await featureRequestVoteStore.countsFor([featureRequestId])).get(featureRequestId);
+        } catch (error) {
+          log.error("Saving vote failed", { scope: "feature-requests", error });
+          sendJson(res, 502, {
+            error: "vote_not_saved",
+            message: "Your vote could not be saved. Please try again."
+          });
+          return;
+        }
+        if (!added) {
+          sendJson(res, 409, {
+            error: "already_voted",
+            message: "You have already voted for this request.",
+            votes
+          });
+          return;
+        }
 
-  return pool
-    .map((toilet) => ({
-      ...toilet,
-      distanceKm: haversineKm(lat, lon, toilet.lat, toilet.lon)
-    }))
-    .sort((a, b) => a.distanceKm - b.distanceKm)
-    .slice(0, limit);
-}
+        sendJson(res, 201, { ok: true, votes });
+        return;
+      }
 
-function sanitizePath(pathname) {
-  const safePath = pathname === "/" ? "/index.html" : pathname;
-  const normalizedPath = normalize(decodeURIComponent(safePath)).replace(/^(\.\.[/\\])+/, "");
-  return join(ROOT_DIR, normalizedPath);
-}
+      if (url.pathname === "/api/geocode") {
+        const query = clampText(url.searchParams.get("q"), 200);
+        if (!query) {
+          sendJson(res, 400, {
+            error: "missing_query",
+            message: "Provide a postcode, ZIP code or place name in the q parameter."
+          });
+          return;
+        }
 
-const server = createServer(async (req, res) => {
-  try {
-    const base = `http://${req.headers.host || "localhost"}`;
-    const url = new URL(req.url || "/", base);
-
-    if (url.pathname === "/api/feature-request") {
-      if (req.method !== "POST") {
-        sendJson(res, 405, {
-          error: "method_not_allowed",
-          message: "Use POST for feature requests."
+        if (geocoder.size === 0) {
+          sendJson(res, 503, {
+            error: "geocoder_not_configured",
+            message: "Place search is not configured on this server."
+          });
+          return;
+        }
+
+        let geocoded;
+        try {
+          geocoded = await geocoder.geocode(query);
+        } catch (error) {
+          log.error("Lookup failed", { scope: "geocode", error });
+          sendJson(res, 502, {
+            error: "geocoder_unavailable",
+            message: "Place search is temporarily unavailable. Please try again."
+          });
+          return;
+        }
+
+        if (geocoded.results.length === 0) {
+          sendJson(res, 404, {
+            error: "location_not_found",
+            message: `No location found for "${query}".`
+          });
+          return;
+        }
+
+        sendJson(res, 200, {
+          query,
+          geocoder: geocoded.geocoder,
+          count: geocoded.results.length,
+          results: geocoded.results
         });
         return;
       }
 
-      let requestBody;
-      try {
-        requestBody = await readJsonBody(req);
-      } catch (error) {
-        if (error.message === "payload_too_large") {
-          sendJson(res, 413, {
-            error: "payload_too_large",
-            message: "Feature request payload is too large."
+      if (url.pathname === "/api/nearest") {
+        const lat = Number(url.searchParams.get("lat"));
+        const lon = Number(url.searchParams.get("lon"));
+        const requestedLimit = Number(url.searchParams.get("limit") || 5);
+        const limit = Number.isFinite(requestedLimit)
+          ? Math.min(Math.max(Math.floor(requestedLimit), 1), 20)
+          : 5;
+
+        const filters = parseAmenityFilters(url.searchParams);
+        const openNowOnly = parseBooleanParam(url.searchParams, "openNow");
+        const { unknownHours, ...unknownHoursError } = parseUnknownHours(url.searchParams);
+        const exportFormat = parseExportFormat(url.searchParams);
+        const sort = String(url.searchParams.get("sort") || "nearest").trim().toLowerCase();
+
+        if (exportFormat.error) {
+          sendJson(res, 400, exportFormat);
+          return;
+        }
+
+        if (unknownHoursError.error) {
+          sendJson(res, 400, unknownHoursError);
+          return;
+        }
+
+        if (!NEAREST_SORTS.includes(sort)) {
+          sendJson(res, 400, {
+            error: "invalid_sort",
+            message: `sort must be one of: ${NEAREST_SORTS.join(", ")}.`
+          });
+          return;
+        }
+
+        if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
+          sendJson(res, 400, {
+            error: "invalid_coordinates",
+            message: "Please provide numeric lat and lon query parameters."
           });
           return;
         }
 
-        sendJson(res, 400, {
-          error: "invalid_payload",
-          message: "Send a valid JSON body."
+        const providers = providerRegistry.findCovering(lat, lon);
+        if (providers.length === 0) {
+          sendJson(res, 400, {
+            error: "outside_supported_regions",
+            message: "No toilet data source covers this location yet."
+          });
+          return;
+        }
+
+        const walking = walkingRouter !== null && url.searchParams.get("walking") !== "false";
+        let candidateLimit = limit;
+        if (sort === "best") {
+          candidateLimit = Math.min(limit * 4, 20);
+        } else if (walking) {
+          candidateLimit = Math.min(limit * 2, 20);
+        }
+        const nearest = await findNearestFromProviders(providers, lat, lon, candidateLimit, {
+          filters,
+          openNowOnly,
+          unknownHours
         });
+
+        let toilets = nearest.toilets;
+        let routing = null;
+        if (walking) {
+          try {
+            toilets = await rankByWalking(walkingRouter, { lat, lon }, toilets, toilets.length);
+            routing = walkingRouter.name;
+          } catch (error) {
+            routing = "unavailable";
+            log.error("Walking route lookup failed", { scope: "routing", error });
+          }
+        }
+        toilets = await withRatings(ratingStore, toilets, log);
+        if (sort === "best") {
+          toilets = rankByQuality(toilets);
+        }
+        toilets = await withRecentReports(reportStore, toilets.slice(0, limit), log);
+        const { sources } = nearest;
+
+        const body = {
+          count: toilets.length,
+          query: {
+            lat,
+            lon,
+            limit,
+            filters,
+            openNow: openNowOnly,
+            unknownHours,
+            region: providers[0].region,
+            timeZone: providers[0].timeZone || null,
+            routing,
+            sort
+          },
+          source: sources[0],
+          sources,
+          toilets
+        };
+
+        if (exportFormat.format) {
+          sendExport(res, exportFormat.format, body, "nearest-toilets");
+        } else {
+          sendJson(res, 200, body);
+        }
         return;
       }
 
-      const featureRequest = {
-        name: sanitizeFeatureInput(requestBody?.name, 80),
-        email: sanitizeFeatureInput(requestBody?.email, 120),
-        subject: sanitizeFeatureInput(requestBody?.subject, 120),
-        message: sanitizeFeatureInput(requestBody?.message, 3000)
-      };
+      const toiletPath = url.pathname.match(/^\/api\/toilets\/(.+)\/(reports|ratings)$/);
+      if (toiletPath) {
+        let toiletId = null;
+        try {
+          toiletId = decodeURIComponent(toiletPath[1]);
+        } catch {
+          // Malformed escapes fall through to the invalid id response.
+        }
 
-      if (!featureRequest.subject || !featureRequest.message) {
-        sendJson(res, 400, {
-          error: "missing_fields",
-          message: "Both subject and message are required."
-        });
+        if (!isValidToiletId(toiletId)) {
+          sendJson(res, 400, {
+            error: "invalid_toilet_id",
+            message: "That toilet id is not valid."
+          });
+          return;
+        }
+
+        if (toiletPath[2] === "ratings") {
+          if (req.method === "GET") {
+            const summary = summarizeRatings(await ratingStore.listForToilets([toiletId])).get(toiletId) || null;
+            sendJson(res, 200, { toiletId, rating: summary });
+            return;
+          }
+
+          if (req.method !== "POST") {
+            sendJson(res, 405, {
+              error: "method_not_allowed",
+              message: "Use GET to read the rating or POST to add one."
+            });
+            return;
+          }
+
+          let requestBody;
+          try {
+            requestBody = await readJsonBody(req, 10_000);
+          } catch (error) {
+            if (error.message === "payload_too_large") {
+              sendJson(res, 413, {
+                error: "payload_too_large",
+                message: "Rating payload is too large."
+              });
+              return;
+            }
+
+            sendJson(res, 400, {
+              error: "invalid_payload",
+              message: "Send a valid JSON body."
+            });
+            return;
+          }
+
+          const score = parseRatingScore(requestBody?.score);
+          if (score === null) {
+            sendJson(res, 400, {
+              error: "invalid_score",
+              message: "score must be a whole number from 1 to 5."
+            });
+            return;
+          }
+
+          const clientIp = getClientIp(req, trustedProxyHops);
+          const deviceId = clampText(requestBody?.deviceId, 80) || clientIp;
+          const throttled = ratingThrottle.hit(deviceId, clientIp);
+          if (!throttled.allowed) {
+            const message = "Too many ratings from this device. Please try again later.";
+            sendTooManyRequests(res, throttled.retryAfterMs, message);
+            return;
+          }
+
+          const rating = createRating({
+            toiletId,
+            score,
+            tags: parseRatingTags(requestBody?.tags),
+            voter: hashVoter(deviceId)
+          });
+          try {
+            await ratingStore.add(rating);
+          } catch (error) {
+            log.error("Saving rating failed", { scope: "ratings", error });
+            sendJson(res, 502, {
+              error: "rating_not_saved",
+              message: "Your rating could not be saved. Please try again."
+            });
+            return;
+          }
+
+          const summary = summarizeRatings(await ratingStore.listForToilets([toiletId])).get(toiletId) || null;
+          sendJson(res, 201, { ok: true, rating: summary });
+          return;
+        }
+
+        if (req.method === "GET") {
+          const reports = await reportStore.listForToilets([toiletId], recentReportsSince());
+          sendJson(res, 200, { toiletId, count: reports.length, reports });
+          return;
+        }
+
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use GET to list reports or POST to add one."
+          });
+          return;
+        }
+
+        let requestBody;
+        try {
+          requestBody = await readJsonBody(req, 10_000);
+        } catch (error) {
+          if (error.message === "payload_too_large") {
+            sendJson(res, 413, {
+              error: "payload_too_large",
+              message: "Report payload is too large."
+            });
+            return;
+          }
+
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
+          });
+          return;
+        }
+
+        const category = String(requestBody?.category || "").trim();
+        if (!REPORT_CATEGORIES.includes(category)) {
+          sendJson(res, 400, {
+            error: "invalid_category",
+            message: `category must be one of: ${REPORT_CATEGORIES.join(", ")}.`
+          });
+          return;
+        }
+
+        const clientIp = getClientIp(req, trustedProxyHops);
+        const deviceId = clampText(requestBody?.deviceId, 80) || clientIp;
+        const throttled = reportThrottle.hit(deviceId, clientIp);
+        if (!throttled.allowed) {
+          const message = "Too many reports from this device. Please try again later.";
+          sendTooManyRequests(res, throttled.retryAfterMs, message);
+          return;
+        }
+
+        const duplicateKey = `${toiletId}\n${category}\n${hashVoter(deviceId)}`;
+        if (!reportDuplicates.claim(duplicateKey)) {
+          sendJson(res, 409, {
+            error: "duplicate_report",
+            message: "You've already reported this. Thanks!"
+          });
+          return;
+        }
+
+        const report = createReport({ toiletId, category, note: clampText(requestBody?.note, 500) });
+        try {
+          await reportStore.add(report);
+        } catch (error) {
+          reportDuplicates.release(duplicateKey);
+          log.error("Saving report failed", { scope: "reports", error });
+          sendJson(res, 502, {
+            error: "report_not_saved",
+            message: "Your report could not be saved. Please try again."
+          });
+          return;
+        }
+
+        sendJson(res, 201, { ok: true, report });
         return;
       }
 
-      try {
-        await sendFeatureRequestEmail(featureRequest);
-        let warning = null;
+      if (url.pathname === "/api/submissions") {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST to suggest a toilet."
+          });
+          return;
+        }
+
+        let requestBody;
         try {
-          await saveFeatureRequestToDatabase(featureRequest);
-        } catch (dbError) {
-          warning = mapDatabaseWriteError(dbError);
-          console.error("[feature-request] DB save failed:", {
-            message: dbError?.message || "unknown_db_error",
-            code: dbError?.code || null,
-            responseCode: dbError?.responseCode || null
+          requestBody = await readJsonBody(req, 10_000);
+        } catch (error) {
+          if (error.message === "payload_too_large") {
+            sendJson(res, 413, {
+              error: "payload_too_large",
+              message: "Suggestion payload is too large."
+            });
+            return;
+          }
+
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
           });
+          return;
         }
 
-        sendJson(res, 200, {
+        if (clampText(requestBody?.website, 200)) {
+          log.warn("Dropped a suggestion that filled the honeypot field", { scope: "submissions" });
+          sendJson(res, 201, {
+            ok: true,
+            submission: { id: randomUUID(), status: "pending" }
+          });
+          return;
+        }
+
+        const fields = parseSubmission(requestBody);
+        if (fields.error) {
+          sendJson(res, 400, fields);
+          return;
+        }
+
+        const throttled = submissionIpBucket.hit(getClientIp(req, trustedProxyHops));
+        if (!throttled.allowed) {
+          const message = "Too many suggestions right now. Please try again later.";
+          sendTooManyRequests(res, throttled.retryAfterMs, message);
+          return;
+        }
+
+        const submission = createSubmission(fields);
+        try {
+          await submissionStore.add(submission);
+        } catch (error) {
+          log.error("Saving suggestion failed", { scope: "submissions", error });
+          sendJson(res, 502, {
+            error: "submission_not_saved",
+            message: "Your suggestion could not be saved. Please try again."
+          });
+          return;
+        }
+
+        sendJson(res, 201, {
           ok: true,
-          message: warning
-            ? "Feature request email sent, but saving to database failed."
-            : "Feature request sent.",
-          to: FEATURE_REQUEST_TO,
-          warning
+          submission: { id: submission.id, status: submission.status }
         });
         return;
-      } catch (error) {
-        if (error.message === "email_not_configured") {
-          console.error(
-            `[feature-request] Email provider is not configured. Missing: ${(error.missing || []).join(", ")}`
-          );
-          sendJson(res, 503, {
-            error: "email_not_configured",
-            message: "Feature request delivery is not configured on this server.",
-            missing: Array.isArray(error.missing) ? error.missing : []
+      }
+
+      if (url.pathname === "/api/admin/submissions") {
+        const status = String(url.searchParams.get("status") || "pending").trim().toLowerCase();
+        if (status !== "all" && !SUBMISSION_STATUSES.includes(status)) {
+          sendJson(res, 400, {
+            error: "invalid_status",
+            message: `status must be one of: all, ${SUBMISSION_STATUSES.join(", ")}.`
           });
           return;
         }
 
-        const mappedError = mapEmailSendError(error);
-        console.error("[feature-request] Email send failed:", {
-          message: error?.message || "unknown_error",
-          code: error?.code || null,
-          responseCode: error?.responseCode || null
-        });
-        sendJson(res, mappedError.statusCode, mappedError.body);
+        const submissions = await submissionStore.list({ status: status === "all" ? null : status });
+        sendJson(res, 200, { status, count: submissions.length, submissions });
         return;
       }
-    }
 
-    if (url.pathname === "/api/nearest") {
-      const lat = Number(url.searchParams.get("lat"));
-      const lon = Number(url.searchParams.get("lon"));
-      const requestedLimit = Number(url.searchParams.get("limit") || 5);
-      const limit = Number.isFinite(requestedLimit)
-        ? Math.min(Math.max(Math.floor(requestedLimit), 1), 20)
-        : 5;
-
-      if (!isFiniteNumber(lat) || !isFiniteNumber(lon)) {
-        sendJson(res, 400, {
-          error: "invalid_coordinates",
-          message: "Please provide numeric lat and lon query parameters."
+      if (url.pathname === "/api/admin/submissions/export") {
+        const target = String(url.searchParams.get("target") || "").trim().toLowerCase();
+        if (!UPSTREAM_EXPORTS[target]) {
+          sendJson(res, 400, {
+            error: "invalid_target",
+            message: `target must be one of: ${Object.keys(UPSTREAM_EXPORTS).join(", ")}.`
+          });
+          return;
+        }
+
+        const approved = await submissionStore.list({ status: "approved" });
+        res.writeHead(200, {
+          "Cache-Control": "no-store",
+          "Content-Type": contentTypes[".json"],
+          "Content-Disposition": `attachment; filename="community-toilets-${target}.json"`
         });
+        res.end(JSON.stringify(approved.map(UPSTREAM_EXPORTS[target]), null, 2));
         return;
       }
 
-      if (isInUkBounds(lat, lon)) {
-        const { toilets, sourceUrl, fetchedAt } = await getDataset();
-        const nearest = toilets
-          .map((toilet) => ({
-            ...toilet,
-            distanceKm: haversineKm(lat, lon, toilet.lat, toilet.lon)
-          }))
-          .sort((a, b) => a.distanceKm - b.distanceKm)
-          .slice(0, limit);
+      if (url.pathname === "/api/admin/outbox") {
+        sendJson(res, 200, await outbox.status());
+        return;
+      }
+
+      if (url.pathname === "/api/admin/feature-requests" || url.pathname === "/api/admin/feature-requests/export") {
+        const status = String(url.searchParams.get("status") || "all").trim().toLowerCase();
+        if (status !== "all" && !FEATURE_REQUEST_STATUSES.includes(status)) {
+          sendJson(res, 400, {
+            error: "invalid_status",
+            message: `status must be one of: all, ${FEATURE_REQUEST_STATUSES.join(", ")}.`
+          });
+          return;
+        }
+
+        const query = clampText(url.searchParams.get("q"), 200) || "";
+        let featureRequests;
+        try {
+          featureRequests = await withVotes(
+            featureRequestVoteStore,
+            await featureRequestRepository.list({ status: status === "all" ? null : status, query }),
+            log
+          );
+        } catch (error) {
+          log.error("Lookup failed", { scope: "feature-requests", store: featureRequestRepository.name, error });
+          sendJson(res, 502, {
+            error: "feature_requests_unavailable",
+            message: "Could not load feature requests right now.",
+            detail: mapDatabaseWriteError(error)
+          });
+          return;
+        }
+
+        if (url.pathname.endsWith("/export")) {
+          res.writeHead(200, {
+            "Cache-Control": "no-store",
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": 'attachment; filename="feature-requests.csv"'
+          });
+          res.end(toFeatureRequestsCsv(featureRequests));
+          return;
+        }
 
         sendJson(res, 200, {
-          count: nearest.length,
-          query: { lat, lon, limit, region: "UK" },
-          source: {
-            name: "The Great British Public Toilet Map",
-            datasetPage: DATASET_PAGE_URL,
-            datasetExport: sourceUrl,
-            license: "CC BY 4.0",
-            cachedAt: new Date(fetchedAt).toISOString()
-          },
-          toilets: nearest
+          status,
+          query,
+          store: featureRequestRepository.name,
+          count: featureRequests.length,
+          featureRequests
         });
         return;
       }
 
-      if (isInUsBounds(lat, lon)) {
-        const nearest = await getUsNearest(lat, lon, limit);
+      const featureRequestPath = url.pathname.match(/^\/api\/admin\/feature-requests\/([^/]+)$/);
+      if (featureRequestPath) {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST to change a feature request's status."
+          });
+          return;
+        }
 
-        sendJson(res, 200, {
-          count: nearest.length,
-          query: { lat, lon, limit, region: "US" },
-          source: {
-            name: "Refuge Restrooms API",
-            docs: US_SOURCE_DOCS_URL,
-            endpoint: `${US_API_BASE_URL}/restrooms/by_location`,
-            cachedAt: new Date().toISOString()
-          },
-          toilets: nearest
+        let requestBody;
+        try {
+          requestBody = await readJsonBody(req, 10_000);
+        } catch {
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
+          });
+          return;
+        }
+
+        const changes = {};
+        if (requestBody?.status !== undefined) {
+          changes.status = String(requestBody.status).trim().toLowerCase();
+          if (!FEATURE_REQUEST_STATUSES.includes(changes.status)) {
+            sendJson(res, 400, {
+              error: "invalid_status",
+              message: `status must be one of: ${FEATURE_REQUEST_STATUSES.join(", ")}.`
+            });
+            return;
+          }
+        }
+        if (requestBody?.published !== undefined) {
+          if (typeof requestBody.published !== "boolean") {
+            sendJson(res, 400, {
+              error: "invalid_published",
+              message: "published must be true or false."
+            });
+            return;
+          }
+          changes.published = requestBody.published;
+        }
+        if (Object.keys(changes).length === 0) {
+          sendJson(res, 400, {
+            error: "missing_fields",
+            message: "Send a status, published, or both."
+          });
+          return;
+        }
+
+        let featureRequestId = null;
+        try {
+          featureRequestId = decodeURIComponent(featureRequestPath[1]);
+        } catch {
+          // Malformed escapes fall through to the not found response.
+        }
+
+        let featureRequest = null;
+        try {
+          featureRequest = featureRequestId ? await featureRequestRepository.update(featureRequestId, changes) : null;
+        } catch (error) {
+          log.error("Update failed", { scope: "feature-requests", store: featureRequestRepository.name, error });
+          sendJson(res, 502, {
+            error: "feature_requests_unavailable",
+            message: "Could not update the feature request right now.",
+            detail: mapDatabaseWriteError(error)
+          });
+          return;
+        }
+
+        if (!featureRequest) {
+          sendJson(res, 404, {
+            error: "feature_request_not_found",
+            message: "No feature request with that id."
+          });
+          return;
+        }
+
+        publishedFeatureRequests.clear();
+        sendJson(res, 200, { ok: true, featureRequest });
+        return;
+      }
+
+      const outboxRetryPath = url.pathname.match(/^\/api\/admin\/outbox\/([^/]+)\/retry$/);
+      if (outboxRetryPath) {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST to retry a delivery."
+          });
+          return;
+        }
+
+        const entry = await outbox.retry(outboxRetryPath[1]);
+        if (!entry) {
+          sendJson(res, 404, {
+            error: "outbox_entry_not_found",
+            message: "No outbox entry with that id."
+          });
+          return;
+        }
+
+        outbox.wake();
+        sendJson(res, 200, { ok: true, entry });
+        return;
+      }
+
+      const submissionPath = url.pathname.match(/^\/api\/admin\/submissions\/(.+)$/);
+      if (submissionPath) {
+        if (req.method !== "POST") {
+          sendJson(res, 405, {
+            error: "method_not_allowed",
+            message: "Use POST to approve or reject a suggestion."
+          });
+          return;
+        }
+
+        let requestBody;
+        try {
+          requestBody = await readJsonBody(req, 10_000);
+        } catch {
+          sendJson(res, 400, {
+            error: "invalid_payload",
+            message: "Send a valid JSON body."
+          });
+          return;
+        }
+
+        const status = String(requestBody?.status || "").trim().toLowerCase();
+        if (status !== "approved" && status !== "rejected") {
+          sendJson(res, 400, {
+            error: "invalid_status",
+            message: "status must be approved or rejected."
+          });
+          return;
+        }
+
+        let submissionId = null;
+        try {
+          submissionId = decodeURIComponent(submissionPath[1]);
+        } catch {
+          // Malformed escapes fall through to the not found response.
+        }
+
+        const submission = submissionId ? await submissionStore.review(submissionId, status) : null;
+        if (!submission) {
+          sendJson(res, 404, {
+            error: "submission_not_found",
+            message: "No suggestion with that id."
+          });
+          return;
+        }
+
+        await communityProvider.refresh();
+        sendJson(res, 200, { ok: true, submission });
+        return;
+      }
+
+      if (url.pathname === "/api/toilets") {
+        const area = parseAreaQuery(url.searchParams);
+        if (area.error) {
+          sendJson(res, 400, area);
+          return;
+        }
+
+        const exportFormat = parseExportFormat(url.searchParams);
+        if (exportFormat.error) {
+          sendJson(res, 400, exportFormat);
+          return;
+        }
+
+        const requestedLimit = Number(url.searchParams.get("limit") || MAX_AREA_RESULTS);
+        const limit = Number.isFinite(requestedLimit)
+          ? Math.min(Math.max(Math.floor(requestedLimit), 1), MAX_AREA_RESULTS)
+          : MAX_AREA_RESULTS;
+        const filters = parseAmenityFilters(url.searchParams);
+        const openNowOnly = parseBooleanParam(url.searchParams, "openNow");
+        const { unknownHours, ...unknownHoursError } = parseUnknownHours(url.searchParams);
+        if (unknownHoursError.error) {
+          sendJson(res, 400, unknownHoursError);
+          return;
+        }
+
+        const providers = providerRegistry.findIntersecting(area.bounds);
+        if (providers.length === 0) {
+          sendJson(res, 400, {
+            error: "outside_supported_regions",
+            message: "No toilet data source covers this area yet."
+          });
+          return;
+        }
+
+        const { sources, truncated, toilets } = await findInAreaFromProviders(providers, area, limit, {
+          filters,
+          openNowOnly,
+          unknownHours
         });
+        const { minLon, minLat, maxLon, maxLat } = area.bounds;
+
+        const body = {
+          count: toilets.length,
+          truncated,
+          query: {
+            bbox: [minLon, minLat, maxLon, maxLat],
+            lat: area.lat,
+            lon: area.lon,
+            radiusKm: area.radiusKm,
+            limit,
+            filters,
+            openNow: openNowOnly,
+            unknownHours,
+            region: providers[0].region,
+            timeZone: providers[0].timeZone || null
+          },
+          source: sources[0],
+          sources,
+          toilets
+        };
+
+        if (exportFormat.format) {
+          sendExport(res, exportFormat.format, body, "area-toilets");
+        } else {
+          sendJson(res, 200, body);
+        }
         return;
       }
 
-      sendJson(res, 400, {
-        error: "outside_supported_regions",
-        message: "This app currently supports UK and US locations only."
+      const filePath = sanitizePath(url.pathname === "/admin" ? "/admin.html" : url.pathname);
+      if (!filePath.startsWith(ROOT_DIR) || isInsideDir(filePath, dataDir)) {
+        res.writeHead(403, { "Content-Type": contentTypes[".txt"] });
+        res.end("Forbidden");
+        return;
+      }
+
+      const ext = extname(filePath).toLowerCase();
+      const contentType = contentTypes[ext] || "application/octet-stream";
+      const content = await readFile(filePath);
+      const noStoreExt = new Set([".html", ".js", ".mjs", ".css"]);
+
+      res.writeHead(200, {
+        "Cache-Control": noStoreExt.has(ext) ? "no-store" : "public, max-age=3600",
+        "Content-Type": contentType
       });
-      return;
-    }
+      res.end(content);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        res.writeHead(404, { "Content-Type": contentTypes[".txt"] });
+        res.end("Not found");
+        return;
+      }
 
-    const filePath = sanitizePath(url.pathname);
-    if (!filePath.startsWith(ROOT_DIR)) {
-      res.writeHead(403, { "Content-Type": contentTypes[".txt"] });
-      res.end("Forbidden");
-      return;
+      log.error("Unhandled error", { method: req.method, path, error });
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      sendJson(res, 500, {
+        error: "internal_error",
+        message: "Something went wrong on our side. Please try again."
+      });
     }
+  };
+}
 
-    const ext = extname(filePath).toLowerCase();
-    const contentType = contentTypes[ext] || "application/octet-stream";
-    const content = await readFile(filePath);
-    const noStoreExt = new Set([".html", ".js", ".css"]);
+// Builds the server without listening or starting the outbox worker; options left out come from the environment.
+export async function createApp({
+  fetchImpl = fetch,
+  createEmailClient = (apiKey) => new Resend(apiKey),
+  dataDir = DATA_DIR,
+  providers = null,
+  walkingRouter,
+  geocoder,
+  trustedProxyHops = TRUSTED_PROXY_HOPS,
+  featureRequestLimits = FEATURE_REQUEST_LIMITS,
+  outboxRetry = OUTBOX_RETRY,
+  featureRequestRepository = createFeatureRequestRepository({ fetchImpl, dataDir }),
+  adminPassword = ADMIN_PASSWORD,
+  logger = rootLogger
+} = {}) {
+  const providerRegistry = createProviderRegistry();
+  const serverMetrics = createServerMetrics(providerRegistry);
+  (providers || (await loadDefaultProviders({ fetchImpl, dataDir, serverMetrics }))).forEach(providerRegistry.register);
+  const submissionStore = createFileSubmissionStore({ filePath: resolve(dataDir, SUBMISSIONS_FILE) });
+  const communityProvider = createCommunityProvider({ store: submissionStore });
+  providerRegistry.register(communityProvider);
+  const outbox = createFeatureRequestOutbox({
+    createEmailClient,
+    featureRequestRepository,
+    dataDir,
+    retry: outboxRetry,
+    deliveries: serverMetrics.deliveries
+  });
 
-    res.writeHead(200, {
-      "Cache-Control": noStoreExt.has(ext) ? "no-store" : "public, max-age=3600",
-      "Content-Type": contentType
-    });
-    res.end(content);
-  } catch (error) {
-    if (error?.code === "ENOENT") {
-      res.writeHead(404, { "Content-Type": contentTypes[".txt"] });
-      res.end("Not found");
-      return;
-    }
+  const context = {
+    providerRegistry,
+    communityProvider,
+    walkingRouter: walkingRouter === undefined ? await loadWalkingRouter() : walkingRouter,
+    geocoder: geocoder || (await loadGeocoder()),
+    reportStore: createReportStore({ fetchImpl, dataDir }),
+    reportThrottle: createDeviceThrottle({
+      device: createThrottle({ limit: 10, windowMs: 60 * 60 * 1000 }),
+      ip: createThrottle({ limit: 30, windowMs: 60 * 60 * 1000 })
+    }),
+    reportDuplicates: createDuplicateGuard({ windowMs: REPORT_DUPLICATE_WINDOW_MS }),
+    ratingStore: createFileRatingStore({ filePath: resolve(dataDir, RATINGS_FILE) }),
+    ratingThrottle: createDeviceThrottle({
+      device: createThrottle({ limit: 10, windowMs: 60 * 60 * 1000 }),
+      ip: createThrottle({ limit: 30, windowMs: 60 * 60 * 1000 })
+    }),
+    submissionStore,
+    submissionIpBucket: createTokenBucket(SUBMISSION_IP_LIMIT),
+    featureRequestIpBucket: createTokenBucket(featureRequestLimits.perIp),
+    featureRequestGlobalBucket: createTokenBucket(featureRequestLimits.global),
+    featureRequestDuplicates: createDuplicateGuard({ windowMs: FEATURE_REQUEST_DUPLICATE_WINDOW_MS }),
+    featureRequestRepository,
+    publishedFeatureRequests: createPublishedFeatureRequestCache(featureRequestRepository, {
+      ttlMs: FEATURE_BOARD_CACHE_MS
+    }),
+    featureRequestVoteStore: createFileFeatureRequestVoteStore({ filePath: resolve(dataDir, FEATURE_VOTES_FILE) }),
+    featureVoteThrottle: createThrottle({ limit: 60, windowMs: 60 * 60 * 1000 }),
+    outbox,
+    serverMetrics,
+    logger,
+    adminPassword,
+    trustedProxyHops,
+    dataDir
+  };
+
+  return { server: createServer(createRequestHandler(context)), providerRegistry, outbox };
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { server, providerRegistry, outbox } = await createApp();
 
-    res.writeHead(500, { "Content-Type": contentTypes[".txt"] });
-    res.end("Internal server error");
+  for (const provider of providerRegistry.list()) {
+    provider.warm?.().catch((error) => {
+      rootLogger.error("Warm-up failed", { scope: provider.id, error });
+    });
   }
-});
 
-server.listen(PORT, () => {
-  console.log(`HowFarFromPotty running at http://localhost:${PORT}`);
-});
+  outbox.start({ intervalMs: OUTBOX_POLL_MS });
+
+  server.listen(PORT, () => {
+    rootLogger.info(`HowFarFromPotty running at http://localhost:${PORT}`, { port: PORT });
+  });
+}
@@ -0,0 +1,146 @@
+// Bump when the shell file list changes so old caches are dropped on activate.
+const SHELL_CACHE = "shell-v2";
+const TILE_CACHE = "tiles-v1";
+const MAX_CACHED_TILES = 1500;
+// Tiles younger than this are served as they are; older ones are served once more while a fresh copy is fetched.
+const TILE_FRESH_MS = 24 * 60 * 60 * 1000;
+// Past this a tile waits for the network, and the old copy is only used offline.
+const TILE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHED_AT_HEADER = "X-Cached-At";
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./styles.css",
+  "./app.js",
+  "./offline-store.js",
+  "./manifest.webmanifest",
+  "./icons/icon.svg",
+  "./lib/amenity-filters.mjs",
+  "./lib/geo.mjs",
+  "./lib/opening-hours.mjs",
+  "./vendor/leaflet/leaflet.css",
+  "./vendor/leaflet/leaflet.js",
+  "./vendor/leaflet/images/marker-icon.png",
+  "./vendor/leaflet/images/marker-icon-2x.png",
+  "./vendor/leaflet/images/marker-shadow.png",
+  "./vendor/leaflet/images/layers.png",
+  "./vendor/leaflet/images/layers-2x.png",
+  "./vendor/leaflet.markercluster/MarkerCluster.css",
+  "./vendor/leaflet.markercluster/MarkerCluster.Default.css",
+  "./vendor/leaflet.markercluster/leaflet.markercluster.js"
+];
+const TILE_HOST_PATTERN = /(^|\.)tile\.openstreetmap\.org$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((key) => key !== SHELL_CACHE && key !== TILE_CACHE).map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+async function trimTileCache(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_CACHED_TILES;
+  // Cache keys come back in insertion order, so the first ones are the oldest tiles.
+  await Promise.all(keys.slice(0, Math.max(0, excess)).map((key) => cache.delete(key)));
+}
+
+async function fetchAndCacheTile(cache, request) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    const body = await response.clone().blob();
+    await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    trimTileCache(cache);
+  }
+  return response;
+}
+
+// Stale-while-revalidate, so edits to the map reach returning users without giving up offline tiles.
+async function handleTileRequest(event) {
+  const { request } = event;
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  // Tiles cached before the timestamp header was added count as expired.
+  const age = cached ? Date.now() - Number(cached.headers.get(CACHED_AT_HEADER) || 0) : Infinity;
+
+  if (age < TILE_FRESH_MS) {
+    return cached;
+  }
+  if (age < TILE_MAX_AGE_MS) {
+    event.waitUntil(fetchAndCacheTile(cache, request).catch(() => {}));
+    return cached;
+  }
+
+  try {
+    return await fetchAndCacheTile(cache, request);
+  } catch (error) {
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// The server sends the shell as no-store so deploys show up immediately; keep
+// that online and only fall back to the cached copy when the network fails.
+async function handleShellRequest(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    if (request.mode === "navigate") {
+      return cache.match("./index.html");
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (TILE_HOST_PATTERN.test(url.hostname)) {
+    event.respondWith(handleTileRequest(event));
+    return;
+  }
+
+  // API calls go straight to the network; the page falls back to IndexedDB itself.
+  // Admin pages sit behind a password and are never worth serving offline.
+  if (
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith("/api/") ||
+    url.pathname.startsWith("/admin")
+  ) {
+    return;
+  }
+
+  event.respondWith(handleShellRequest(request));
+});
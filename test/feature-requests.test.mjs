@@ -0,0 +1,276 @@
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { escapeCsv } from "../lib/export-formats.mjs";
+import {
+  createFileFeatureRequestRepository,
+  createFileFeatureRequestVoteStore,
+  createPublishedFeatureRequestCache,
+  createSupabaseFeatureRequestRepository,
+  findSimilarFeatureRequests,
+  toFeatureRequestsCsv
+} from "../lib/feature-requests.mjs";
+import { createStubFetch, createTempDir, removeTempDir } from "./helpers.mjs";
+
+const SUPABASE_URL = "https://example.supabase.co/rest/v1/feature_requests";
+
+describe("createFileFeatureRequestRepository", () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await createTempDir();
+  });
+
+  after(async () => {
+    await removeTempDir(dataDir);
+  });
+
+  it("stores new requests and updates their status and visibility", async () => {
+    const repository = createFileFeatureRequestRepository({ filePath: join(dataDir, "requests.json") });
+    const added = await repository.add({ name: "", email: "", subject: "Idea", message: "Show bus stops" });
+
+    assert.equal(added.status, "new");
+    assert.equal(added.published, false);
+    assert.equal(added.name, null);
+    assert.equal(added.updatedAt, null);
+
+    const done = await repository.update(added.id, { status: "done", published: true });
+    assert.equal(done.status, "done");
+    assert.deepEqual(await repository.list({ status: "new" }), []);
+    assert.deepEqual(
+      (await repository.list({ published: true })).map((request) => request.id),
+      [added.id]
+    );
+    assert.deepEqual(await repository.list({ published: false }), []);
+    assert.equal(await repository.update("missing", { status: "done" }), null);
+  });
+
+  it("searches subject, message, name and email", async () => {
+    const repository = createFileFeatureRequestRepository({ filePath: join(dataDir, "search.json") });
+    await repository.add({ name: "Alex", email: "alex@example.com", subject: "Maps", message: "Satellite view" });
+    await repository.add({ name: "Sam", email: "", subject: "Theme", message: "Dark mode" });
+
+    const subjects = async (query) => (await repository.list({ query })).map((request) => request.subject);
+    assert.deepEqual(await subjects("SATELLITE"), ["Maps"]);
+    assert.deepEqual(await subjects("sam"), ["Theme"]);
+    assert.deepEqual(await subjects("example.com"), ["Maps"]);
+    assert.deepEqual(await subjects(""), ["Theme", "Maps"]);
+  });
+});
+
+describe("createSupabaseFeatureRequestRepository", () => {
+  const keys = { key: "sb_key", serviceKey: "sb_secret" };
+
+  it("inserts the idea and submitter name", async () => {
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ status: 201, body: "" }) }]);
+    const repository = createSupabaseFeatureRequestRepository({ url: SUPABASE_URL, ...keys, fetchImpl });
+
+    await repository.add({ name: "", email: "a@example.com", subject: "Idea", message: "Show bus stops" });
+
+    const [call] = fetchImpl.calls;
+    assert.equal(call.init.method, "POST");
+    assert.equal(call.init.headers.apikey, "sb_key");
+    assert.equal(call.init.headers.Prefer, "return=minimal");
+    assert.deepEqual(JSON.parse(call.init.body), { user_idea: "Show bus stops", submitter_name: "Anonymous" });
+  });
+
+  it("filters by status and text and maps rows", async () => {
+    const rows = [
+      { id: 7, user_idea: "Show bus stops", submitter_name: "Sam", status: null, created_at: "2026-10-01" }
+    ];
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ body: rows }) }]);
+    const repository = createSupabaseFeatureRequestRepository({ url: SUPABASE_URL, ...keys, fetchImpl });
+
+    const [featureRequest] = await repository.list({ status: "new", query: "bus (stops)", published: true });
+
+    assert.equal(fetchImpl.calls[0].init.headers.apikey, "sb_secret");
+    const params = new URL(fetchImpl.calls[0].url).searchParams;
+    assert.equal(params.get("status"), "eq.new");
+    assert.equal(params.get("published"), "is.true");
+    assert.equal(params.get("order"), "created_at.desc");
+    assert.equal(params.get("or"), "(user_idea.ilike.*bus  stops*,submitter_name.ilike.*bus  stops*)");
+    assert.deepEqual(featureRequest, {
+      id: "7",
+      name: "Sam",
+      email: null,
+      subject: null,
+      message: "Show bus stops",
+      status: "new",
+      published: false,
+      createdAt: "2026-10-01",
+      updatedAt: null
+    });
+  });
+
+  it("patches a request by id and returns null when no row matched", async () => {
+    const fetchImpl = createStubFetch([
+      {
+        match: (url) => url.includes("id=eq.7"),
+        respond: () => ({ body: [{ id: 7, user_idea: "Idea", status: "planned", created_at: "2026-10-01" }] })
+      },
+      { match: () => true, respond: () => ({ body: [] }) }
+    ]);
+    const repository = createSupabaseFeatureRequestRepository({ url: SUPABASE_URL, ...keys, fetchImpl });
+
+    assert.equal((await repository.update("7", { status: "planned" })).status, "planned");
+    assert.equal(await repository.update("8", { published: true }), null);
+    assert.equal(fetchImpl.calls[0].init.method, "PATCH");
+    assert.equal(fetchImpl.calls[0].init.headers.Authorization, "Bearer sb_secret");
+    assert.equal(JSON.parse(fetchImpl.calls[0].init.body).status, "planned");
+    assert.equal(JSON.parse(fetchImpl.calls[1].init.body).published, true);
+  });
+
+  it("tags failures with the database error codes", async () => {
+    const fetchImpl = createStubFetch([
+      { match: () => true, respond: () => ({ status: 401, body: { message: "bad key" } }) }
+    ]);
+    const repository = createSupabaseFeatureRequestRepository({ url: SUPABASE_URL, ...keys, fetchImpl });
+    const unconfigured = createSupabaseFeatureRequestRepository({ url: "", key: "", fetchImpl });
+
+    await assert.rejects(repository.list(), { code: "EDB_AUTH", responseCode: 401, providerMessage: "bad key" });
+    await assert.rejects(unconfigured.add({ message: "Idea" }), {
+      code: "EDB_NOT_CONFIGURED",
+      missing: ["SUPABASE_FEATURE_REQUESTS_URL", "SUPABASE_PUBLISHABLE_KEY"]
+    });
+  });
+
+  it("never reads or changes requests with the publishable key", async () => {
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ status: 201, body: "" }) }]);
+    const repository = createSupabaseFeatureRequestRepository({ url: SUPABASE_URL, key: "sb_key", fetchImpl });
+
+    assert.deepEqual(repository.missingConfig(), ["SUPABASE_SERVICE_ROLE_KEY"]);
+    await repository.add({ message: "Idea" });
+    await assert.rejects(repository.list({ published: true }), {
+      code: "EDB_NOT_CONFIGURED",
+      missing: ["SUPABASE_SERVICE_ROLE_KEY"]
+    });
+    await assert.rejects(repository.update("7", { published: true }), { code: "EDB_NOT_CONFIGURED" });
+    assert.equal(fetchImpl.calls.length, 1);
+  });
+});
+
+describe("createPublishedFeatureRequestCache", () => {
+  function countingRepository(respond) {
+    const calls = [];
+    return {
+      calls,
+      async list(filters) {
+        calls.push(filters);
+        return respond(calls.length);
+      }
+    };
+  }
+
+  it("reuses one lookup until it expires or is cleared", async () => {
+    let time = 0;
+    const repository = countingRepository((call) => [{ id: String(call) }]);
+    const cache = createPublishedFeatureRequestCache(repository, { ttlMs: 1000, now: () => time });
+
+    const [first, second] = await Promise.all([cache.list(), cache.list()]);
+    assert.deepEqual(first, [{ id: "1" }]);
+    assert.equal(second, first);
+    assert.deepEqual(repository.calls, [{ published: true }]);
+
+    time = 999;
+    assert.deepEqual(await cache.list(), [{ id: "1" }]);
+    time = 1000;
+    assert.deepEqual(await cache.list(), [{ id: "2" }]);
+
+    cache.clear();
+    assert.deepEqual(await cache.list(), [{ id: "3" }]);
+  });
+
+  it("doesn't keep a failed lookup", async () => {
+    const repository = countingRepository((call) => {
+      if (call === 1) {
+        throw new Error("db_request_failed");
+      }
+      return [];
+    });
+    const cache = createPublishedFeatureRequestCache(repository, { ttlMs: 1000, now: () => 0 });
+
+    await assert.rejects(cache.list(), /db_request_failed/);
+    assert.deepEqual(await cache.list(), []);
+  });
+});
+
+describe("toFeatureRequestsCsv", () => {
+  it("writes a header row and escapes commas, quotes and newlines", () => {
+    const csv = toFeatureRequestsCsv([
+      { id: "1", status: "new", published: false, votes: 2, createdAt: "2026-10-01", message: 'Say "hi",\nplease' }
+    ]);
+
+    assert.equal(
+      csv,
+      "id,status,published,votes,createdAt,updatedAt,name,email,subject,message\r\n" +
+        '1,new,false,2,2026-10-01,,,,,"Say ""hi"",\nplease"\r\n'
+    );
+  });
+
+  it("stops submitted text from being read as a spreadsheet formula", () => {
+    const csv = toFeatureRequestsCsv([
+      { id: "1", votes: -1, name: "=HYPERLINK(\"http://evil.test\")", email: "@x", subject: "+1", message: "\r-2" }
+    ]);
+
+    assert.equal(csv.split("\r\n")[1], `1,,,-1,,,"'=HYPERLINK(""http://evil.test"")",'@x,'+1,"'\r-2"`);
+    assert.equal(escapeCsv("\tcmd"), "'\tcmd");
+    assert.equal(escapeCsv(-0.1276), "-0.1276");
+  });
+});
+
+describe("findSimilarFeatureRequests", () => {
+  const board = [
+    { id: "1", subject: "Bus stops", message: "Show the nearest bus stops on the map" },
+    { id: "2", subject: "Dark mode", message: "A dark theme for night use" },
+    { id: "3", subject: null, message: "Filter for baby changing facilities" }
+  ];
+
+  it("finds requests that share content words, best match first", () => {
+    const similar = findSimilarFeatureRequests("Could you show bus stop locations?", board);
+    assert.deepEqual(
+      similar.map((request) => request.id),
+      ["1"]
+    );
+    assert.ok(similar[0].similarity >= 0.3 && similar[0].similarity <= 1);
+  });
+
+  it("ignores stop words and returns nothing for unrelated text", () => {
+    assert.deepEqual(findSimilarFeatureRequests("please add it to the app", board), []);
+    assert.deepEqual(findSimilarFeatureRequests("Offline maps for travelling", board), []);
+  });
+
+  it("respects the limit", () => {
+    const many = Array.from({ length: 5 }, (_, index) => ({ id: String(index), message: "Night theme" }));
+    assert.equal(findSimilarFeatureRequests("night theme", many, { limit: 2 }).length, 2);
+  });
+});
+
+describe("createFileFeatureRequestVoteStore", () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await createTempDir();
+  });
+
+  after(async () => {
+    await removeTempDir(dataDir);
+  });
+
+  it("counts one vote per voter and request", async () => {
+    const votes = createFileFeatureRequestVoteStore({ filePath: join(dataDir, "votes.json") });
+
+    assert.equal(await votes.add("a", "voter-1"), true);
+    assert.equal(await votes.add("a", "voter-1"), false);
+    assert.equal(await votes.add("a", "voter-2"), true);
+    assert.equal(await votes.add("b", "voter-1"), true);
+
+    assert.deepEqual(
+      [...(await votes.countsFor(["a", "b", "c"]))],
+      [
+        ["a", 2],
+        ["b", 1],
+        ["c", 0]
+      ]
+    );
+  });
+});
@@ -0,0 +1,27 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { haversineKm } from "../lib/geo.mjs";
+
+describe("haversineKm", () => {
+  it("is zero for the same point", () => {
+    assert.equal(haversineKm(51.5074, -0.1278, 51.5074, -0.1278), 0);
+  });
+
+  it("measures London to Paris at about 344 km", () => {
+    const km = haversineKm(51.5074, -0.1278, 48.8566, 2.3522);
+    assert.ok(Math.abs(km - 343.6) < 1, `expected ~343.6 km, got ${km}`);
+  });
+
+  it("is symmetric", () => {
+    assert.equal(haversineKm(40.7128, -74.006, 34.0522, -118.2437), haversineKm(34.0522, -118.2437, 40.7128, -74.006));
+  });
+
+  it("handles the antimeridian by taking the short way round", () => {
+    const km = haversineKm(0, 179.5, 0, -179.5);
+    assert.ok(Math.abs(km - 111.2) < 0.5, `expected ~111.2 km, got ${km}`);
+  });
+
+  it("gives half the circumference between antipodes", () => {
+    assert.ok(Math.abs(haversineKm(0, 0, 0, 180) - Math.PI * 6371) < 1e-6);
+  });
+});
@@ -0,0 +1,124 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createGeocoderChain,
+  createNominatimGeocoder,
+  createPostcodeGeocoder,
+  looksLikePostcode,
+  normalizePostcode,
+  parsePostcodeCentroids
+} from "../lib/geocoding.mjs";
+import { createStubFetch, hangUntilAborted } from "./helpers.mjs";
+
+function fixedGeocoder(name, geocode) {
+  return { name, geocode: async (query) => geocode(query) };
+}
+
+describe("parsePostcodeCentroids", () => {
+  it("finds the columns by header name and normalizes postcodes", () => {
+    const centroids = parsePostcodeCentroids(
+      ['"pcds","lat","long"', '"SW1A 1AA",51.501009,-0.141588', "EC1A 1BB,51.520180,-0.097970", ""].join("\r\n")
+    );
+
+    assert.deepEqual([...centroids.entries()], [
+      ["SW1A1AA", { lat: 51.501009, lon: -0.141588 }],
+      ["EC1A1BB", { lat: 51.52018, lon: -0.09797 }]
+    ]);
+  });
+
+  it("reads tab-separated gazetteer files and skips rows without coordinates", () => {
+    const centroids = parsePostcodeCentroids(
+      ["GEOID\tINTPTLAT\tINTPTLONG", "10001\t40.750633\t-73.997177", "10002\t\tnope"].join("\n")
+    );
+
+    assert.deepEqual([...centroids.keys()], ["10001"]);
+  });
+
+  it("rejects files without the needed columns", () => {
+    assert.throws(() => parsePostcodeCentroids("code,x,y\nSW1A1AA,1,2"), /needs postcode, latitude and longitude/);
+  });
+});
+
+describe("createPostcodeGeocoder", () => {
+  const geocoder = createPostcodeGeocoder(
+    new Map([
+      ["SW1A1AA", { lat: 51.501, lon: -0.1416 }],
+      ["90210", { lat: 34.1, lon: -118.41 }]
+    ])
+  );
+
+  it("matches UK postcodes in any spacing and labels them in the usual format", async () => {
+    assert.equal(normalizePostcode("sw1a 1aa"), "SW1A1AA");
+    assert.deepEqual(await geocoder.geocode("sw1a 1aa"), [
+      { lat: 51.501, lon: -0.1416, label: "SW1A 1AA", kind: "postcode" }
+    ]);
+  });
+
+  it("falls back from ZIP+4 to the five-digit ZIP", async () => {
+    assert.deepEqual(await geocoder.geocode("90210-1234"), [
+      { lat: 34.1, lon: -118.41, label: "90210", kind: "postcode" }
+    ]);
+  });
+
+  it("doesn't truncate other postcodes to find a match", async () => {
+    const ukOnly = createPostcodeGeocoder(new Map([["SW1A1", { lat: 51.5, lon: -0.14 }]]));
+
+    assert.deepEqual(await ukOnly.geocode("SW1A 1AB"), []);
+  });
+
+  it("ignores queries that aren't postcodes", async () => {
+    assert.equal(looksLikePostcode("Trafalgar Square"), false);
+    assert.deepEqual(await geocoder.geocode("Trafalgar Square"), []);
+  });
+});
+
+describe("createGeocoderChain", () => {
+  const place = { lat: 51.5, lon: -0.12, label: "Somewhere", kind: "place" };
+
+  it("returns the first geocoder with results", async () => {
+    const chain = createGeocoderChain([
+      fixedGeocoder("postcodes", () => []),
+      fixedGeocoder("nominatim", () => [place]),
+      fixedGeocoder("unused", () => assert.fail("should not be asked"))
+    ]);
+
+    assert.deepEqual(await chain.geocode("somewhere"), { geocoder: "nominatim", results: [place] });
+  });
+
+  it("skips a geocoder that throws and asks the next one", async () => {
+    const chain = createGeocoderChain([
+      fixedGeocoder("broken", () => {
+        throw new Error("Geocoder request failed (503)");
+      }),
+      fixedGeocoder("nominatim", () => [place])
+    ]);
+
+    assert.deepEqual(await chain.geocode("somewhere"), { geocoder: "nominatim", results: [place] });
+  });
+
+  it("rethrows when a geocoder failed and none of the others found anything", async () => {
+    const chain = createGeocoderChain([
+      fixedGeocoder("postcodes", () => []),
+      fixedGeocoder("broken", () => {
+        throw new Error("Geocoder request failed (503)");
+      })
+    ]);
+
+    await assert.rejects(chain.geocode("somewhere"), /failed \(503\)/);
+  });
+
+  it("reports no match when every geocoder answered empty", async () => {
+    const chain = createGeocoderChain([fixedGeocoder("postcodes", () => [])]);
+
+    assert.deepEqual(await chain.geocode("nowhere"), { geocoder: null, results: [] });
+  });
+});
+
+describe("createNominatimGeocoder", () => {
+  it("gives up on a geocoder that doesn't answer", async () => {
+    const fetchImpl = createStubFetch([{ match: () => true, respond: hangUntilAborted }]);
+    const geocoder = createNominatimGeocoder({ baseUrl: "https://nominatim.test", timeoutMs: 20, fetchImpl });
+
+    await assert.rejects(geocoder.geocode("Trafalgar Square"), { name: "TimeoutError" });
+  });
+});
@@ -0,0 +1,101 @@
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+
+export async function readFixture(name) {
+  return readFile(new URL(name, FIXTURES_DIR), "utf8");
+}
+
+export async function readJsonFixture(name) {
+  return JSON.parse(await readFixture(name));
+}
+
+/**
+ * A `fetch` stand-in that answers from `routes`, a list of
+ * `{ match(url, init), respond(url, init) }` entries where `respond` returns
+ * `{ status, body }` (objects are sent as JSON). Every call is recorded in
+ * `calls`; unmatched URLs fail the way a network error would.
+ */
+export function createStubFetch(routes) {
+  const calls = [];
+
+  async function fetchImpl(input, init = {}) {
+    const url = String(input);
+    calls.push({ url, init });
+
+    const route = routes.find((candidate) => candidate.match(url, init));
+    if (!route) {
+      throw new TypeError(`fetch failed: no stub for ${url}`);
+    }
+
+    const { status = 200, body = "" } = await route.respond(url, init);
+    const isText = typeof body === "string";
+    return new Response(isText ? body : JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": isText ? "text/html" : "application/json" }
+    });
+  }
+
+  return Object.assign(fetchImpl, { calls });
+}
+
+/**
+ * A `createStubFetch` responder that never answers; only the request's abort
+ * signal ends it. `AbortSignal.timeout` doesn't keep the process alive, so a
+ * timer does until then.
+ */
+export function hangUntilAborted(url, init) {
+  const keepAlive = setTimeout(() => {}, 60 * 1000);
+  return new Promise((resolve, reject) => {
+    init.signal.addEventListener("abort", () => {
+      clearTimeout(keepAlive);
+      reject(init.signal.reason);
+    });
+  });
+}
+
+/**
+ * A Resend-compatible client factory. `respond(message)` returns what
+ * `emails.send` resolves to (or throws); sent messages are kept in `sent`.
+ */
+export function createStubEmailClient(respond = () => ({ data: { id: "email_test" }, error: null })) {
+  const sent = [];
+  const apiKeys = [];
+
+  function createEmailClient(apiKey) {
+    apiKeys.push(apiKey);
+    return {
+      emails: {
+        async send(message) {
+          sent.push(message);
+          return respond(message);
+        }
+      }
+    };
+  }
+
+  return Object.assign(createEmailClient, { sent, apiKeys });
+}
+
+export async function createTempDir() {
+  return mkdtemp(join(tmpdir(), "potty-test-"));
+}
+
+export async function removeTempDir(dir) {
+  await rm(dir, { recursive: true, force: true });
+}
+
+/**
+ * Starts `server` on a free port and resolves to its base URL and a `close()`.
+ */
+export async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { chmod, readdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { createJsonFileCollection } from "../lib/json-file-store.mjs";
+import { createTempDir, removeTempDir } from "./helpers.mjs";
+
+describe("createJsonFileCollection", () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await createTempDir();
+  });
+
+  afterEach(async () => {
+    await chmod(dataDir, 0o700);
+    await removeTempDir(dataDir);
+  });
+
+  it("persists appended rows and reads them back", async () => {
+    const filePath = join(dataDir, "rows.json");
+    await createJsonFileCollection(filePath).append({ id: 1 });
+
+    assert.deepEqual(await createJsonFileCollection(filePath).all(), [{ id: 1 }]);
+    assert.deepEqual(await readdir(dataDir), ["rows.json"]);
+  });
+
+  it("moves a corrupt file aside before the next write replaces it", async () => {
+    const filePath = join(dataDir, "rows.json");
+    await writeFile(filePath, '{"version":1,"rows":[{"id":1}');
+    const collection = createJsonFileCollection(filePath);
+
+    assert.deepEqual(await collection.all(), []);
+    await collection.append({ id: 2 });
+
+    const files = await readdir(dataDir);
+    const corruptFile = files.find((name) => name.startsWith("rows.json.corrupt-"));
+    assert.ok(corruptFile);
+    assert.equal(await readFile(join(dataDir, corruptFile), "utf8"), '{"version":1,"rows":[{"id":1}');
+    assert.deepEqual(JSON.parse(await readFile(filePath, "utf8")).rows, [{ id: 2 }]);
+  });
+
+  it("refuses writes when a corrupt file can't be moved aside", async (t) => {
+    if (process.getuid?.() === 0) {
+      t.skip("root ignores directory permissions");
+      return;
+    }
+    const filePath = join(dataDir, "rows.json");
+    await writeFile(filePath, "not json");
+    await chmod(dataDir, 0o500);
+    const collection = createJsonFileCollection(filePath);
+
+    assert.deepEqual(await collection.all(), []);
+    await assert.rejects(collection.append({ id: 1 }), /won't be overwritten/);
+    assert.equal(await readFile(filePath, "utf8"), "not json");
+  });
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createLogger } from "../lib/logger.mjs";
+
+function createCapture(options = {}) {
+  const lines = [];
+  const logger = createLogger({
+    ...options,
+    now: () => new Date("2026-10-19T12:00:00.000Z"),
+    write: (level, line) => lines.push({ level, line: JSON.parse(line) })
+  });
+  return { logger, lines };
+}
+
+describe("createLogger", () => {
+  it("writes one JSON object per line with child fields and serialized errors", () => {
+    const { logger, lines } = createCapture();
+    const error = Object.assign(new Error("boom"), { code: "EDB_AUTH" });
+
+    logger.child({ requestId: "req-1" }).error("Saving failed", { scope: "ratings", error, skipped: undefined });
+
+    assert.equal(lines.length, 1);
+    const [{ level, line }] = lines;
+    assert.equal(level, "error");
+    assert.equal(line.time, "2026-10-19T12:00:00.000Z");
+    assert.equal(line.msg, "Saving failed");
+    assert.equal(line.requestId, "req-1");
+    assert.equal(line.scope, "ratings");
+    assert.equal(line.error.message, "boom");
+    assert.equal(line.error.code, "EDB_AUTH");
+    assert.ok(!("skipped" in line));
+  });
+
+  it("drops lines below the level", () => {
+    const { logger, lines } = createCapture({ level: "warn" });
+    logger.info("hidden");
+    logger.warn("shown");
+    assert.deepEqual(
+      lines.map(({ line }) => line.msg),
+      ["shown"]
+    );
+
+    const silent = createCapture({ level: "silent" });
+    silent.logger.error("hidden");
+    assert.equal(silent.lines.length, 0);
+  });
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createLruCache } from "../lib/lru-cache.mjs";
+
+describe("createLruCache", () => {
+  it("evicts the least recently used entry beyond maxEntries", () => {
+    const cache = createLruCache({ maxEntries: 2, ttlMs: 1000 });
+
+    cache.set("a", 1);
+    cache.set("b", 2);
+    assert.equal(cache.get("a"), 1);
+    cache.set("c", 3);
+
+    assert.equal(cache.get("b"), undefined);
+    assert.equal(cache.get("a"), 1);
+    assert.equal(cache.get("c"), 3);
+    assert.equal(cache.size, 2);
+  });
+
+  it("expires entries ttlMs after they were set", () => {
+    let time = 1_000_000;
+    const cache = createLruCache({ maxEntries: 10, ttlMs: 1000, now: () => time });
+
+    cache.set("a", 1);
+    time += 999;
+    assert.equal(cache.get("a"), 1);
+    time += 1;
+    assert.equal(cache.get("a"), undefined);
+    assert.equal(cache.size, 0);
+  });
+});
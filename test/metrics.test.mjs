@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createMetrics, instrumentFetch } from "../lib/metrics.mjs";
+
+describe("createMetrics", () => {
+  it("renders counters, histograms and collected families", () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter("requests_total", "Requests.");
+    const duration = metrics.histogram("duration_seconds", "Duration.", [0.1, 1]);
+    metrics.collect("age_seconds", "gauge", "Age.", () => [{ labels: { provider: "uk" }, value: 12 }]);
+
+    requests.inc({ route: "/api/nearest" });
+    requests.inc({ route: "/api/nearest" }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    duration.observe({}, 0.05);
+    duration.observe({}, 0.5);
+
+    assert.equal(
+      metrics.render(),
+      [
+        "# HELP requests_total Requests.",
+        "# TYPE requests_total counter",
+        'requests_total{route="/api/nearest"} 3',
+        'requests_total{route="say \\"hi\\"\\n"} 1',
+        "# HELP duration_seconds Duration.",
+        "# TYPE duration_seconds histogram",
+        'duration_seconds_bucket{le="0.1"} 1',
+        'duration_seconds_bucket{le="1"} 2',
+        'duration_seconds_bucket{le="+Inf"} 2',
+        "duration_seconds_sum 0.55",
+        "duration_seconds_count 2",
+        "# HELP age_seconds Age.",
+        "# TYPE age_seconds gauge",
+        'age_seconds{provider="uk"} 12',
+        ""
+      ].join("\n")
+    );
+  });
+
+  it("refuses to register a name twice", () => {
+    const metrics = createMetrics();
+    metrics.counter("requests_total", "Requests.");
+    assert.throws(() => metrics.counter("requests_total", "Again."), /already registered/);
+  });
+});
+
+describe("instrumentFetch", () => {
+  it("counts outcomes per upstream and times every call", async () => {
+    const metrics = createMetrics();
+    const upstream = {
+      requests: metrics.counter("upstream_requests_total", "Upstream calls."),
+      duration: metrics.histogram("upstream_duration_seconds", "Upstream latency.", [10])
+    };
+    const responses = [new Response("", { status: 200 }), new Response("", { status: 503 })];
+    const fetchImpl = instrumentFetch(
+      async () => {
+        const response = responses.shift();
+        if (!response) {
+          throw new TypeError("fetch failed");
+        }
+        return response;
+      },
+      "refuge",
+      upstream
+    );
+
+    assert.equal((await fetchImpl("https://example.com")).status, 200);
+    assert.equal((await fetchImpl("https://example.com")).status, 503);
+    await assert.rejects(fetchImpl("https://example.com"), /fetch failed/);
+
+    const text = metrics.render();
+    for (const outcome of ["ok", "http_503", "network_error"]) {
+      assert.match(text, new RegExp(`^upstream_requests_total\\{upstream="refuge",outcome="${outcome}"\\} 1$`, "m"));
+    }
+    assert.match(text, /^upstream_duration_seconds_count\{upstream="refuge"\} 3$/m);
+  });
+});
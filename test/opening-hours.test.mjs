@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { getOpenStatus, parseOpeningTimes } from "../lib/opening-hours.mjs";
+
+const WEEKDAYS_ONLY = [
+  ["09:00", "17:00"],
+  ["09:00", "17:00"],
+  ["09:00", "17:00"],
+  ["09:00", "17:00"],
+  ["09:00", "17:00"],
+  [],
+  []
+];
+
+describe("parseOpeningTimes", () => {
+  it("reads open days as periods and empty entries as closed", () => {
+    const schedule = parseOpeningTimes(WEEKDAYS_ONLY);
+
+    assert.deepEqual(schedule.days[0], [{ open: "09:00", close: "17:00" }]);
+    assert.deepEqual(schedule.days[5], []);
+  });
+
+  it("marks unreadable days as unknown instead of closed", () => {
+    const schedule = parseOpeningTimes([["9am", "5pm"], null, ...WEEKDAYS_ONLY.slice(2)]);
+
+    assert.equal(schedule.days[0], null);
+    assert.equal(schedule.days[1], null);
+    assert.deepEqual(schedule.days[2], [{ open: "09:00", close: "17:00" }]);
+  });
+
+  it("returns null when no day can be read", () => {
+    assert.equal(parseOpeningTimes(Array(7).fill(["late", "later"])), null);
+    assert.equal(parseOpeningTimes([]), null);
+  });
+});
+
+describe("getOpenStatus", () => {
+  const schedule = parseOpeningTimes(WEEKDAYS_ONLY);
+
+  it("reports when an open toilet closes and when a closed one opens", () => {
+    assert.deepEqual(getOpenStatus(schedule, { dayIndex: 0, minutes: 10 * 60 }), {
+      openNow: true,
+      opensAt: null,
+      closesAt: "17:00"
+    });
+    assert.deepEqual(getOpenStatus(schedule, { dayIndex: 4, minutes: 18 * 60 }), {
+      openNow: false,
+      opensAt: "Mon 09:00",
+      closesAt: null
+    });
+  });
+
+  it("is unknown on a day whose hours are unknown", () => {
+    const partial = parseOpeningTimes([["09:00", "17:00"], ["9-5"], ...WEEKDAYS_ONLY.slice(2)]);
+
+    assert.deepEqual(getOpenStatus(partial, { dayIndex: 1, minutes: 12 * 60 }), {
+      openNow: null,
+      opensAt: null,
+      closesAt: null
+    });
+  });
+
+  it("doesn't promise an opening time past an unknown day", () => {
+    const partial = parseOpeningTimes([["09:00", "17:00"], ["9-5", "?"], ...WEEKDAYS_ONLY.slice(2)]);
+
+    assert.deepEqual(getOpenStatus(partial, { dayIndex: 0, minutes: 18 * 60 }), {
+      openNow: false,
+      opensAt: null,
+      closesAt: null
+    });
+  });
+});
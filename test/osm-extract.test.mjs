@@ -0,0 +1,173 @@
+import assert from "node:assert/strict";
+import { writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { deflateSync } from "node:zlib";
+import { parseOsmJson, parseOsmPbf, parseOsmXml, readOsmNetwork } from "../lib/osm-extract.mjs";
+import { createTempDir, readFixture, readJsonFixture, removeTempDir } from "./helpers.mjs";
+
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+// Just enough protobuf writing to build a PBF extract by hand.
+function varint(value) {
+  let remaining = BigInt.asUintN(64, BigInt(value));
+  const bytes = [];
+  do {
+    const byte = Number(remaining & 0x7fn);
+    remaining >>= 7n;
+    bytes.push(remaining > 0n ? byte | 0x80 : byte);
+  } while (remaining > 0n);
+  return Buffer.from(bytes);
+}
+
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+const varintField = (field, value) => Buffer.concat([varint(field * 8), varint(value)]);
+const bytesField = (field, bytes) => Buffer.concat([varint(field * 8 + 2), varint(bytes.length), bytes]);
+const packed = (field, values) => bytesField(field, Buffer.concat(values.map(varint)));
+
+function deltas(values) {
+  return values.map((value, index) => zigzag(value - (index > 0 ? values[index - 1] : 0)));
+}
+
+function fileBlock(type, payload) {
+  const blob = Buffer.concat([varintField(2, payload.length), bytesField(3, deflateSync(payload))]);
+  const header = Buffer.concat([bytesField(1, Buffer.from(type)), varintField(3, blob.length)]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  return Buffer.concat([length, header, blob]);
+}
+
+// Negative offsets are stored as ten-byte int64 varints, which is what tripped the old zigzag reading.
+function buildPbf() {
+  const strings = ["", "amenity", "toilets", "highway", "footway"];
+  const granularity = 100;
+  const latOffset = -1_000_000_000;
+  const lonOffset = -2_000_000_000;
+  const toRaw = (degrees, offset) => Math.round((degrees * 1e9 - offset) / granularity);
+
+  const lats = [51.5081, 51.509].map((lat) => toRaw(lat, latOffset));
+  const lons = [-0.1281, -0.129].map((lon) => toRaw(lon, lonOffset));
+  const dense = Buffer.concat([
+    packed(1, deltas([101, 102])),
+    packed(8, deltas(lats)),
+    packed(9, deltas(lons)),
+    packed(10, [1, 2, 0, 0])
+  ]);
+  const way = Buffer.concat([varintField(1, 201), packed(2, [3]), packed(3, [4]), packed(8, deltas([101, 102]))]);
+
+  const block = Buffer.concat([
+    bytesField(1, Buffer.concat(strings.map((text) => bytesField(1, Buffer.from(text))))),
+    bytesField(2, bytesField(2, dense)),
+    bytesField(2, bytesField(3, way)),
+    varintField(17, granularity),
+    varintField(19, latOffset),
+    varintField(20, lonOffset)
+  ]);
+  return Buffer.concat([fileBlock("OSMHeader", Buffer.alloc(0)), fileBlock("OSMData", block)]);
+}
+
+describe("parseOsmPbf", () => {
+  it("decodes dense nodes with their tags and negative coordinate offsets", () => {
+    const nodes = parseOsmPbf(buildPbf());
+
+    assert.deepEqual(
+      nodes.map(({ id, tags }) => ({ id, tags })),
+      [
+        { id: 101, tags: { amenity: "toilets" } },
+        { id: 102, tags: {} }
+      ]
+    );
+    assert.ok(Math.abs(nodes[0].lat - 51.5081) < 1e-9);
+    assert.ok(Math.abs(nodes[0].lon - -0.1281) < 1e-9);
+    assert.ok(Math.abs(nodes[1].lon - -0.129) < 1e-9);
+  });
+});
+
+describe("parseOsmXml", () => {
+  it("reads nodes, their tags and timestamps and decodes entities", async () => {
+    const nodes = parseOsmXml(await readFixture("osm-extract.osm"));
+
+    assert.deepEqual(
+      nodes.map((node) => node.id),
+      [101, 102, 103]
+    );
+    assert.deepEqual(nodes[0], {
+      id: 101,
+      lat: 51.5081,
+      lon: -0.1281,
+      timestamp: "2026-03-01T10:00:00Z",
+      tags: { amenity: "toilets", name: "Fish & Chips Loo", wheelchair: "yes" }
+    });
+    assert.deepEqual(nodes[1].tags, {});
+  });
+});
+
+describe("parseOsmJson", () => {
+  it("keeps only the nodes of Overpass output", async () => {
+    const nodes = parseOsmJson(await readJsonFixture("osm-overpass.json"));
+
+    assert.deepEqual(nodes, [
+      {
+        id: 301,
+        lat: 40.7536,
+        lon: -73.9834,
+        timestamp: "2026-04-01T08:00:00Z",
+        tags: { amenity: "toilets", fee: "no" }
+      }
+    ]);
+  });
+
+  it("reads GeoJSON points and strips the node/ prefix from ids", async () => {
+    const nodes = parseOsmJson(await readJsonFixture("osm-network.geojson"));
+
+    assert.deepEqual(nodes, [{ id: 601, lat: 51.508, lon: -0.128, timestamp: null, tags: { amenity: "toilets" } }]);
+  });
+});
+
+describe("readOsmNetwork", () => {
+  let dataDir;
+
+  before(async () => {
+    dataDir = await createTempDir();
+  });
+
+  after(async () => {
+    await removeTempDir(dataDir);
+  });
+
+  it("reads ways with their node refs from OSM XML", async () => {
+    const { nodes, ways } = await readOsmNetwork(fixturePath("osm-extract.osm"));
+
+    assert.equal(nodes.length, 3);
+    assert.deepEqual(ways, [{ id: 201, refs: [102, 103], tags: { highway: "footway" } }]);
+  });
+
+  it("reads ways from PBF", async () => {
+    const pbfPath = join(dataDir, "extract.osm.pbf");
+    await writeFile(pbfPath, buildPbf());
+
+    const { nodes, ways } = await readOsmNetwork(pbfPath);
+
+    assert.equal(nodes.length, 2);
+    assert.deepEqual(ways, [{ id: 201, refs: [101, 102], tags: { highway: "footway" } }]);
+  });
+
+  it("turns GeoJSON LineStrings into ways that share nodes at equal coordinates", async () => {
+    const { nodes, ways } = await readOsmNetwork(fixturePath("osm-network.geojson"));
+
+    assert.equal(nodes.length, 4);
+    assert.deepEqual(
+      ways.map((way) => way.refs),
+      [
+        ["51.508,-0.128", "51.509,-0.129", "51.51,-0.13"],
+        ["51.51,-0.13", "51.511,-0.131"]
+      ]
+    );
+    assert.deepEqual(ways[1].tags, { highway: "path" });
+  });
+
+  it("rejects unknown file types", async () => {
+    await assert.rejects(readOsmNetwork(fixturePath("toiletmap-dataset-page.html")), /Unsupported OSM extract format/);
+  });
+});
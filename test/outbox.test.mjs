@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createOutbox, retryDelayMs } from "../lib/outbox.mjs";
+import { createTempDir, removeTempDir } from "./helpers.mjs";
+
+function createSink(outcomes = []) {
+  const delivered = [];
+  return {
+    delivered,
+    deliver: async (payload) => {
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      delivered.push(payload);
+    },
+    describeError: (error) => ({ error: error.message, message: "Delivery failed." })
+  };
+}
+
+describe("retryDelayMs", () => {
+  it("doubles from the base delay and stops at the cap", () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    assert.deepEqual(
+      [1, 2, 3, 4].map((attempts) => retryDelayMs(attempts, options)),
+      [1000, 2000, 4000, 5000]
+    );
+  });
+});
+
+describe("createOutbox", () => {
+  let dataDir;
+  let fileCount = 0;
+  let time;
+  const now = () => time;
+
+  function nextFile() {
+    fileCount += 1;
+    return join(dataDir, `outbox-${fileCount}.json`);
+  }
+
+  before(async () => {
+    dataDir = await createTempDir();
+  });
+
+  after(async () => {
+    await removeTempDir(dataDir);
+  });
+
+  it("delivers to every sink and keeps a failing one from blocking the rest", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const email = createSink([new Error("email_down")]);
+    const database = createSink();
+    const outbox = createOutbox({ filePath: nextFile(), sinks: { email, database }, now, baseDelayMs: 1000 });
+
+    const entry = await outbox.enqueue({ message: "Show bus stops" });
+    assert.deepEqual(await outbox.processDue(), { attempted: 2, delivered: 1, failed: 1 });
+    assert.deepEqual(database.delivered, [{ message: "Show bus stops" }]);
+
+    const { counts, entries } = await outbox.status();
+    assert.deepEqual(counts.email, { pending: 1, delivered: 0, dead: 0 });
+    assert.deepEqual(counts.database, { pending: 0, delivered: 1, dead: 0 });
+    assert.equal(entries[0].id, entry.id);
+    assert.equal(entries[0].deliveries.email.lastError.error, "email_down");
+    assert.equal(entries[0].deliveries.email.nextAttemptAt, "2026-10-19T12:00:01.000Z");
+  });
+
+  it("waits for the backoff before trying again", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const email = createSink([new Error("email_down")]);
+    const outbox = createOutbox({ filePath: nextFile(), sinks: { email }, now, baseDelayMs: 1000 });
+
+    await outbox.enqueue({ message: "Show ferry piers" });
+    await outbox.processDue();
+
+    time += 999;
+    assert.equal((await outbox.processDue()).attempted, 0);
+
+    time += 1;
+    assert.deepEqual(await outbox.processDue(), { attempted: 1, delivered: 1, failed: 0 });
+    assert.deepEqual((await outbox.status()).entries, []);
+  });
+
+  it("marks a delivery dead after maxAttempts and revives it on retry", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const email = createSink([new Error("auth_failed"), new Error("auth_failed")]);
+    const outbox = createOutbox({ filePath: nextFile(), sinks: { email }, now, maxAttempts: 2, baseDelayMs: 0 });
+
+    const entry = await outbox.enqueue({ message: "Show tram stops" });
+    await outbox.processDue();
+    await outbox.processDue();
+    assert.equal((await outbox.processDue()).attempted, 0);
+
+    const [dead] = (await outbox.status()).entries;
+    assert.equal(dead.deliveries.email.status, "dead");
+    assert.equal(dead.deliveries.email.attempts, 2);
+
+    const revived = await outbox.retry(entry.id);
+    assert.equal(revived.deliveries.email.status, "pending");
+    assert.equal(revived.deliveries.email.attempts, 0);
+    assert.deepEqual(await outbox.processDue(), { attempted: 1, delivered: 1, failed: 0 });
+
+    assert.equal(await outbox.retry("missing"), null);
+  });
+
+  it("picks up pending deliveries from the file after a restart", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const filePath = nextFile();
+    await createOutbox({ filePath, sinks: { email: createSink() }, now }).enqueue({ message: "Show car parks" });
+
+    const email = createSink();
+    const restarted = createOutbox({ filePath, sinks: { email }, now });
+    await restarted.processDue();
+    assert.deepEqual(email.delivered, [{ message: "Show car parks" }]);
+  });
+
+  it("shares one run between overlapping calls", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const email = createSink();
+    const outbox = createOutbox({ filePath: nextFile(), sinks: { email }, now });
+
+    await outbox.enqueue({ message: "Show bike racks" });
+    const [first, second] = await Promise.all([outbox.processDue(), outbox.processDue()]);
+    assert.equal(first, second);
+    assert.equal(email.delivered.length, 1);
+  });
+
+  it("drops delivered entries once they are a week old", async () => {
+    time = Date.parse("2026-10-19T12:00:00.000Z");
+    const outbox = createOutbox({ filePath: nextFile(), sinks: { email: createSink() }, now });
+
+    await outbox.enqueue({ message: "Show water fountains" });
+    await outbox.processDue();
+    assert.equal((await outbox.status()).counts.email.delivered, 1);
+
+    time += 8 * 24 * 60 * 60 * 1000;
+    await outbox.processDue();
+    assert.equal((await outbox.status()).counts.email.delivered, 0);
+  });
+});
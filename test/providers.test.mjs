@@ -0,0 +1,350 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createOverpassProvider, normalizeOsmToilet } from "../lib/providers/osm.mjs";
+import { parseToilets } from "../lib/providers/uk.mjs";
+import { createUsProvider, normalizeUsToilet, toCell } from "../lib/providers/us.mjs";
+import { createStubFetch, hangUntilAborted, readJsonFixture } from "./helpers.mjs";
+
+describe("parseToilets", () => {
+  it("keeps active rows with coordinates and maps the Toilet Map fields", async () => {
+    const toilets = parseToilets(await readJsonFixture("toiletmap-toilets.json"));
+
+    assert.deepEqual(
+      toilets.map((toilet) => toilet.name),
+      ["Charing Cross Station", "Trafalgar Square", "Covent Garden Market"]
+    );
+
+    const [charingCross] = toilets;
+    assert.equal(charingCross.id, "a1b2c3d4e5f60718293a4b5c");
+    assert.equal(charingCross.lat, 51.50797);
+    assert.equal(charingCross.lon, -0.12462);
+    assert.equal(charingCross.areaName, "Westminster");
+    assert.equal(charingCross.accessible, true);
+    assert.equal(charingCross.babyChange, true);
+    assert.equal(charingCross.noPayment, true);
+    assert.equal(charingCross.radar, true);
+    assert.equal(charingCross.allGender, false);
+    assert.equal(charingCross.updatedAt, "2026-08-14T09:21:44.000Z");
+    assert.deepEqual(charingCross.openingSchedule.days[6], [{ open: "07:00", close: "23:00" }]);
+  });
+
+  it("leaves the schedule null when hours are unknown and empty when always closed", async () => {
+    const toilets = parseToilets(await readJsonFixture("toiletmap-toilets.json"));
+    const trafalgar = toilets.find((toilet) => toilet.name === "Trafalgar Square");
+    const coventGarden = toilets.find((toilet) => toilet.name === "Covent Garden Market");
+
+    assert.equal(trafalgar.openingSchedule, null);
+    assert.deepEqual(coventGarden.openingSchedule, { days: [[], [], [], [], [], [], []] });
+  });
+
+  it("falls back to default names and areas", () => {
+    const [toilet] = parseToilets([{ location: { coordinates: ["-1.5", "53.8"] } }]);
+
+    assert.equal(toilet.name, "Public toilet");
+    assert.equal(toilet.areaName, "Unknown area");
+    assert.equal(toilet.lat, 53.8);
+    assert.equal(toilet.lon, -1.5);
+  });
+
+  it("skips nulls, inactive rows and unusable coordinates", () => {
+    const rows = [
+      null,
+      { active: false, location: { coordinates: [0, 51] } },
+      { location: { coordinates: [0] } },
+      { location: { coordinates: ["east", "north"] } },
+      {}
+    ];
+    assert.deepEqual(parseToilets(rows), []);
+  });
+});
+
+describe("normalizeUsToilet", () => {
+  it("maps Refuge fields onto the shared toilet shape", async () => {
+    const [bryantPark] = await readJsonFixture("refuge-by-location.json");
+
+    assert.deepEqual(normalizeUsToilet(bryantPark), {
+      id: "51873",
+      name: "Bryant Park Public Restrooms",
+      lat: 40.75362,
+      lon: -73.98343,
+      areaName: "New York, NY",
+      accessible: true,
+      babyChange: true,
+      noPayment: null,
+      radar: null,
+      allGender: false,
+      notes: "Behind the library, next to the carousel. | Attended and very clean.",
+      openingTimes: null,
+      openingSchedule: null,
+      updatedAt: "2024-03-08T17:44:12.110Z",
+      country: "US",
+      approved: true,
+      upvotes: 42,
+      downvotes: 1
+    });
+  });
+
+  it("drops empty notes and falls back for missing names, areas and votes", () => {
+    const toilet = normalizeUsToilet({
+      id: 9,
+      latitude: "40.7",
+      longitude: "-74.0",
+      directions: "",
+      comment: "  ",
+      created_at: "2020-01-01T00:00:00.000Z"
+    });
+
+    assert.equal(toilet.name, "Public restroom");
+    assert.equal(toilet.areaName, "Unknown area");
+    assert.equal(toilet.notes, null);
+    assert.equal(toilet.updatedAt, "2020-01-01T00:00:00.000Z");
+    assert.equal(toilet.accessible, false);
+    assert.equal(toilet.upvotes, 0);
+    assert.equal(toilet.downvotes, 0);
+  });
+
+  it("rejects rows without numeric coordinates", () => {
+    assert.equal(normalizeUsToilet({ id: 1, longitude: -74 }), null);
+    assert.equal(normalizeUsToilet({ id: 1, latitude: "north", longitude: "west" }), null);
+    assert.equal(normalizeUsToilet(null), null);
+  });
+});
+
+describe("normalizeOsmToilet", () => {
+  it("maps OSM tags onto the shared toilet shape", () => {
+    const toilet = normalizeOsmToilet({
+      id: 101,
+      lat: 51.5081,
+      lon: -0.1281,
+      timestamp: "2026-03-01T10:00:00Z",
+      tags: {
+        amenity: "toilets",
+        name: "Embankment Gardens",
+        "addr:city": "London",
+        wheelchair: "designated",
+        changing_table: "no",
+        fee: "no",
+        centralkey: "radar",
+        unisex: "yes",
+        description: "Down the steps",
+        opening_hours: "Mo-Fr 08:00-18:00; Sa,Su off"
+      }
+    });
+
+    assert.deepEqual(toilet, {
+      id: "node/101",
+      name: "Embankment Gardens",
+      lat: 51.5081,
+      lon: -0.1281,
+      areaName: "London",
+      accessible: true,
+      babyChange: false,
+      noPayment: true,
+      radar: true,
+      allGender: true,
+      notes: "Down the steps",
+      openingTimes: "Mo-Fr 08:00-18:00; Sa,Su off",
+      openingSchedule: { days: [...Array(5).fill([{ open: "08:00", close: "18:00" }]), [], []] },
+      updatedAt: "2026-03-01T10:00:00Z"
+    });
+  });
+
+  it("leaves untagged amenities unknown and falls back for names and areas", () => {
+    const toilet = normalizeOsmToilet({ id: 7, lat: 51.5, lon: -0.1, tags: { amenity: "toilets", fee: "yes" } });
+
+    assert.equal(toilet.name, "Public toilet");
+    assert.equal(toilet.areaName, "Unknown area");
+    assert.equal(toilet.accessible, null);
+    assert.equal(toilet.allGender, null);
+    assert.equal(toilet.noPayment, false);
+    assert.equal(toilet.openingSchedule, null);
+  });
+
+  it("skips nodes that aren't toilets or have no coordinates", () => {
+    assert.equal(normalizeOsmToilet({ id: 1, lat: 51.5, lon: -0.1, tags: { amenity: "bench" } }), null);
+    assert.equal(normalizeOsmToilet({ id: 1, lat: "north", lon: -0.1, tags: { amenity: "toilets" } }), null);
+    assert.equal(normalizeOsmToilet(null), null);
+  });
+});
+
+describe("createOverpassProvider", () => {
+  it("gives up on an Overpass endpoint that doesn't answer", async () => {
+    const fetchImpl = createStubFetch([{ match: () => true, respond: hangUntilAborted }]);
+    const endpoint = "https://overpass.test/api/interpreter";
+    const provider = createOverpassProvider({ endpoint, timeoutMs: 20, fetchImpl });
+
+    await assert.rejects(provider.nearest(51.5, -0.12, 5), { name: "TimeoutError" });
+  });
+});
+
+describe("createUsProvider health", () => {
+  it("is unknown until called, down after a failure and ok after an answer", async () => {
+    let status = 502;
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ status, body: [] }) }]);
+    const provider = createUsProvider({ fetchImpl });
+
+    assert.equal(provider.health().status, "unknown");
+
+    await assert.rejects(provider.nearest(40.75, -73.98, 5), /US API request failed \(502\)/);
+    assert.equal(provider.health().status, "down");
+    assert.equal(provider.health().lastError.message, "US API request failed (502)");
+
+    status = 200;
+    await provider.nearest(40.75, -73.98, 5);
+    assert.equal(provider.health().status, "ok");
+    assert.match(provider.health().lastResponseAt, /^\d{4}-\d{2}-\d{2}T/);
+  });
+});
+
+describe("createUsProvider caching", () => {
+  const refugeRow = (id, lat = 40.75, lon = -73.98) => ({
+    id,
+    name: `Restroom ${id}`,
+    latitude: lat,
+    longitude: lon,
+    approved: true,
+    country: "US"
+  });
+
+  it("snaps searches to the centre of their grid cell", () => {
+    assert.deepEqual(toCell(40.7536, -73.9834), { lat: "40.75", lon: "-73.98" });
+    assert.deepEqual(toCell(40.7536, -73.9834, 0.1), { lat: "40.8", lon: "-74.0" });
+  });
+
+  it("reuses one lookup for searches in the same cell, ranked from each point", async () => {
+    const fetchImpl = createStubFetch([
+      {
+        match: () => true,
+        respond: () => ({ body: [refugeRow(1, 40.751, -73.981), refugeRow(2, 40.754, -73.985)] })
+      }
+    ]);
+    const provider = createUsProvider({ fetchImpl });
+
+    const first = await provider.nearest(40.7511, -73.9812, 1);
+    const second = await provider.nearest(40.7539, -73.9848, 1);
+
+    assert.equal(fetchImpl.calls.length, 1);
+    assert.equal(first.toilets[0].id, "1");
+    assert.equal(second.toilets[0].id, "2");
+    assert.equal(second.source.cachedAt, first.source.cachedAt);
+    assert.deepEqual(provider.cacheStats().lookups, { hit: 1, miss: 1 });
+
+    await provider.nearest(41.5, -73.98, 1);
+    assert.equal(fetchImpl.calls.length, 2);
+  });
+
+  it("shares one upstream lookup between concurrent searches and refetches after the TTL", async () => {
+    const fetchImpl = createStubFetch([
+      {
+        match: () => true,
+        respond: async () => {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          return { body: [refugeRow(1)] };
+        }
+      }
+    ]);
+    const provider = createUsProvider({ fetchImpl, cacheTtlMs: 0 });
+
+    await Promise.all([provider.nearest(40.75, -73.98, 5), provider.nearest(40.7501, -73.9801, 5)]);
+    assert.equal(fetchImpl.calls.length, 1);
+
+    await provider.nearest(40.75, -73.98, 5);
+    assert.equal(fetchImpl.calls.length, 2);
+  });
+
+  it("stops after a first page that isn't full", async () => {
+    const shortPage = Array.from({ length: 40 }, (_, index) => refugeRow(index + 1));
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ body: shortPage }) }]);
+    const provider = createUsProvider({ fetchImpl });
+
+    const { toilets } = await provider.nearest(40.75, -73.98, 20);
+
+    assert.equal(fetchImpl.calls.length, 1);
+    assert.equal(toilets.length, 20);
+  });
+
+  it("fetches the remaining pages in parallel when the first page is full", async () => {
+    let active = 0;
+    let maxActive = 0;
+    // Mostly unapproved listings, which are dropped, so only 10 usable ones are left.
+    const fullPage = Array.from({ length: 100 }, (_, index) => ({ ...refugeRow(index + 1), approved: index < 10 }));
+    const fetchImpl = createStubFetch([
+      {
+        match: () => true,
+        respond: async (url) => {
+          const offset = Number(new URL(url).searchParams.get("offset"));
+          active += 1;
+          maxActive = Math.max(maxActive, active);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          active -= 1;
+          return { body: offset === 0 ? fullPage : offset === 100 ? [refugeRow(500)] : [] };
+        }
+      }
+    ]);
+    const provider = createUsProvider({ fetchImpl });
+
+    const { toilets } = await provider.nearest(40.75, -73.98, 200);
+
+    assert.deepEqual(
+      fetchImpl.calls.map((call) => new URL(call.url).searchParams.get("offset")),
+      ["0", "100", "200", "300"]
+    );
+    assert.equal(maxActive, 3);
+    assert.equal(toilets.length, 11);
+  });
+
+  it("finds filtered matches beyond the first page", async () => {
+    // Plenty of US listings on the first page, but only two of them accessible.
+    const firstPage = Array.from({ length: 100 }, (_, index) => ({ ...refugeRow(index + 1), accessible: index < 2 }));
+    const secondPage = Array.from({ length: 30 }, (_, index) => ({ ...refugeRow(index + 101), accessible: true }));
+    const fetchImpl = createStubFetch([
+      {
+        match: () => true,
+        respond: (url) => {
+          const offset = Number(new URL(url).searchParams.get("offset"));
+          return { body: offset === 0 ? firstPage : offset === 100 ? secondPage : [] };
+        }
+      }
+    ]);
+    const provider = createUsProvider({ fetchImpl });
+
+    const { toilets } = await provider.nearest(40.75, -73.98, 5, (toilet) => toilet.accessible);
+
+    assert.equal(toilets.length, 5);
+    assert.ok(toilets.every((toilet) => toilet.accessible));
+  });
+
+  it("keeps the pages that arrived when a later page fails, without caching the cell", async () => {
+    const fullPage = Array.from({ length: 100 }, (_, index) => ({ ...refugeRow(index + 1), approved: index < 10 }));
+    const fetchImpl = createStubFetch([
+      {
+        match: () => true,
+        respond: (url) => {
+          const offset = Number(new URL(url).searchParams.get("offset"));
+          if (offset === 100) {
+            return { status: 502, body: [] };
+          }
+          return { body: offset === 0 ? fullPage : offset === 200 ? [refugeRow(500)] : [] };
+        }
+      }
+    ]);
+    const provider = createUsProvider({ fetchImpl });
+
+    const { toilets } = await provider.nearest(40.75, -73.98, 20);
+    assert.equal(toilets.length, 11);
+
+    await provider.nearest(40.75, -73.98, 20);
+    assert.equal(fetchImpl.calls.length, 8);
+  });
+
+  it("does not cache failed lookups", async () => {
+    let status = 502;
+    const fetchImpl = createStubFetch([{ match: () => true, respond: () => ({ status, body: [] }) }]);
+    const provider = createUsProvider({ fetchImpl });
+
+    await assert.rejects(provider.nearest(40.75, -73.98, 5));
+    status = 200;
+    await provider.nearest(40.75, -73.98, 5);
+    assert.equal(fetchImpl.calls.length, 2);
+  });
+});
@@ -0,0 +1,1173 @@
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import { createFileFeatureRequestRepository } from "../lib/feature-requests.mjs";
+import { createGeocoderChain } from "../lib/geocoding.mjs";
+import { createLogger } from "../lib/logger.mjs";
+import { createUkProvider } from "../lib/providers/uk.mjs";
+import { createUsProvider } from "../lib/providers/us.mjs";
+import { createApp } from "../server.mjs";
+import {
+  createStubEmailClient,
+  createStubFetch,
+  createTempDir,
+  listen,
+  readFixture,
+  readJsonFixture,
+  removeTempDir
+} from "./helpers.mjs";
+
+const GENEROUS_LIMITS = {
+  perIp: { capacity: 100, refillMs: 1000 },
+  global: { capacity: 100, refillMs: 1000 }
+};
+
+// Other createApp options (`dataDir`, `trustedProxyHops`, `adminPassword`, ...) are passed through.
+async function startApp({
+  fetchImpl,
+  createEmailClient = createStubEmailClient(),
+  featureRequestLimits = GENEROUS_LIMITS,
+  logger = createLogger({ level: "silent" }),
+  ...options
+}) {
+  const { server, outbox } = await createApp({
+    fetchImpl,
+    createEmailClient,
+    providers: [createUkProvider({ fetchImpl }), createUsProvider({ fetchImpl })],
+    walkingRouter: null,
+    geocoder: createGeocoderChain([]),
+    featureRequestLimits,
+    logger,
+    ...options
+  });
+  return { ...(await listen(server)), outbox };
+}
+
+async function getJson(baseUrl, path) {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+describe("GET /api/nearest", () => {
+  let app;
+  let dataDir;
+  let fetchImpl;
+
+  before(async () => {
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    const refugeRows = await readJsonFixture("refuge-by-location.json");
+
+    fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      },
+      {
+        match: (url) => url.startsWith("https://www.refugerestrooms.org/api/v1/restrooms/by_location"),
+        respond: (url) => ({ body: new URL(url).searchParams.get("offset") === "0" ? refugeRows : [] })
+      }
+    ]);
+    dataDir = await createTempDir();
+    app = await startApp({ fetchImpl, dataDir });
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("returns the closest UK toilets from the dataset export, nearest first", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/nearest?lat=51.5079&lon=-0.1247&limit=2");
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 2);
+    assert.equal(body.query.region, "UK");
+    assert.equal(body.query.timeZone, "Europe/London");
+    assert.deepEqual(
+      body.toilets.map((toilet) => toilet.name),
+      ["Charing Cross Station", "Trafalgar Square"]
+    );
+    assert.ok(body.toilets[0].distanceKm < body.toilets[1].distanceKm);
+    assert.equal(body.toilets[0].provider, "uk");
+    assert.equal(typeof body.toilets[0].openNow, "boolean");
+    assert.equal(body.toilets[1].openNow, null);
+    assert.equal(body.source.name, "The Great British Public Toilet Map");
+    assert.match(body.source.datasetExport, /toilets-2026-10-01\.json\?download=1$/);
+  });
+
+  it("downloads the dataset once and serves later searches from memory", async () => {
+    const countDatasetCalls = () => fetchImpl.calls.filter((call) => call.url.includes("toiletmap.org.uk")).length;
+    assert.equal(countDatasetCalls(), 2);
+
+    await getJson(app.baseUrl, "/api/nearest?lat=51.51&lon=-0.12");
+    assert.equal(countDatasetCalls(), 2);
+  });
+
+  it("applies amenity filters and skips inactive toilets", async () => {
+    const { body } = await getJson(app.baseUrl, "/api/nearest?lat=51.5079&lon=-0.1247&accessible=true");
+
+    assert.deepEqual(body.query.filters, ["accessible"]);
+    assert.deepEqual(
+      body.toilets.map((toilet) => toilet.name),
+      ["Charing Cross Station", "Covent Garden Market"]
+    );
+  });
+
+  it("keeps toilets with unknown hours under openNow unless unknownHours=exclude", async () => {
+    const base = "/api/nearest?lat=51.5079&lon=-0.1247&limit=5&openNow=true";
+    const kept = await getJson(app.baseUrl, base);
+    assert.equal(kept.body.query.unknownHours, "include");
+    assert.ok(kept.body.toilets.some((toilet) => toilet.name === "Trafalgar Square"));
+    assert.ok(kept.body.toilets.every((toilet) => toilet.openNow !== false));
+
+    const excluded = await getJson(app.baseUrl, `${base}&unknownHours=exclude`);
+    assert.equal(excluded.body.query.unknownHours, "exclude");
+    assert.ok(excluded.body.toilets.every((toilet) => toilet.openNow === true));
+
+    const invalid = await getJson(app.baseUrl, `${base}&unknownHours=maybe`);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "invalid_unknown_hours");
+  });
+
+  it("queries Refuge for US locations and leaves out unapproved listings", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/nearest?lat=40.7536&lon=-73.9834&limit=5");
+
+    assert.equal(status, 200);
+    assert.equal(body.query.region, "US");
+    assert.deepEqual(
+      body.toilets.map((toilet) => toilet.id),
+      ["51873", "60211"]
+    );
+    assert.equal(body.toilets[0].upvotes, 42);
+    assert.equal(body.source.name, "Refuge Restrooms API");
+
+    const refugeCall = fetchImpl.calls.find((call) => call.url.includes("refugerestrooms.org"));
+    const params = new URL(refugeCall.url).searchParams;
+    // Searches are snapped to the centre of a 0.01° cell so neighbours share the cached lookup.
+    assert.equal(params.get("lat"), "40.75");
+    assert.equal(params.get("lng"), "-73.98");
+  });
+
+  it("exports results as CSV when asked", async () => {
+    const response = await fetch(`${app.baseUrl}/api/nearest?lat=51.5079&lon=-0.1247&limit=1&format=csv`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    assert.match(response.headers.get("content-disposition"), /filename="nearest-toilets\.csv"/);
+    assert.match(text.split("\r\n")[1], /^a1b2c3d4e5f60718293a4b5c,Charing Cross Station,/);
+  });
+
+  it("rejects missing coordinates", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/nearest?lat=abc");
+    assert.equal(status, 400);
+    assert.equal(body.error, "invalid_coordinates");
+  });
+
+  it("rejects locations no provider covers", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/nearest?lat=0&lon=0");
+    assert.equal(status, 400);
+    assert.equal(body.error, "outside_supported_regions");
+  });
+
+  it("rejects unknown sort orders and export formats", async () => {
+    const sort = await getJson(app.baseUrl, "/api/nearest?lat=51.5&lon=-0.12&sort=cheapest");
+    const format = await getJson(app.baseUrl, "/api/nearest?lat=51.5&lon=-0.12&format=xlsx");
+
+    assert.equal(sort.status, 400);
+    assert.equal(sort.body.error, "invalid_sort");
+    assert.equal(format.status, 400);
+    assert.equal(format.body.error, "invalid_format");
+  });
+});
+
+describe("GET /api/geocode", () => {
+  let app;
+  let lookups;
+
+  before(async () => {
+    lookups = [];
+    const places = {
+      name: "places",
+      async geocode(query) {
+        lookups.push(query);
+        if (query === "explode") {
+          throw new Error("upstream down");
+        }
+        const square = { lat: 51.508, lon: -0.128, label: "Trafalgar Square", kind: "square" };
+        return query === "Trafalgar Square" ? [square] : [];
+      }
+    };
+    app = await startApp({ fetchImpl: createStubFetch([]), geocoder: createGeocoderChain([places]) });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("returns the first geocoder's matches", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/geocode?q=%20Trafalgar%20Square%20");
+
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      query: "Trafalgar Square",
+      geocoder: "places",
+      count: 1,
+      results: [{ lat: 51.508, lon: -0.128, label: "Trafalgar Square", kind: "square" }]
+    });
+  });
+
+  it("rejects an empty query without asking a geocoder", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/geocode?q=%20");
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "missing_query");
+    assert.ok(!lookups.includes(""));
+  });
+
+  it("answers 404 when nothing matches and 502 when the geocoder fails", async () => {
+    const missing = await getJson(app.baseUrl, "/api/geocode?q=Atlantis");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "location_not_found");
+
+    const failed = await getJson(app.baseUrl, "/api/geocode?q=explode");
+    assert.equal(failed.status, 502);
+    assert.equal(failed.body.error, "geocoder_unavailable");
+  });
+
+  it(
+    "has no geocoder unless one is configured",
+    { skip: process.env.GEOCODER_URL || process.env.POSTCODE_CENTROIDS_PATH ? "a geocoder is configured" : false },
+    async () => {
+      const unconfigured = await startApp({ fetchImpl: createStubFetch([]), geocoder: undefined });
+      try {
+        const { status, body } = await getJson(unconfigured.baseUrl, "/api/geocode?q=Trafalgar%20Square");
+        assert.equal(status, 503);
+        assert.equal(body.error, "geocoder_not_configured");
+      } finally {
+        await unconfigured.close();
+      }
+    }
+  );
+});
+
+describe("GET /api/toilets", () => {
+  const LONDON_BBOX = "-0.14,51.50,-0.11,51.52";
+  let app;
+
+  before(async () => {
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    const fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      }
+    ]);
+    app = await startApp({ fetchImpl });
+  });
+
+  after(async () => {
+    await app.close();
+  });
+
+  it("lists every toilet in a bbox, closest to its centre first", async () => {
+    const { status, body } = await getJson(app.baseUrl, `/api/toilets?bbox=${LONDON_BBOX}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 3);
+    assert.equal(body.truncated, false);
+    assert.deepEqual(body.query.bbox, [-0.14, 51.5, -0.11, 51.52]);
+    assert.equal(body.query.radiusKm, null);
+    assert.equal(body.query.region, "UK");
+    assert.ok(body.toilets.every((toilet, i) => i === 0 || body.toilets[i - 1].distanceKm <= toilet.distanceKm));
+  });
+
+  it("keeps to the circle when searching by radius", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/toilets?lat=51.50797&lon=-0.12462&radiusKm=0.1");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.toilets.map((toilet) => toilet.id),
+      ["a1b2c3d4e5f60718293a4b5c"]
+    );
+    assert.equal(body.query.radiusKm, 0.1);
+    assert.equal(body.query.bbox.length, 4);
+  });
+
+  it("applies amenity filters", async () => {
+    const { body } = await getJson(app.baseUrl, `/api/toilets?bbox=${LONDON_BBOX}&accessible=true&babyChange=1`);
+
+    assert.deepEqual(body.query.filters, ["accessible", "babyChange"]);
+    assert.deepEqual(body.toilets.map((toilet) => toilet.id).sort(), [
+      "a1b2c3d4e5f60718293a4b5c",
+      "d4e5f60718293a4b5c6d7e8f"
+    ]);
+  });
+
+  it("flags results cut short by the limit", async () => {
+    const { body } = await getJson(app.baseUrl, `/api/toilets?bbox=${LONDON_BBOX}&limit=2`);
+
+    assert.equal(body.count, 2);
+    assert.equal(body.truncated, true);
+    assert.equal(body.query.limit, 2);
+  });
+
+  it("rejects areas that are malformed, too large or uncovered", async () => {
+    const cases = [
+      ["/api/toilets", 400, "invalid_area"],
+      ["/api/toilets?bbox=-0.11,51.5,-0.14,51.52", 400, "invalid_bbox"],
+      ["/api/toilets?bbox=-1.2,51,0,51.5", 400, "area_too_large"],
+      ["/api/toilets?lat=51.5&lon=-0.12&radiusKm=30", 400, "area_too_large"],
+      ["/api/toilets?bbox=10,10,10.5,10.5", 400, "outside_supported_regions"]
+    ];
+    for (const [path, expectedStatus, error] of cases) {
+      const { status, body } = await getJson(app.baseUrl, path);
+      assert.equal(status, expectedStatus, path);
+      assert.equal(body.error, error, path);
+    }
+  });
+});
+
+describe("POST /api/toilets/:id/reports", () => {
+  let app;
+  let dataDir;
+
+  function report(toiletId, body) {
+    return fetch(`${app.baseUrl}/api/toilets/${encodeURIComponent(toiletId)}/reports`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    });
+  }
+
+  beforeEach(async () => {
+    dataDir = await createTempDir();
+    app = await startApp({ fetchImpl: createStubFetch([]), dataDir });
+  });
+
+  afterEach(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("turns away the same report from the same device", async () => {
+    const first = await report("node/1", { category: "closed", deviceId: "device-a" });
+    assert.equal(first.status, 201);
+
+    const again = await report("node/1", { category: "closed", deviceId: "device-a" });
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, "duplicate_report");
+
+    assert.equal((await report("node/1", { category: "other", deviceId: "device-a" })).status, 201);
+    assert.equal((await report("node/1", { category: "closed", deviceId: "device-b" })).status, 201);
+  });
+
+  it("limits reports per device", async () => {
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal((await report(`node/${i}`, { category: "closed", deviceId: "device-a" })).status, 201);
+    }
+
+    const blocked = await report("node/99", { category: "closed", deviceId: "device-a" });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+    assert.equal((await report("node/99", { category: "closed", deviceId: "device-b" })).status, 201);
+  });
+});
+
+describe("POST /api/toilets/:id/ratings", () => {
+  let app;
+  let dataDir;
+
+  const NEAR_TRAFALGAR = "/api/nearest?lat=51.50797&lon=-0.12462";
+  const CLOSEST_ID = "a1b2c3d4e5f60718293a4b5c";
+  const FURTHEST_ID = "d4e5f60718293a4b5c6d7e8f";
+
+  function rate(toiletId, deviceId, score = 4, tags = []) {
+    return fetch(`${app.baseUrl}/api/toilets/${encodeURIComponent(toiletId)}/ratings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ score, tags, deviceId })
+    });
+  }
+
+  before(async () => {
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    const fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      }
+    ]);
+    dataDir = await createTempDir();
+    app = await startApp({ fetchImpl, dataDir });
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("doesn't count a blocked device's attempts against its IP", async () => {
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal((await rate(`node/${i}`, "device-a")).status, 201);
+    }
+    for (let i = 0; i < 25; i += 1) {
+      assert.equal((await rate("node/99", "device-a")).status, 429);
+    }
+
+    assert.equal((await rate("node/99", "device-b")).status, 201);
+  });
+
+  it("attaches the rating summary to /api/nearest results", async () => {
+    assert.equal((await rate(CLOSEST_ID, "rater-1", 4, ["has_soap"])).status, 201);
+
+    const { body } = await getJson(app.baseUrl, NEAR_TRAFALGAR);
+    const rated = body.toilets.find((toilet) => toilet.id === CLOSEST_ID);
+    assert.deepEqual(rated.rating, { count: 1, average: 4, tags: { has_soap: 1 } });
+    assert.ok(body.toilets.filter((toilet) => toilet.id !== CLOSEST_ID).every((toilet) => toilet.rating === null));
+  });
+
+  it("puts the best rated toilets first with sort=best", async () => {
+    assert.equal((await rate(CLOSEST_ID, "rater-1", 1)).status, 201);
+    for (const deviceId of ["rater-2", "rater-3", "rater-4"]) {
+      assert.equal((await rate(FURTHEST_ID, deviceId, 5)).status, 201);
+    }
+
+    const nearest = (await getJson(app.baseUrl, NEAR_TRAFALGAR)).body.toilets.map((toilet) => toilet.id);
+    const best = (await getJson(app.baseUrl, `${NEAR_TRAFALGAR}&sort=best`)).body.toilets.map((toilet) => toilet.id);
+    assert.equal(nearest[0], CLOSEST_ID);
+    assert.equal(nearest.at(-1), FURTHEST_ID);
+    assert.equal(best[0], FURTHEST_ID);
+    assert.equal(best.at(-1), CLOSEST_ID);
+    assert.deepEqual([...best].sort(), [...nearest].sort());
+  });
+});
+
+describe("POST /api/submissions", () => {
+  const authorization = `Basic ${Buffer.from("admin:secret").toString("base64")}`;
+  let app;
+  let dataDir;
+  let fetchImpl;
+
+  function suggest(body) {
+    return fetch(`${app.baseUrl}/api/submissions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ lat: 51.5, lon: -0.12, name: "Station toilets", ...body })
+    });
+  }
+
+  before(async () => {
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      }
+    ]);
+  });
+
+  beforeEach(async () => {
+    dataDir = await createTempDir();
+    app = await startApp({ fetchImpl, dataDir, adminPassword: "secret" });
+  });
+
+  afterEach(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("pretends to accept suggestions that fill the honeypot but never saves them", async () => {
+    const response = await suggest({ website: "https://spam.example" });
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).submission.status, "pending");
+
+    await assert.rejects(readFile(join(dataDir, "submissions.json"), "utf8"), { code: "ENOENT" });
+  });
+
+  it("rejects coordinates outside -90..90 and -180..180", async () => {
+    for (const point of [{ lat: 91 }, { lat: -90.5 }, { lon: 180.1 }, { lon: -181 }]) {
+      const response = await suggest(point);
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, "invalid_coordinates");
+    }
+    assert.equal((await suggest({ lat: -90, lon: 180 })).status, 201);
+  });
+
+  it("shows an approved suggestion in /api/nearest", async () => {
+    const nearestIds = async () =>
+      (await getJson(app.baseUrl, "/api/nearest?lat=51.50795&lon=-0.12465")).body.toilets.map((toilet) => toilet.id);
+    const { submission } = await (await suggest({ lat: 51.508, lon: -0.1246, name: "Crypt toilets" })).json();
+    assert.ok(!(await nearestIds()).includes(submission.id));
+
+    const review = await fetch(`${app.baseUrl}/api/admin/submissions/${encodeURIComponent(submission.id)}`, {
+      method: "POST",
+      headers: { Authorization: authorization, "Content-Type": "application/json" },
+      body: JSON.stringify({ status: "approved" })
+    });
+    assert.equal(review.status, 200);
+
+    const ids = await nearestIds();
+    assert.ok(ids.includes(submission.id));
+    assert.ok(ids.length > 1, "the UK results are still there");
+  });
+
+  it("limits suggestions per IP", async () => {
+    for (let i = 0; i < 5; i += 1) {
+      assert.equal((await suggest({ name: `Toilet ${i}` })).status, 201);
+    }
+
+    const blocked = await suggest({ name: "One too many" });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get("retry-after")) > 0);
+  });
+});
+
+describe("POST /api/feature-request", () => {
+  const savedEnv = {};
+  let app;
+  let dataDir;
+  let emailResponse;
+  let databaseResponse;
+  let createEmailClient;
+  let fetchImpl;
+
+  function postFeatureRequest(body, headers = {}, target = app) {
+    return fetch(`${target.baseUrl}/api/feature-request`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+  }
+
+  async function readOutboxEntry(id) {
+    const { rows } = JSON.parse(await readFile(join(dataDir, "feature-request-outbox.json"), "utf8"));
+    return rows.find((entry) => entry.id === id);
+  }
+
+  async function submitAndDeliver(body) {
+    const response = await postFeatureRequest(body);
+    assert.equal(response.status, 202);
+    const { id } = await response.json();
+    await app.outbox.processDue();
+    return readOutboxEntry(id);
+  }
+
+  before(async () => {
+    for (const key of ["RESEND_API_KEY", "RESEND_FROM"]) {
+      savedEnv[key] = process.env[key];
+    }
+
+    createEmailClient = createStubEmailClient((message) => emailResponse(message));
+    fetchImpl = createStubFetch([
+      {
+        match: (url, init) => url.endsWith("/rest/v1/feature_requests") && init.method === "POST",
+        respond: () => databaseResponse()
+      }
+    ]);
+    dataDir = await createTempDir();
+    app = await startApp({ fetchImpl, createEmailClient, dataDir });
+  });
+
+  beforeEach(() => {
+    process.env.RESEND_API_KEY = "re_test_key";
+    process.env.RESEND_FROM = "How Far From Potty <ideas@example.com>";
+    emailResponse = () => ({ data: { id: "email_123" }, error: null });
+    databaseResponse = () => ({ status: 201, body: "" });
+    createEmailClient.sent.length = 0;
+    fetchImpl.calls.length = 0;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("accepts the request with 202, then emails it and saves it to Supabase", async () => {
+    const response = await postFeatureRequest({
+      name: "  Sam  ",
+      email: "sam@example.com",
+      subject: "Dark mode",
+      message: "Please add\n\na dark theme."
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 202);
+    assert.equal(body.ok, true);
+    assert.equal(body.message, "Feature request received. Thanks!");
+
+    await app.outbox.processDue();
+    const entry = await readOutboxEntry(body.id);
+    assert.equal(entry.deliveries.email.status, "delivered");
+    assert.equal(entry.deliveries.database.status, "delivered");
+
+    assert.equal(createEmailClient.apiKeys.at(-1), "re_test_key");
+    assert.equal(createEmailClient.sent.length, 1);
+    const [email] = createEmailClient.sent;
+    assert.equal(email.from, "How Far From Potty <ideas@example.com>");
+    assert.deepEqual(email.to, [body.to]);
+    assert.equal(email.replyTo, "sam@example.com");
+    assert.equal(email.subject, "[Feature Request] Dark mode");
+    assert.match(email.text, /Name: Sam/);
+    assert.match(email.text, /Please add a dark theme\./);
+
+    assert.equal(fetchImpl.calls.length, 1);
+    const [databaseCall] = fetchImpl.calls;
+    assert.equal(databaseCall.init.headers.Prefer, "return=minimal");
+    assert.deepEqual(JSON.parse(databaseCall.init.body), {
+      user_idea: "Please add a dark theme.",
+      submitter_name: "Sam"
+    });
+  });
+
+  it("keeps the database delivery pending when Supabase rejects the write", async () => {
+    databaseResponse = () => ({ status: 401, body: { message: "Invalid API key" } });
+
+    const entry = await submitAndDeliver({ subject: "Idea", message: "Show bus stops" });
+
+    assert.equal(entry.deliveries.email.status, "delivered");
+    assert.equal(entry.deliveries.database.status, "pending");
+    assert.equal(entry.deliveries.database.attempts, 1);
+    assert.equal(entry.deliveries.database.lastError.error, "db_auth_failed");
+    assert.equal(entry.deliveries.database.lastError.providerMessage, "Invalid API key");
+    assert.ok(entry.deliveries.database.nextAttemptAt > entry.createdAt);
+  });
+
+  it("still saves to Supabase when Resend rate-limits the email", async () => {
+    emailResponse = () => ({ data: null, error: { statusCode: 429, message: "Too many requests" } });
+
+    const entry = await submitAndDeliver({ subject: "Idea", message: "Show ferry piers" });
+
+    assert.equal(entry.deliveries.email.status, "pending");
+    assert.equal(entry.deliveries.email.lastError.error, "email_rate_limited");
+    assert.equal(entry.deliveries.email.lastError.providerCode, "ERESEND_RATE_LIMIT");
+    assert.equal(entry.deliveries.database.status, "delivered");
+    assert.equal(fetchImpl.calls.length, 1);
+
+    const metrics = await (await fetch(`${app.baseUrl}/metrics`)).text();
+    assert.match(metrics, /_deliveries_total\{sink="email",outcome="email_rate_limited"\} 1$/m);
+  });
+
+  it("records a thrown error without a code as a connection failure", async () => {
+    emailResponse = () => {
+      throw new Error("socket hang up");
+    };
+
+    const entry = await submitAndDeliver({ subject: "Idea", message: "Show tram stops" });
+
+    assert.equal(entry.deliveries.email.lastError.error, "email_connection_failed");
+    assert.equal(entry.deliveries.email.lastError.providerMessage, "socket hang up");
+  });
+
+  it("stores requests while Resend is not configured and records what is missing", async () => {
+    delete process.env.RESEND_API_KEY;
+    delete process.env.RESEND_FROM;
+
+    const entry = await submitAndDeliver({ subject: "Idea", message: "Show car parks" });
+
+    assert.equal(entry.deliveries.email.status, "pending");
+    assert.equal(entry.deliveries.email.lastError.error, "email_not_configured");
+    assert.deepEqual(entry.deliveries.email.lastError.missing, ["RESEND_API_KEY", "RESEND_FROM"]);
+    assert.equal(createEmailClient.sent.length, 0);
+  });
+
+  it("drops honeypot submissions without storing or sending anything", async () => {
+    const response = await postFeatureRequest({ subject: "Idea", message: "Buy cheap pills", website: "spam.test" });
+    const body = await response.json();
+    await app.outbox.processDue();
+
+    assert.equal(response.status, 202);
+    assert.equal(body.ok, true);
+    assert.equal(await readOutboxEntry(body.id), undefined);
+    assert.equal(createEmailClient.sent.length, 0);
+    assert.equal(fetchImpl.calls.length, 0);
+  });
+
+  it("rejects the same message twice, ignoring case and punctuation", async () => {
+    const first = await postFeatureRequest({ subject: "Idea", message: "Show drinking fountains" });
+    const second = await postFeatureRequest({ subject: "Again", message: "show drinking fountains!!" });
+
+    assert.equal(first.status, 202);
+    assert.equal(second.status, 409);
+    assert.equal((await second.json()).error, "duplicate_request");
+  });
+
+  it("rate-limits each client and tells it when to retry", async () => {
+    // A separate data dir, so the two apps' outboxes don't write the same file.
+    const limitedDataDir = await createTempDir();
+    const limited = await startApp({
+      fetchImpl,
+      createEmailClient,
+      dataDir: limitedDataDir,
+      trustedProxyHops: 1,
+      featureRequestLimits: {
+        perIp: { capacity: 2, refillMs: 60_000 },
+        global: { capacity: 100, refillMs: 1000 }
+      }
+    });
+
+    try {
+      const fromA = { "X-Forwarded-For": "203.0.113.5" };
+      const fromB = { "X-Forwarded-For": "203.0.113.5, 198.51.100.7" };
+      const statuses = [];
+      for (const message of ["Idea one", "Idea two", "Idea three"]) {
+        statuses.push((await postFeatureRequest({ subject: "Idea", message }, fromA, limited)).status);
+      }
+      const blocked = await postFeatureRequest({ subject: "Idea", message: "Idea four" }, fromA, limited);
+      const otherClient = await postFeatureRequest({ subject: "Idea", message: "Idea five" }, fromB, limited);
+
+      assert.deepEqual(statuses, [202, 202, 429]);
+      assert.equal((await blocked.json()).error, "too_many_requests");
+      assert.equal(blocked.headers.get("retry-after"), "60");
+      assert.equal(otherClient.status, 202);
+    } finally {
+      await limited.close();
+      await limited.outbox.processDue();
+      await removeTempDir(limitedDataDir);
+    }
+  });
+
+  it("requires a subject and message", async () => {
+    const response = await postFeatureRequest({ subject: "   ", message: "" });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, "missing_fields");
+  });
+
+  it("rejects invalid JSON and other methods", async () => {
+    const invalid = await postFeatureRequest("{not json");
+    const wrongMethod = await fetch(`${app.baseUrl}/api/feature-request`);
+
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, "invalid_payload");
+    assert.equal(wrongMethod.status, 405);
+    assert.equal((await wrongMethod.json()).error, "method_not_allowed");
+  });
+});
+
+describe("/api/admin/feature-requests", () => {
+  const authorization = `Basic ${Buffer.from("admin:secret").toString("base64")}`;
+  let app;
+  let dataDir;
+  let repository;
+
+  function adminFetch(path, init = {}) {
+    return fetch(`${app.baseUrl}${path}`, { ...init, headers: { Authorization: authorization, ...init.headers } });
+  }
+
+  function setStatus(id, status) {
+    return adminFetch(`/api/admin/feature-requests/${encodeURIComponent(id)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status })
+    });
+  }
+
+  before(async () => {
+    dataDir = await createTempDir();
+    repository = createFileFeatureRequestRepository({ filePath: join(dataDir, "feature-requests.json") });
+    await repository.add({ name: "Sam", email: "sam@example.com", subject: "Dark mode", message: "Add a dark theme" });
+    await repository.add({ name: "", email: "", subject: "Bus stops", message: "Show nearby bus stops, please" });
+    app = await startApp({
+      fetchImpl: createStubFetch([]),
+      dataDir,
+      adminPassword: "secret",
+      featureRequestRepository: repository
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("needs the admin password", async () => {
+    const response = await fetch(`${app.baseUrl}/api/admin/feature-requests`);
+    assert.equal(response.status, 401);
+    assert.match(response.headers.get("www-authenticate"), /^Basic /);
+  });
+
+  it("needs the password for the admin page however its path is spelled", async () => {
+    for (const path of ["/admin", "/admin.html", "/%61dmin.html", "/%61dmin.js", "/ADMIN.HTML", "/x/..%2fadmin.html"]) {
+      const response = await fetch(`${app.baseUrl}${path}`);
+      assert.equal(response.status, 401, path);
+    }
+    assert.equal((await adminFetch("/%61dmin.html")).status, 200);
+  });
+
+  it("lists requests newest first and searches their text", async () => {
+    const all = await (await adminFetch("/api/admin/feature-requests")).json();
+    const search = await (await adminFetch("/api/admin/feature-requests?q=DARK")).json();
+
+    assert.equal(all.store, "file");
+    assert.deepEqual(
+      all.featureRequests.map((featureRequest) => featureRequest.subject),
+      ["Bus stops", "Dark mode"]
+    );
+    assert.equal(search.count, 1);
+    assert.equal(search.featureRequests[0].email, "sam@example.com");
+  });
+
+  it("marks a request planned and filters by status", async () => {
+    const [busStops] = await repository.list({ query: "bus" });
+
+    const response = await setStatus(busStops.id, "planned");
+    const body = await response.json();
+    const planned = await (await adminFetch("/api/admin/feature-requests?status=planned")).json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.featureRequest.status, "planned");
+    assert.ok(body.featureRequest.updatedAt);
+    assert.deepEqual(
+      planned.featureRequests.map((featureRequest) => featureRequest.id),
+      [busStops.id]
+    );
+  });
+
+  it("rejects unknown statuses and ids", async () => {
+    const [anyRequest] = await repository.list();
+    const badStatus = await setStatus(anyRequest.id, "wontfix");
+    const badFilter = await adminFetch("/api/admin/feature-requests?status=wontfix");
+    const unknown = await setStatus("missing", "done");
+
+    assert.equal(badStatus.status, 400);
+    assert.equal((await badStatus.json()).error, "invalid_status");
+    assert.equal(badFilter.status, 400);
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error, "feature_request_not_found");
+  });
+
+  it("exports the filtered list as CSV", async () => {
+    const response = await adminFetch("/api/admin/feature-requests/export?q=theme");
+    const lines = (await response.text()).trim().split("\r\n");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    assert.match(response.headers.get("content-disposition"), /filename="feature-requests\.csv"/);
+    assert.equal(lines[0], "id,status,published,votes,createdAt,updatedAt,name,email,subject,message");
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /,Sam,sam@example\.com,Dark mode,Add a dark theme$/);
+  });
+});
+
+describe("/api/feature-requests board", () => {
+  const authorization = `Basic ${Buffer.from("admin:secret").toString("base64")}`;
+  let app;
+  let dataDir;
+  let darkMode;
+  let busStops;
+  let hidden;
+
+  function vote(id, deviceId) {
+    return fetch(`${app.baseUrl}/api/feature-requests/${encodeURIComponent(id)}/vote`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deviceId })
+    });
+  }
+
+  before(async () => {
+    dataDir = await createTempDir();
+    const repository = createFileFeatureRequestRepository({ filePath: join(dataDir, "feature-requests.json") });
+    darkMode = await repository.add({ name: "Sam", email: "sam@example.com", subject: "Dark mode", message: "Night" });
+    busStops = await repository.add({ name: "Alex", email: "", subject: "Bus stops", message: "Show nearby stops" });
+    hidden = await repository.add({ name: "", email: "", subject: "Spam", message: "Not for the board" });
+    app = await startApp({
+      fetchImpl: createStubFetch([]),
+      dataDir,
+      adminPassword: "secret",
+      featureRequestRepository: repository
+    });
+
+    for (const featureRequest of [darkMode, busStops]) {
+      const response = await fetch(`${app.baseUrl}/api/admin/feature-requests/${featureRequest.id}`, {
+        method: "POST",
+        headers: { Authorization: authorization, "Content-Type": "application/json" },
+        body: JSON.stringify({ published: true })
+      });
+      assert.equal(response.status, 200);
+    }
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("lists only published requests, without who sent them", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/api/feature-requests");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.featureRequests.map((featureRequest) => featureRequest.id).sort(),
+      [darkMode.id, busStops.id].sort()
+    );
+    assert.deepEqual(Object.keys(body.featureRequests[0]).sort(), [
+      "createdAt",
+      "id",
+      "message",
+      "status",
+      "subject",
+      "votes"
+    ]);
+  });
+
+  it("counts one vote per device and puts the most voted first", async () => {
+    const first = await vote(darkMode.id, "device-1");
+    const again = await vote(darkMode.id, "device-1");
+    const other = await vote(darkMode.id, "device-2");
+
+    assert.equal(first.status, 201);
+    assert.equal((await first.json()).votes, 1);
+    assert.equal(again.status, 409);
+    assert.deepEqual(await again.json(), {
+      error: "already_voted",
+      message: "You have already voted for this request.",
+      votes: 1,
+      requestId: again.headers.get("x-request-id")
+    });
+    assert.equal((await other.json()).votes, 2);
+
+    const { body } = await getJson(app.baseUrl, "/api/feature-requests");
+    assert.equal(body.featureRequests[0].id, darkMode.id);
+    assert.equal(body.featureRequests[0].votes, 2);
+  });
+
+  it("only takes votes for requests on the board", async () => {
+    const response = await vote(hidden.id, "device-1");
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).error, "feature_request_not_found");
+  });
+
+  it("suggests similar published requests for a draft", async () => {
+    const draft = encodeURIComponent("bus stop map");
+    const { body } = await getJson(app.baseUrl, `/api/feature-requests?similarTo=${draft}`);
+
+    assert.equal(body.similarTo, "bus stop map");
+    assert.deepEqual(
+      body.featureRequests.map((featureRequest) => featureRequest.id),
+      [busStops.id]
+    );
+    assert.ok(body.featureRequests[0].similarity > 0);
+  });
+
+  it("rejects an update with nothing to change", async () => {
+    const response = await fetch(`${app.baseUrl}/api/admin/feature-requests/${busStops.id}`, {
+      method: "POST",
+      headers: { Authorization: authorization, "Content-Type": "application/json" },
+      body: JSON.stringify({ published: "yes" })
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error, "invalid_published");
+  });
+
+  it("takes a request off the cached board as soon as it is unpublished", async () => {
+    const listedIds = async () => {
+      const { body } = await getJson(app.baseUrl, "/api/feature-requests");
+      return body.featureRequests.map((featureRequest) => featureRequest.id);
+    };
+    assert.ok((await listedIds()).includes(busStops.id));
+
+    const response = await fetch(`${app.baseUrl}/api/admin/feature-requests/${busStops.id}`, {
+      method: "POST",
+      headers: { Authorization: authorization, "Content-Type": "application/json" },
+      body: JSON.stringify({ published: false })
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await listedIds(), [darkMode.id]);
+  });
+});
+
+describe("request IDs, logs and /metrics", () => {
+  let app;
+  let dataDir;
+  const lines = [];
+
+  before(async () => {
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    const fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      }
+    ]);
+    dataDir = await createTempDir();
+    app = await startApp({
+      fetchImpl,
+      dataDir,
+      logger: createLogger({ write: (level, line) => lines.push(JSON.parse(line)) })
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("tags each response and its log line with a request ID", async () => {
+    const response = await fetch(`${app.baseUrl}/api/nearest?lat=51.5079&lon=-0.1247&limit=1`);
+    const requestId = response.headers.get("x-request-id");
+    await response.json();
+
+    assert.match(requestId, /^[0-9a-f-]{36}$/);
+    const line = lines.find((entry) => entry.requestId === requestId);
+    assert.equal(line.msg, "request");
+    assert.equal(line.route, "/api/nearest");
+    assert.equal(line.status, 200);
+  });
+
+  it("keeps a sane incoming request ID and puts it in error bodies", async () => {
+    const response = await fetch(`${app.baseUrl}/api/nearest`, { headers: { "X-Request-Id": "edge-42" } });
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get("x-request-id"), "edge-42");
+    assert.equal(body.requestId, "edge-42");
+
+    const replaced = await fetch(`${app.baseUrl}/api/nearest`, { headers: { "X-Request-Id": "bad id\"" } });
+    await replaced.json();
+    assert.notEqual(replaced.headers.get("x-request-id"), 'bad id"');
+  });
+
+  it("serves request, latency and cache series in the Prometheus text format", async () => {
+    await getJson(app.baseUrl, "/api/nearest?lat=51.51&lon=-0.12");
+    const response = await fetch(`${app.baseUrl}/metrics`);
+    const text = await response.text();
+
+    assert.match(response.headers.get("content-type"), /^text\/plain; version=0\.0\.4/);
+    assert.match(text, /^howfarfrompotty_http_requests_total\{route="\/api\/nearest",method="GET",status="200"\} 2$/m);
+    assert.match(text, /^# TYPE howfarfrompotty_http_request_duration_seconds histogram$/m);
+    assert.match(text, /^howfarfrompotty_provider_cache_lookups_total\{provider="uk",result="miss"\} 1$/m);
+    assert.match(text, /^howfarfrompotty_provider_cache_lookups_total\{provider="uk",result="hit"\} 1$/m);
+    assert.match(text, /^howfarfrompotty_provider_cache_hit_ratio\{provider="uk"\} 0\.5$/m);
+    assert.match(text, /^howfarfrompotty_provider_cache_age_seconds\{provider="uk"\} [\d.]+$/m);
+  });
+});
+
+describe("/healthz and /readyz", () => {
+  let app;
+  let dataDir;
+  let refugeUp = false;
+  const savedEnv = {};
+
+  before(async () => {
+    savedEnv.RESEND_API_KEY = process.env.RESEND_API_KEY;
+    savedEnv.RESEND_FROM = process.env.RESEND_FROM;
+    const datasetPage = await readFixture("toiletmap-dataset-page.html");
+    const ukRows = await readJsonFixture("toiletmap-toilets.json");
+    const fetchImpl = createStubFetch([
+      {
+        match: (url) => url === "https://www.toiletmap.org.uk/dataset",
+        respond: () => ({ body: datasetPage })
+      },
+      {
+        match: (url) => url.startsWith("https://www.toiletmap.org.uk/api/exports/toilets-"),
+        respond: () => ({ body: ukRows })
+      },
+      {
+        match: (url) => url.startsWith("https://www.refugerestrooms.org/"),
+        respond: () => (refugeUp ? { body: [] } : { status: 503, body: { error: "maintenance" } })
+      }
+    ]);
+    dataDir = await createTempDir();
+    app = await startApp({
+      fetchImpl,
+      dataDir,
+      featureRequestRepository: createFileFeatureRequestRepository({ filePath: join(dataDir, "requests.json") })
+    });
+    delete process.env.RESEND_API_KEY;
+    process.env.RESEND_FROM = "How Far From Potty <ideas@example.com>";
+  });
+
+  after(async () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    await app.close();
+    await removeTempDir(dataDir);
+  });
+
+  it("reports the process as alive", async () => {
+    const { status, body } = await getJson(app.baseUrl, "/healthz");
+    assert.equal(status, 200);
+    assert.equal(body.status, "ok");
+    assert.equal(typeof body.uptimeSeconds, "number");
+  });
+
+  it("gives each dependency its own status", async () => {
+    const cold = await getJson(app.baseUrl, "/readyz");
+    assert.equal(cold.status, 200);
+    assert.equal(cold.body.status, "degraded");
+    assert.equal(cold.body.checks.uk.status, "down");
+    assert.equal(cold.body.checks.uk.affects, "UK search");
+    assert.equal(cold.body.checks.us.status, "unknown");
+    assert.deepEqual(cold.body.checks.email, {
+      status: "disabled",
+      affects: "Feature request emails",
+      reason: "not_configured",
+      missing: ["RESEND_API_KEY"]
+    });
+    assert.equal(cold.body.checks.database.status, "ok");
+    assert.equal(cold.body.checks.database.store, "file");
+
+    await getJson(app.baseUrl, "/api/nearest?lat=51.5079&lon=-0.1247");
+    await getJson(app.baseUrl, "/api/nearest?lat=40.7536&lon=-73.9834");
+    const { body } = await getJson(app.baseUrl, "/readyz");
+    assert.equal(body.checks.uk.status, "ok");
+    assert.equal(body.checks.uk.toilets, 3);
+    assert.equal(body.checks.uk.ageSeconds, 0);
+    assert.equal(body.checks.us.status, "down");
+    assert.equal(body.checks.us.lastError.message, "US API request failed (503)");
+  });
+
+  it("is ready once every dependency answers", async () => {
+    process.env.RESEND_API_KEY = "re_test_key";
+    refugeUp = true;
+
+    await getJson(app.baseUrl, "/api/nearest?lat=40.7536&lon=-73.9834");
+    const { status, body } = await getJson(app.baseUrl, "/readyz");
+    assert.equal(status, 200);
+    assert.equal(body.status, "ok");
+    assert.equal(body.checks.us.status, "ok");
+    assert.deepEqual(body.checks.email, { status: "ok", affects: "Feature request emails", pending: 0, dead: 0 });
+  });
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createGraphHopperRouter, createGraphRouter, createOsrmRouter, rankByWalking } from "../lib/routing.mjs";
+import { buildWalkGraph } from "../lib/walk-graph.mjs";
+import { createStubFetch, hangUntilAborted } from "./helpers.mjs";
+
+const ORIGIN = { lat: 51.5, lon: -0.12 };
+const DESTINATION = { lat: 51.51, lon: -0.13 };
+
+function stubRouter(respond) {
+  return createStubFetch([{ match: () => true, respond }]);
+}
+
+
+// Nodes every 0.01° of longitude along the equator (about 1.1 km apart), joined by one footway.
+function buildLineGraph(count) {
+  const nodes = Array.from({ length: count }, (_, i) => ({ id: i + 1, lat: 0, lon: i * 0.01, tags: {} }));
+  const ways = [{ id: 1, refs: nodes.map((node) => node.id), tags: { highway: "footway" } }];
+  return buildWalkGraph({ nodes, ways });
+}
+
+describe("createOsrmRouter", () => {
+  it("asks for a foot route and maps the best one", async () => {
+    const fetchImpl = stubRouter(() => ({
+      body: {
+        code: "Ok",
+        routes: [{ distance: 1500, duration: 1080, geometry: { coordinates: [[-0.12, 51.5], [-0.13, 51.51]] } }]
+      }
+    }));
+    const router = createOsrmRouter({ baseUrl: "https://osrm.test/", fetchImpl });
+
+    const [route] = await router.routeMany(ORIGIN, [DESTINATION]);
+
+    assert.equal(fetchImpl.calls[0].url.split("?")[0], "https://osrm.test/route/v1/foot/-0.12,51.5;-0.13,51.51");
+    assert.deepEqual(route, { distanceKm: 1.5, minutes: 18, path: [[51.5, -0.12], [51.51, -0.13]] });
+  });
+
+  it("treats a 4xx answer as no route and a 5xx answer as a failure", async () => {
+    const noRoute = createOsrmRouter({
+      baseUrl: "https://osrm.test",
+      fetchImpl: stubRouter(() => ({ status: 400, body: { code: "NoRoute" } }))
+    });
+    assert.deepEqual(await noRoute.routeMany(ORIGIN, [DESTINATION]), [null]);
+
+    const down = createOsrmRouter({
+      baseUrl: "https://osrm.test",
+      fetchImpl: stubRouter(() => ({ status: 503, body: "unavailable" }))
+    });
+    await assert.rejects(down.routeMany(ORIGIN, [DESTINATION]), /Routing request failed \(503\)/);
+  });
+
+  it("gives up on a router that doesn't answer", async () => {
+    const router = createOsrmRouter({
+      baseUrl: "https://osrm.test",
+      timeoutMs: 20,
+      fetchImpl: stubRouter(hangUntilAborted)
+    });
+
+    await assert.rejects(router.routeMany(ORIGIN, [DESTINATION]), { name: "TimeoutError" });
+  });
+});
+
+describe("createGraphHopperRouter", () => {
+  it("sends both points and the key, and maps the first path", async () => {
+    const fetchImpl = stubRouter(() => ({
+      body: { paths: [{ distance: 800, time: 600000, points: { coordinates: [[-0.12, 51.5], [-0.13, 51.51]] } }] }
+    }));
+    const router = createGraphHopperRouter({ baseUrl: "https://gh.test", apiKey: "secret", fetchImpl });
+
+    const [route] = await router.routeMany(ORIGIN, [DESTINATION]);
+
+    const params = new URL(fetchImpl.calls[0].url).searchParams;
+    assert.deepEqual(params.getAll("point"), ["51.5,-0.12", "51.51,-0.13"]);
+    assert.equal(params.get("key"), "secret");
+    assert.equal(params.get("profile"), "foot");
+    assert.deepEqual(route, { distanceKm: 0.8, minutes: 10, path: [[51.5, -0.12], [51.51, -0.13]] });
+  });
+
+  it("treats a 400 as no route", async () => {
+    const router = createGraphHopperRouter({
+      baseUrl: "https://gh.test",
+      fetchImpl: stubRouter(() => ({ status: 400, body: { message: "Connection between locations not found" } }))
+    });
+
+    assert.deepEqual(await router.routeMany(ORIGIN, [DESTINATION]), [null]);
+  });
+
+  for (const status of [401, 403, 429]) {
+    it(`fails on ${status} instead of reporting no route`, async () => {
+      const router = createGraphHopperRouter({
+        baseUrl: "https://gh.test",
+        apiKey: "wrong",
+        fetchImpl: stubRouter(() => ({ status, body: { message: "Wrong credentials" } }))
+      });
+
+      await assert.rejects(router.routeMany(ORIGIN, [DESTINATION]), new RegExp(`\\(${status}\\)`));
+    });
+  }
+
+  it("gives up on a router that doesn't answer", async () => {
+    const router = createGraphHopperRouter({
+      baseUrl: "https://gh.test",
+      timeoutMs: 20,
+      fetchImpl: stubRouter(hangUntilAborted)
+    });
+
+    await assert.rejects(router.routeMany(ORIGIN, [DESTINATION]), { name: "TimeoutError" });
+  });
+});
+
+describe("createGraphRouter", () => {
+  it("snaps both ends to the graph and counts the snap legs", async () => {
+    const router = createGraphRouter(buildLineGraph(4));
+
+    const [route] = await router.routeMany({ lat: 0.001, lon: 0 }, [{ lat: 0, lon: 0.03 }]);
+
+    assert.ok(Math.abs(route.distanceKm - 3.447) < 0.01);
+    assert.equal(route.minutes, 41);
+    assert.deepEqual(route.path, [[0.001, 0], [0, 0], [0, 0.01], [0, 0.02], [0, 0.03], [0, 0.03]]);
+  });
+
+  it("returns null for points too far from the graph to snap", async () => {
+    const router = createGraphRouter(buildLineGraph(4));
+
+    assert.deepEqual(await router.routeMany({ lat: 0, lon: 0 }, [{ lat: 0.1, lon: 0 }]), [null]);
+    assert.deepEqual(await router.routeMany({ lat: 0.1, lon: 0 }, [{ lat: 0, lon: 0.01 }]), [null]);
+  });
+
+  it("stops searching beyond the 10 km walking cut-off", async () => {
+    const router = createGraphRouter(buildLineGraph(12));
+
+    const routes = await router.routeMany({ lat: 0, lon: 0 }, [
+      { lat: 0, lon: 0.05 },
+      { lat: 0, lon: 0.11 }
+    ]);
+
+    assert.ok(routes[0]);
+    assert.equal(routes[1], null);
+  });
+});
+
+describe("rankByWalking", () => {
+  it("orders by walking distance and keeps unroutable toilets last", async () => {
+    const router = {
+      async routeMany(origin, toilets) {
+        return toilets.map((toilet) => (toilet.id === "c" ? null : { distanceKm: toilet.walk, minutes: 1, path: [] }));
+      }
+    };
+    const toilets = [
+      { id: "a", distanceKm: 0.1, walk: 0.9 },
+      { id: "b", distanceKm: 0.2, walk: 0.3 },
+      { id: "c", distanceKm: 0.05 }
+    ];
+
+    const ranked = await rankByWalking(router, ORIGIN, toilets, 3);
+
+    assert.deepEqual(
+      ranked.map((toilet) => [toilet.id, toilet.walkKm]),
+      [
+        ["b", 0.3],
+        ["a", 0.9],
+        ["c", null]
+      ]
+    );
+  });
+});
@@ -0,0 +1,220 @@
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, it } from "node:test";
+import {
+  mapDatabaseWriteError,
+  mapEmailSendError,
+  parseAreaQuery,
+  routeLabel,
+  sanitizePath,
+  summarizeChecks
+} from "../server.mjs";
+
+const ROOT_DIR = fileURLToPath(new URL("../", import.meta.url));
+
+function codedError(code, extra = {}) {
+  return Object.assign(new Error(extra.message || code), { code }, extra);
+}
+
+describe("mapEmailSendError", () => {
+  it("maps timeouts to 504", () => {
+    for (const code of ["ETIMEDOUT", "ERESEND_TIMEOUT"]) {
+      const { statusCode, body } = mapEmailSendError(codedError(code));
+      assert.equal(statusCode, 504);
+      assert.equal(body.error, "email_timeout");
+      assert.equal(body.providerCode, code);
+    }
+  });
+
+  it("maps auth failures by code or HTTP status", () => {
+    assert.equal(mapEmailSendError(codedError("ERESEND_AUTH")).body.error, "email_auth_failed");
+    const byStatus = mapEmailSendError({ responseCode: 401, message: "Invalid API key" });
+    assert.equal(byStatus.statusCode, 502);
+    assert.equal(byStatus.body.error, "email_auth_failed");
+    assert.equal(byStatus.body.providerCode, "UNKNOWN");
+    assert.equal(byStatus.body.providerMessage, "Invalid API key");
+  });
+
+  it("passes a forbidden sender through as 403", () => {
+    const { statusCode, body } = mapEmailSendError({ responseCode: 403 });
+    assert.equal(statusCode, 403);
+    assert.equal(body.error, "email_sender_not_allowed");
+  });
+
+  it("maps rate limits to 429", () => {
+    const error = codedError("ERESEND_RATE_LIMIT", { providerMessage: "Slow down" });
+    const { statusCode, body } = mapEmailSendError(error);
+    assert.equal(statusCode, 429);
+    assert.equal(body.error, "email_rate_limited");
+    assert.equal(body.providerMessage, "Slow down");
+  });
+
+  it("maps network errors to email_connection_failed", () => {
+    const codes = ["ESOCKET", "ECONNECTION", "ENOTFOUND", "ECONNREFUSED", "EHOSTUNREACH", "ERESEND_NETWORK"];
+    for (const code of codes) {
+      assert.equal(mapEmailSendError(codedError(code)).body.error, "email_connection_failed", code);
+    }
+  });
+
+  it("falls back to a generic 502 and clamps the provider message", () => {
+    const error = codedError("ERESEND_REQUEST_FAILED", { providerMessage: "x".repeat(500) });
+    const { statusCode, body } = mapEmailSendError(error);
+    assert.equal(statusCode, 502);
+    assert.equal(body.error, "email_send_failed");
+    assert.equal(body.providerMessage.length, 220);
+  });
+
+  it("copes with a missing error", () => {
+    const { statusCode, body } = mapEmailSendError(undefined);
+    assert.equal(statusCode, 502);
+    assert.equal(body.providerCode, "UNKNOWN");
+    assert.equal(body.providerMessage, undefined);
+  });
+});
+
+describe("mapDatabaseWriteError", () => {
+  it("reports which settings are missing", () => {
+    const body = mapDatabaseWriteError(codedError("EDB_NOT_CONFIGURED", { missing: ["SUPABASE_PUBLISHABLE_KEY"] }));
+    assert.equal(body.error, "db_not_configured");
+    assert.deepEqual(body.missing, ["SUPABASE_PUBLISHABLE_KEY"]);
+  });
+
+  it("maps 401 and 403 to db_auth_failed", () => {
+    assert.equal(mapDatabaseWriteError({ responseCode: 401 }).error, "db_auth_failed");
+    assert.equal(mapDatabaseWriteError({ responseCode: 403 }).error, "db_auth_failed");
+    assert.equal(mapDatabaseWriteError(codedError("EDB_AUTH")).error, "db_auth_failed");
+  });
+
+  it("maps rate limits, timeouts and network errors", () => {
+    assert.equal(mapDatabaseWriteError({ responseCode: 429 }).error, "db_rate_limited");
+    assert.equal(mapDatabaseWriteError(codedError("EDB_TIMEOUT")).error, "db_timeout");
+    assert.equal(mapDatabaseWriteError(codedError("ETIMEDOUT")).error, "db_timeout");
+    assert.equal(mapDatabaseWriteError(codedError("EDB_NETWORK")).error, "db_connection_failed");
+    assert.equal(mapDatabaseWriteError(codedError("ECONNREFUSED")).error, "db_connection_failed");
+  });
+
+  it("falls back to db_write_failed", () => {
+    const body = mapDatabaseWriteError(codedError("EDB_REQUEST_FAILED", { providerMessage: "duplicate key" }));
+    assert.equal(body.error, "db_write_failed");
+    assert.equal(body.providerMessage, "duplicate key");
+  });
+});
+
+describe("sanitizePath", () => {
+  it("serves index.html for the root", () => {
+    assert.equal(sanitizePath("/"), join(ROOT_DIR, "index.html"));
+  });
+
+  it("resolves ordinary paths inside the app root", () => {
+    assert.equal(sanitizePath("/vendor/leaflet/leaflet.js"), join(ROOT_DIR, "vendor", "leaflet", "leaflet.js"));
+  });
+
+  it("keeps plain and encoded traversal inside the app root", () => {
+    const attempts = [
+      "/../../etc/passwd",
+      "/%2e%2e/%2e%2e/etc/passwd",
+      "/%2E%2E%2F%2E%2E%2Fetc%2Fpasswd",
+      "/static/../../../etc/passwd",
+      "/..%2f..%2f..%2fetc/passwd"
+    ];
+
+    for (const attempt of attempts) {
+      const resolved = sanitizePath(attempt);
+      assert.ok(resolved.startsWith(ROOT_DIR), `${attempt} escaped to ${resolved}`);
+      assert.equal(resolved, join(ROOT_DIR, "etc", "passwd"), attempt);
+    }
+  });
+
+  it("keeps backslash traversal inside the app root", () => {
+    const resolved = sanitizePath("/..%5c..%5cserver.mjs");
+    assert.ok(resolved.startsWith(ROOT_DIR), resolved);
+  });
+});
+
+describe("parseAreaQuery", () => {
+  const parse = (query) => parseAreaQuery(new URLSearchParams(query));
+
+  it("reads a bbox and centres on it", () => {
+    assert.deepEqual(parse("bbox=-0.2, 51.4,-0.1,51.6"), {
+      bounds: { minLat: 51.4, maxLat: 51.6, minLon: -0.2, maxLon: -0.1 },
+      lat: 51.5,
+      lon: -0.15000000000000002,
+      radiusKm: null
+    });
+  });
+
+  it("prefers bbox over lat, lon and radiusKm", () => {
+    assert.equal(parse("bbox=-0.2,51.4,-0.1,51.6&lat=10&lon=10&radiusKm=1").radiusKm, null);
+  });
+
+  it("turns a radius into the box around it", () => {
+    const area = parse("lat=51.5&lon=-0.12&radiusKm=2");
+    assert.equal(area.radiusKm, 2);
+    assert.equal(area.lat, 51.5);
+    assert.ok(area.bounds.minLat < 51.5 && area.bounds.maxLat > 51.5);
+    assert.ok(Math.abs(area.bounds.maxLat - 51.5 - 2 / 111.19) < 0.001);
+    assert.ok(area.bounds.maxLon - -0.12 > area.bounds.maxLat - 51.5, "longitude degrees are shorter here");
+  });
+
+  it("rejects malformed, inverted and out-of-range boxes", () => {
+    const boxes = ["-0.2,51.4,-0.1", "a,b,c,d", "-0.1,51.4,-0.2,51.6", "-0.2,51.6,-0.1,51.4", "179.5,89.5,180.5,90"];
+    for (const bbox of boxes) {
+      assert.equal(parse(`bbox=${bbox}`).error, "invalid_bbox", bbox);
+    }
+  });
+
+  it("caps the area", () => {
+    assert.equal(parse("bbox=-1,51,0.01,51.5").error, "area_too_large");
+    assert.ok(!parse("bbox=-1,51,0,52").error);
+    assert.equal(parse("lat=51.5&lon=-0.12&radiusKm=25.5").error, "area_too_large");
+    assert.ok(!parse("lat=51.5&lon=-0.12&radiusKm=25").error);
+  });
+
+  it("needs lat, lon and a positive radiusKm without a bbox", () => {
+    const queries = [
+      "",
+      "lat=51.5&lon=-0.12",
+      "lat=51.5&radiusKm=1",
+      "lat=51.5&lon=&radiusKm=1",
+      "lat=91&lon=0&radiusKm=1",
+      "lat=51.5&lon=-0.12&radiusKm=0"
+    ];
+    for (const query of queries) {
+      assert.equal(parse(query).error, "invalid_area", query);
+    }
+  });
+});
+
+describe("routeLabel", () => {
+  it("keeps fixed API paths and folds ids into templates", () => {
+    assert.equal(routeLabel("/api/nearest"), "/api/nearest");
+    assert.equal(routeLabel("/api/admin/feature-requests/export"), "/api/admin/feature-requests/export");
+    assert.equal(routeLabel("/api/admin/feature-requests/42"), "/api/admin/feature-requests/:id");
+    assert.equal(routeLabel("/api/toilets/uk:123/ratings"), "/api/toilets/:id/ratings");
+    assert.equal(routeLabel("/api/feature-requests/abc/vote"), "/api/feature-requests/:id/vote");
+  });
+
+  it("groups unknown API paths and static files", () => {
+    assert.equal(routeLabel("/api/nope"), "/api/unknown");
+    assert.equal(routeLabel("/styles.css"), "static");
+    assert.equal(routeLabel("/"), "static");
+  });
+});
+
+describe("summarizeChecks", () => {
+  const providerIds = ["uk", "us"];
+
+  it("takes the worst status and ignores unknown and disabled", () => {
+    assert.equal(summarizeChecks({ uk: { status: "ok" }, us: { status: "unknown" } }, providerIds), "ok");
+    assert.equal(summarizeChecks({ uk: { status: "ok" }, email: { status: "disabled" } }, providerIds), "ok");
+    assert.equal(summarizeChecks({ uk: { status: "degraded" }, email: { status: "ok" } }, providerIds), "degraded");
+  });
+
+  it("is only down when no search provider can be used", () => {
+    assert.equal(summarizeChecks({ uk: { status: "ok" }, database: { status: "down" } }, providerIds), "degraded");
+    assert.equal(summarizeChecks({ uk: { status: "down" }, us: { status: "unknown" } }, providerIds), "degraded");
+    assert.equal(summarizeChecks({ uk: { status: "down" }, us: { status: "down" } }, providerIds), "down");
+    assert.equal(summarizeChecks({ uk: { status: "down" }, email: { status: "ok" } }, providerIds), "down");
+  });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildSpatialIndex } from "../lib/spatial-index.mjs";
+
+// A 0.01° grid of points around central London, ids `row:col`.
+function londonGrid(size) {
+  const points = [];
+  for (let row = 0; row < size; row += 1) {
+    for (let col = 0; col < size; col += 1) {
+      points.push({ id: `${row}:${col}`, lat: 51.4 + row * 0.01, lon: -0.2 + col * 0.01 });
+    }
+  }
+  return points;
+}
+
+describe("buildSpatialIndex nearest", () => {
+  it("returns the closest points in distance order", () => {
+    const points = londonGrid(20);
+    const index = buildSpatialIndex(points);
+
+    const result = index.nearest(51.5012, -0.1011, 5);
+    const expected = points
+      .map((point) => ({ id: point.id, d: (point.lat - 51.5012) ** 2 + ((point.lon + 0.1011) * 0.62) ** 2 }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, 5)
+      .map((point) => point.id);
+
+    assert.deepEqual(result.map((point) => point.id), expected);
+    assert.ok(result.every((point, i) => i === 0 || result[i - 1].distanceKm <= point.distanceKm));
+    assert.equal(index.nearest(51.5, -0.1, 0).length, 0);
+    assert.equal(buildSpatialIndex([]).nearest(51.5, -0.1, 5).length, 0);
+  });
+
+  it("prefers a point just across a cell edge over one further away in the same cell", () => {
+    const index = buildSpatialIndex(
+      [
+        { id: "same-cell", lat: 51.5001, lon: -0.1199 },
+        { id: "next-cell", lat: 51.5001, lon: -0.1001 }
+      ],
+      { cellSizeDeg: 0.02 }
+    );
+
+    assert.equal(index.nearest(51.5001, -0.1003, 1)[0].id, "next-cell");
+    // The corner of ring 1 is walked first but loses to a closer point on its side.
+    const ring = buildSpatialIndex(
+      [
+        { id: "corner", lat: 51.499, lon: -0.101 },
+        { id: "side", lat: 51.51, lon: -0.0795 }
+      ],
+      { cellSizeDeg: 0.02 }
+    );
+    assert.equal(ring.nearest(51.51, -0.09, 1)[0].id, "side");
+  });
+
+  it("finds rare matches far away without walking the empty grid between them", () => {
+    const points = [...londonGrid(30), { id: "sydney", lat: -33.86, lon: 151.21, rare: true }];
+    const index = buildSpatialIndex(points);
+
+    // Ring by ring this is millions of empty slots; a scan of the occupied cells is instant.
+    const startedAt = performance.now();
+    const result = index.nearest(51.5, -0.1, 3, (point) => point.rare === true);
+
+    assert.deepEqual(result.map((point) => point.id), ["sydney"]);
+    assert.ok(performance.now() - startedAt < 1000);
+  });
+});
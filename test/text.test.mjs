@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { clampText } from "../lib/text.mjs";
+
+describe("clampText", () => {
+  it("returns null for empty or blank input", () => {
+    assert.equal(clampText(undefined), null);
+    assert.equal(clampText(null), null);
+    assert.equal(clampText(""), null);
+    assert.equal(clampText("   \n\t "), null);
+  });
+
+  it("collapses whitespace and trims", () => {
+    assert.equal(clampText("  Behind the\n\n  library  "), "Behind the library");
+  });
+
+  it("leaves text at the limit alone", () => {
+    assert.equal(clampText("a".repeat(10), 10), "a".repeat(10));
+  });
+
+  it("cuts long text to the limit, ellipsis included", () => {
+    const clamped = clampText("a".repeat(11), 10);
+    assert.equal(clamped, `${"a".repeat(7)}...`);
+    assert.equal(clamped.length, 10);
+  });
+
+  it("defaults to 280 characters", () => {
+    assert.equal(clampText("x".repeat(400)).length, 280);
+  });
+
+  it("stringifies non-string values", () => {
+    assert.equal(clampText(12345), "12345");
+  });
+});
@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createDeviceThrottle, createDuplicateGuard, createThrottle, createTokenBucket } from "../lib/throttle.mjs";
+
+function createClock(start = 1_000_000) {
+  let time = start;
+  return {
+    now: () => time,
+    advance(ms) {
+      time += ms;
+    }
+  };
+}
+
+describe("createThrottle", () => {
+  it("allows `limit` hits per window and resets afterwards", () => {
+    const clock = createClock();
+    const throttle = createThrottle({ limit: 2, windowMs: 1000, now: clock.now });
+
+    assert.equal(throttle.hit("a").allowed, true);
+    assert.equal(throttle.hit("a").allowed, true);
+    assert.deepEqual(throttle.hit("a"), { allowed: false, retryAfterMs: 1000 });
+    assert.equal(throttle.hit("b").allowed, true);
+
+    clock.advance(1000);
+    assert.equal(throttle.hit("a").allowed, true);
+  });
+});
+
+describe("createTokenBucket", () => {
+  it("allows a burst up to capacity, then one hit per refill interval", () => {
+    const clock = createClock();
+    const bucket = createTokenBucket({ capacity: 3, refillMs: 60_000, now: clock.now });
+
+    assert.equal(bucket.hit("ip").allowed, true);
+    assert.equal(bucket.hit("ip").allowed, true);
+    assert.equal(bucket.hit("ip").allowed, true);
+    assert.deepEqual(bucket.hit("ip"), { allowed: false, retryAfterMs: 60_000 });
+
+    clock.advance(45_000);
+    assert.deepEqual(bucket.hit("ip"), { allowed: false, retryAfterMs: 15_000 });
+
+    clock.advance(15_000);
+    assert.equal(bucket.hit("ip").allowed, true);
+    assert.equal(bucket.hit("ip").allowed, false);
+  });
+
+  it("keeps keys independent and never refills past capacity", () => {
+    const clock = createClock();
+    const bucket = createTokenBucket({ capacity: 2, refillMs: 1000, now: clock.now });
+
+    bucket.hit("a");
+    bucket.hit("a");
+    assert.equal(bucket.hit("a").allowed, false);
+    assert.equal(bucket.hit("b").allowed, true);
+
+    clock.advance(60_000);
+    assert.equal(bucket.hit("a").allowed, true);
+    assert.equal(bucket.hit("a").allowed, true);
+    assert.equal(bucket.hit("a").allowed, false);
+  });
+});
+
+describe("createDeviceThrottle", () => {
+  it("checks the device first and only then spends the IP's allowance", () => {
+    const clock = createClock();
+    const throttle = createDeviceThrottle({
+      device: createThrottle({ limit: 1, windowMs: 1000, now: clock.now }),
+      ip: createThrottle({ limit: 2, windowMs: 5000, now: clock.now })
+    });
+
+    assert.equal(throttle.hit("phone", "1.2.3.4").allowed, true);
+    assert.deepEqual(throttle.hit("phone", "1.2.3.4"), { allowed: false, retryAfterMs: 1000 });
+    assert.deepEqual(throttle.hit("phone", "1.2.3.4"), { allowed: false, retryAfterMs: 1000 });
+    // The blocked device's attempts didn't count against the IP.
+    assert.equal(throttle.hit("laptop", "1.2.3.4").allowed, true);
+    assert.deepEqual(throttle.hit("tablet", "1.2.3.4"), { allowed: false, retryAfterMs: 5000 });
+  });
+});
+
+describe("createDuplicateGuard", () => {
+  it("rejects a repeat claim inside the window and allows it after", () => {
+    const clock = createClock();
+    const guard = createDuplicateGuard({ windowMs: 1000, now: clock.now });
+
+    assert.equal(guard.claim("hash"), true);
+    assert.equal(guard.claim("hash"), false);
+    assert.equal(guard.claim("other"), true);
+
+    clock.advance(1000);
+    assert.equal(guard.claim("hash"), true);
+  });
+
+  it("lets a released key be claimed again straight away", () => {
+    const guard = createDuplicateGuard({ windowMs: 1000 });
+
+    assert.equal(guard.claim("hash"), true);
+    guard.release("hash");
+    assert.equal(guard.claim("hash"), true);
+  });
+
+  it("forgets the oldest keys beyond maxKeys", () => {
+    const guard = createDuplicateGuard({ windowMs: 1000, maxKeys: 2 });
+
+    guard.claim("first");
+    guard.claim("second");
+    guard.claim("third");
+    assert.equal(guard.claim("first"), true);
+    assert.equal(guard.claim("third"), false);
+  });
+});